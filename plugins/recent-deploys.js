@@ -0,0 +1,81 @@
+// recent-deploys.js — "Recent Deploys" panel plugin: what shipped just before the incident
+//
+// Load with ?plugins=recent-deploys. Deploys come from ?deploys=<url>, a JSON
+// array of { at, service, version, by, result } such as a CD system export,
+// with `at` in ISO 8601 with `Z` or an offset, and otherwise from the sample
+// deploys below. Times show in the room's zone (see src/time.js). A deploy to a
+// service that monitoring shows as down or degraded is flagged as a suspect.
+import { registerPanel, ctx, heading, statusColor, statusText, row, scrollList, font, px, fitText, timeOfDay, PANEL_H, ACCENT, TEXT, KEY_LABEL } from '../src/panels.js';
+import { registerCollection, itemKey } from '../src/data-source.js';
+import { parseDateTime } from '../src/time.js';
+
+const SAMPLE_DEPLOYS = {
+  INC0012345: [
+    { at: '2025-11-24T13:05:00Z', service: 'CDN',              version: 'edge-rules 2025.11.24', by: 'Ana Souza',    result: 'Succeeded' },
+    { at: '2025-11-24T13:52:00Z', service: 'API Gateway',      version: 'v3.18.2',               by: 'Mike Johnson', result: 'Succeeded' },
+    { at: '2025-11-24T14:10:00Z', service: 'Auth Service',     version: 'v2.41.0',               by: 'Deploy Bot',   result: 'Succeeded' },
+    { at: '2025-11-24T14:18:00Z', service: 'Customer Portal',  version: 'web 7.3.0',             by: 'Deploy Bot',   result: 'Succeeded' },
+  ],
+  INC0012351: [
+    { at: '2025-11-24T13:30:00Z', service: 'Fraud Scoring',    version: 'model 2025-11-20',      by: 'Risk Team',    result: 'Succeeded' },
+    { at: '2025-11-24T14:40:00Z', service: 'Checkout Service', version: 'v12.4.1',               by: 'Elena Rossi',  result: 'Rolled Back' },
+  ],
+};
+
+registerCollection('deploys', {
+  async load(incident) {
+    const url = new URLSearchParams(window.location.search).get('deploys');
+    if (!url) return SAMPLE_DEPLOYS[incident.number] || [];
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Could not load deploys ${url}: ${res.status}`);
+    return res.json();
+  },
+  key: d => `${d.at} ${d.service}`,
+});
+
+registerPanel({
+  id:       'deploys',
+  title:    'Recent Deploys',
+  dataDeps: ['deploys', 'monitoring'],
+  summary({ deploys, monitoring }) {
+    const health = new Map(monitoring.map(m => [m.service, m.status]));
+    const suspects = deploys.filter(d => (health.get(d.service) || 'Operational') !== 'Operational');
+    return `Recent deploys: ${deploys.length}. ` +
+      (suspects.length > 0 ? `Suspects: ${suspects.map(d => `${d.service} ${d.version} at ${timeOfDay(d.at, d.at, { zone: true })}`).join(', ')}.` : 'No suspects.');
+  },
+  render({ incident, deploys, monitoring }, view = {}) {
+    const canvas = view.canvas || document.createElement('canvas');
+    const c = ctx(canvas);
+    let y = heading(c, '■  RECENT DEPLOYS', incident);
+
+    const health = new Map(monitoring.map(m => [m.service, m.status]));
+    const newestFirst = [...deploys].sort((a, b) => parseDateTime(b.at) - parseDateTime(a.at));
+    y -= 8;
+    scrollList(c, view, newestFirst, { top: y, bottom: PANEL_H - 44, pitch: px(100), lead: px(18) }, (d, i, dy, w) => {
+      const status  = health.get(d.service) || 'Operational';
+      const suspect = status !== 'Operational';
+      c.fillStyle = ACCENT;
+      c.fillRect(30, dy - px(18), w, px(88));
+      row(c, view, 'deploy', itemKey('deploys', d), d, 30, dy - px(18), w, px(88));
+      if (suspect) {
+        c.fillStyle = statusColor(status);
+        c.fillRect(30, dy - px(18), 6, px(88));
+      }
+
+      c.font = font(22, 700);
+      c.fillStyle = TEXT;
+      c.fillText(fitText(c, `${timeOfDay(d.at, d.at)}  ${d.service}  ${d.version}`, w - 40), 50, dy + px(8));
+
+      c.font = font(19);
+      c.fillStyle = KEY_LABEL;
+      c.fillText(fitText(c, `By ${d.by}`, 300), 50, dy + px(40));
+      c.fillStyle = d.result === 'Succeeded' ? TEXT : statusColor('degraded');
+      c.fillText(fitText(c, d.result, 190), 360, dy + px(40));
+      if (suspect) {
+        c.font = font(19, 700);
+        statusText(c, status, 560, dy + px(40), { text: `Service ${status.toLowerCase()} — suspect`, maxW: 30 + w - 570 });
+      }
+    });
+    return canvas;
+  },
+});
@@ -0,0 +1,81 @@
+// stakeholder-updates.js — "Stakeholder Updates" panel plugin: comms sent and due
+//
+// Load with ?plugins=stakeholder-updates. Updates come from ?updates=<url>, a
+// JSON array of { at, audience, channel, summary, status } where `at` is ISO
+// 8601 with `Z` or an offset and status is Sent, Scheduled or Draft, and
+// otherwise from the sample updates below. The header says when the next
+// scheduled update is due. Times show in the room's zone (see src/time.js).
+import { registerPanel, ctx, heading, label, statusText, row, scrollList, font, px, fitText, timeOfDay, PANEL_W, PANEL_H, ACCENT, TEXT, KEY_LABEL } from '../src/panels.js';
+import { registerCollection, itemKey } from '../src/data-source.js';
+
+const SAMPLE_UPDATES = {
+  INC0012345: [
+    { at: '2025-11-24T14:30:00Z', audience: 'Service Desk',   channel: 'Teams',       status: 'Sent',      summary: 'Portal login down for all users; use the IVR script for callers' },
+    { at: '2025-11-24T14:35:00Z', audience: 'Customers',      channel: 'Status page', status: 'Sent',      summary: 'Investigating sign-in problems on the customer portal' },
+    { at: '2025-11-24T14:45:00Z', audience: 'Executive team', channel: 'Email',       status: 'Draft',     summary: 'P1: portal sign-in outage, auth timeouts under investigation' },
+    { at: '2025-11-24T15:00:00Z', audience: 'Customers',      channel: 'Status page', status: 'Scheduled', summary: 'Next customer update' },
+  ],
+  INC0012351: [
+    { at: '2025-11-24T14:55:00Z', audience: 'Merchants (EU)', channel: 'Status page', status: 'Sent',      summary: 'Elevated card declines at checkout in the EU' },
+    { at: '2025-11-24T15:10:00Z', audience: 'Executive team', channel: 'Email',       status: 'Scheduled', summary: 'Failover plan and revenue impact' },
+  ],
+};
+
+// comms states onto the shared status colours
+const STATUS_AS = { Sent: 'completed', Scheduled: 'in progress', Draft: 'not started' };
+
+registerCollection('stakeholderUpdates', {
+  async load(incident) {
+    const url = new URLSearchParams(window.location.search).get('updates');
+    if (!url) return SAMPLE_UPDATES[incident.number] || [];
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Could not load stakeholder updates ${url}: ${res.status}`);
+    return res.json();
+  },
+  key: u => `${u.at} ${u.audience}`,
+});
+
+registerPanel({
+  id:       'stakeholder-updates',
+  title:    'Stakeholder Updates',
+  dataDeps: ['stakeholderUpdates'],
+  summary({ stakeholderUpdates }) {
+    const sent = stakeholderUpdates.filter(u => u.status === 'Sent');
+    const next = stakeholderUpdates.find(u => u.status === 'Scheduled');
+    const at = u => timeOfDay(u.at, u.at, { zone: true });
+    return `Updates sent: ${sent.length}` + (sent.length > 0 ? `, last at ${at(sent[sent.length - 1])}` : '') + '. ' +
+      (next ? `Next due ${at(next)} to ${next.audience}.` : 'None scheduled.');
+  },
+  render({ incident, stakeholderUpdates }, view = {}) {
+    const canvas = view.canvas || document.createElement('canvas');
+    const c = ctx(canvas);
+    let y = heading(c, '■  STAKEHOLDER UPDATES', incident);
+
+    const sent = stakeholderUpdates.filter(u => u.status === 'Sent');
+    const next = stakeholderUpdates.find(u => u.status === 'Scheduled');
+    y += px(6);
+    label(c, 'Sent:', String(sent.length), 40, y, 150);
+    label(c, 'Last:', sent.length > 0 ? timeOfDay(sent[sent.length - 1].at, sent[sent.length - 1].at) : '—', 200, y, 170);
+    label(c, 'Next due:', next ? `${timeOfDay(next.at, next.at, { zone: true })}  ${next.audience}` : 'None scheduled', 380, y);
+    y += px(30);
+
+    scrollList(c, view, stakeholderUpdates, { top: y, bottom: PANEL_H - 44, pitch: px(100), lead: px(18) }, (u, i, uy, w) => {
+      c.fillStyle = ACCENT;
+      c.fillRect(30, uy - px(18), w, px(88));
+      row(c, view, 'update', itemKey('stakeholderUpdates', u), u, 30, uy - px(18), w, px(88));
+
+      c.font = font(22, 700);
+      const statusW = px(24) + c.measureText(u.status).width;   // shape and text, as statusText draws them
+      statusText(c, STATUS_AS[u.status] || '', 30 + w - 20, uy + px(8), { text: u.status, align: 'right' });
+      c.fillStyle = TEXT;
+      c.fillText(fitText(c, `${timeOfDay(u.at, u.at)}  ${u.audience}`, w - 60 - statusW), 50, uy + px(8));
+
+      c.font = font(19);
+      c.fillStyle = KEY_LABEL;
+      c.fillText(fitText(c, u.channel, 160), 50, uy + px(40));
+      c.fillStyle = TEXT;
+      c.fillText(fitText(c, u.summary, PANEL_W - 300), 220, uy + px(40));
+    });
+    return canvas;
+  },
+});
@@ -0,0 +1,56 @@
+// headless-client.mjs — Scripted presence participant for the relay
+//
+// Walks a slow circle around the room, sending head and hand poses at 10 Hz,
+// so a second participant can be simulated from a laptop or CI job.
+//
+// Run:  node server/headless-client.mjs ws://localhost:8081/INC0012345 "Bot One" "Observer"
+import WebSocket from 'ws';
+import { pathToFileURL } from 'node:url';
+
+const POSE_HZ = 10;
+
+export function connectBot({ url, name, role = 'Observer', radius = 2.5 }) {
+  const ws = new WebSocket(url);
+  const received = [];
+  let timer = null;
+  const start = Date.now();
+
+  ws.on('open', () => {
+    ws.send(JSON.stringify({ type: 'hello', name, role }));
+    timer = setInterval(() => {
+      ws.send(JSON.stringify({ type: 'pose', pose: circlePose((Date.now() - start) / 1000, radius) }));
+    }, 1000 / POSE_HZ);
+  });
+  ws.on('message', raw => received.push(JSON.parse(raw)));
+  ws.on('close', () => clearInterval(timer));
+
+  return {
+    ws,
+    received,
+    close() { clearInterval(timer); ws.close(); },
+  };
+}
+
+// [x, y, z, qx, qy, qz, qw] for head and hands, facing the room center
+function circlePose(t, radius) {
+  const a  = t * 0.3;
+  const x  = Math.sin(a) * radius, z = -Math.cos(a) * radius;
+  const yaw = Math.atan2(x, z);   // look back toward the center
+  const q  = [0, Math.sin(yaw / 2), 0, Math.cos(yaw / 2)];
+  const side = [Math.cos(a) * 0.25, 0, Math.sin(a) * 0.25];
+  return {
+    head:  [x, 1.6, z, ...q],
+    left:  [x - side[0], 1.1, z - side[2], ...q],
+    right: [x + side[0], 1.1, z + side[2], ...q],
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [url = 'ws://localhost:8081/INC0012345', name = 'Headless Bot', role] = process.argv.slice(2);
+  const bot = connectBot({ url, name, role });
+  bot.ws.on('message', raw => {
+    const msg = JSON.parse(raw);
+    if (msg.type !== 'pose') console.log(msg);
+  });
+  process.on('SIGINT', () => { bot.close(); process.exit(0); });
+}
@@ -0,0 +1,52 @@
+// relay-check.mjs — Two headless clients against a throwaway relay
+//
+// Starts the relay on a free port, joins two bots to the same room and checks
+// welcome, join, pose, state, signal and leave all arrive. Exits non-zero on failure, so it
+// can run in CI:  npm run relay:check
+import { startRelay } from './relay.mjs';
+import { connectBot } from './headless-client.mjs';
+
+const TIMEOUT_MS = 5000;
+
+function waitFor(bot, predicate, what) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + TIMEOUT_MS;
+    (function check() {
+      const msg = bot.received.find(predicate);
+      if (msg) return resolve(msg);
+      if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${what}`));
+      setTimeout(check, 20);
+    })();
+  });
+}
+
+const wss = startRelay({ port: 0, log: () => {} });
+wss.on('listening', async () => {
+  const url = `ws://localhost:${wss.address().port}/INC-CHECK`;
+  const alice = connectBot({ url, name: 'Alice', role: 'Incident Manager' });
+  let bob;
+  try {
+    const welcomeA = await waitFor(alice, m => m.type === 'welcome', 'Alice welcome');
+    bob = connectBot({ url, name: 'Bob', role: 'Engineer', radius: 4 });
+    const welcomeB = await waitFor(bob, m => m.type === 'welcome', 'Bob welcome');
+    if (!welcomeB.peers.some(p => p.id === welcomeA.id)) throw new Error('Bob was not told Alice is present');
+    await waitFor(alice, m => m.type === 'join' && m.peer.name === 'Bob', 'Bob join at Alice');
+    await waitFor(alice, m => m.type === 'pose' && m.id === welcomeB.id, 'Bob pose at Alice');
+    await waitFor(bob,   m => m.type === 'pose' && m.id === welcomeA.id, 'Alice pose at Bob');
+    bob.ws.send(JSON.stringify({ type: 'state', state: { muted: false } }));
+    await waitFor(alice, m => m.type === 'state' && m.id === welcomeB.id && m.state.muted === false, 'Bob state at Alice');
+    alice.ws.send(JSON.stringify({ type: 'signal', to: welcomeB.id, data: { kind: 'offer' } }));
+    await waitFor(bob,   m => m.type === 'signal' && m.from === welcomeA.id && m.data.kind === 'offer', 'Alice signal at Bob');
+    bob.close();
+    await waitFor(alice, m => m.type === 'leave' && m.id === welcomeB.id, 'Bob leave at Alice');
+    console.log('relay check passed');
+    process.exitCode = 0;
+  } catch (e) {
+    console.error(`relay check failed: ${e.message}`);
+    process.exitCode = 1;
+  } finally {
+    alice.close();
+    if (bob) bob.close();
+    wss.close();
+  }
+});
@@ -0,0 +1,90 @@
+// relay.mjs — WebSocket relay for multi-user presence
+//
+// Each connection joins a room named by the URL path (the room uses the
+// incident number, e.g. ws://localhost:8081/INC0012345). The relay keeps no
+// state beyond who is connected and their last pose; it assigns ids and
+// fans messages out to the rest of the room.
+//
+// client → relay   { type: 'hello', name, role }
+//                  { type: 'pose', pose }
+//                  { type: 'state', state }            (e.g. { muted: true })
+//                  { type: 'signal', to, data }        (WebRTC offer/answer/ICE)
+// relay → client   { type: 'welcome', id, peers: [{ id, name, role, pose, state }] }
+//                  { type: 'join', peer: { id, name, role, state } }
+//                  { type: 'pose', id, pose }
+//                  { type: 'state', id, state }
+//                  { type: 'signal', from, data }
+//                  { type: 'leave', id }
+//
+// Run:  npm run relay            (PORT env var, default 8081)
+import { WebSocketServer } from 'ws';
+import { pathToFileURL } from 'node:url';
+
+export function startRelay({ port = 8081, log = console.log } = {}) {
+  const wss   = new WebSocketServer({ port });
+  const rooms = new Map();   // room name → Map(id → peer)
+  let nextId  = 1;
+
+  function broadcast(room, msg, exceptId) {
+    const data = JSON.stringify(msg);
+    for (const peer of room.values()) {
+      if (peer.id !== exceptId && peer.ws.readyState === peer.ws.OPEN) peer.ws.send(data);
+    }
+  }
+
+  wss.on('connection', (ws, req) => {
+    const roomName = decodeURIComponent((req.url || '/').split('?')[0].slice(1)) || 'lobby';
+    let room = null;   // joined on hello: the room may have emptied and gone since connect
+    const peer = { id: String(nextId++), ws, name: null, role: null, pose: null, state: {} };
+
+    ws.on('message', raw => {
+      let msg;
+      try { msg = JSON.parse(raw); } catch { return; }
+
+      if (msg.type === 'hello' && !peer.name) {
+        peer.name = String(msg.name || `Guest ${peer.id}`).slice(0, 40);
+        peer.role = String(msg.role || 'Observer').slice(0, 40);
+        if (msg.state && typeof msg.state === 'object') peer.state = msg.state;
+        if (!rooms.has(roomName)) rooms.set(roomName, new Map());
+        room = rooms.get(roomName);
+        const peers = [...room.values()].map(({ id, name, role, pose, state }) => ({ id, name, role, pose, state }));
+        room.set(peer.id, peer);
+        ws.send(JSON.stringify({ type: 'welcome', id: peer.id, peers }));
+        broadcast(room, { type: 'join', peer: { id: peer.id, name: peer.name, role: peer.role, state: peer.state } }, peer.id);
+        log(`[${roomName}] ${peer.name} joined (${room.size} in room)`);
+      } else if (msg.type === 'pose' && peer.name) {
+        peer.pose = msg.pose;
+        broadcast(room, { type: 'pose', id: peer.id, pose: msg.pose }, peer.id);
+      } else if (msg.type === 'state' && peer.name && msg.state && typeof msg.state === 'object') {
+        peer.state = msg.state;
+        broadcast(room, { type: 'state', id: peer.id, state: msg.state }, peer.id);
+      } else if (msg.type === 'signal' && peer.name) {
+        const target = room.get(String(msg.to));
+        if (target && target.ws.readyState === target.ws.OPEN) {
+          target.ws.send(JSON.stringify({ type: 'signal', from: peer.id, data: msg.data }));
+        }
+      }
+    });
+
+    // a malformed frame (e.g. unmasked) errors this socket only, not the relay
+    ws.on('error', err => {
+      log(`[${roomName}] ${peer.name || `connection ${peer.id}`} dropped: ${err.message}`);
+      ws.terminate();
+    });
+
+    ws.on('close', () => {
+      if (!room || !room.delete(peer.id)) return;
+      broadcast(room, { type: 'leave', id: peer.id });
+      log(`[${roomName}] ${peer.name} left (${room.size} in room)`);
+      if (room.size === 0) rooms.delete(roomName);
+    });
+  });
+
+  return wss;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8081;
+  startRelay({ port });
+  console.log(`War room relay listening on ws://localhost:${port}/<incident-number>`);
+}
@@ -0,0 +1,116 @@
+// accessibility.js — Display settings for the panels and the screen reader summary
+//
+// Settings live in localStorage, shared by every role, and are edited from a
+// section of the settings popover (see settings.js):
+//   palette:      'standard' | 'colorblind', the status colours
+//   textScale:    1 | 1.25 | 1.5, panel text size
+//   highContrast: black panels with white text and yellow headings, over
+//                 any theme
+// displayOptions() turns them, with the room's theme, into the options for
+// setDisplay() in panels.js.
+//
+// createPanelSummary() keeps an ARIA live region with a plain-text section per
+// panel, so desktop screen readers hear what changed on the wall.
+import { HIGH_CONTRAST_PANEL } from './themes.js';
+
+const STORAGE_KEY = 'war-room-accessibility';
+
+export const ACCESSIBILITY_DEFAULTS = {
+  palette:      'standard',
+  textScale:    1,
+  highContrast: false,
+};
+
+const TEXT_SCALES = [1, 1.25, 1.5];
+
+export function loadAccessibility() {
+  try {
+    return { ...ACCESSIBILITY_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (e) {
+    return { ...ACCESSIBILITY_DEFAULTS };
+  }
+}
+
+export function saveAccessibility(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not save accessibility settings:', e);
+  }
+}
+
+export function displayOptions(settings, theme) {
+  return {
+    colors:    settings.highContrast ? HIGH_CONTRAST_PANEL : theme.panel,
+    palette:   settings.palette,
+    textScale: settings.textScale,
+  };
+}
+
+// ── settings form (desktop) ──────────────────────────────────────────
+// Edits `settings` in place, saves and calls onChange(settings) on every
+// change. Returns the <form> for the settings menu.
+export function createAccessibilitySection(settings, onChange = () => {}) {
+  const el = document.createElement('form');
+  el.id = 'accessibility-settings';
+  el.innerHTML = `
+    <h2>Display</h2>
+    <label>Status colours
+      <select name="palette">
+        <option value="standard">Standard</option>
+        <option value="colorblind">Colour-blind safe</option>
+      </select>
+    </label>
+    <label>Panel text
+      <select name="textScale">${TEXT_SCALES.map(s => `<option value="${s}">${s * 100}%</option>`).join('')}</select>
+    </label>
+    <label><input type="checkbox" name="highContrast" /> High contrast</label>`;
+
+  const f = el.elements;
+  function fill() {
+    f.palette.value = settings.palette;
+    f.textScale.value = String(settings.textScale);
+    f.highContrast.checked = settings.highContrast;
+  }
+
+  el.addEventListener('input', () => {
+    Object.assign(settings, {
+      palette:      f.palette.value,
+      textScale:    Number(f.textScale.value),
+      highContrast: f.highContrast.checked,
+    });
+    saveAccessibility(settings);
+    onChange(settings);
+  });
+
+  fill();
+  return el;
+}
+
+// ── screen reader summary ────────────────────────────────────────────
+// `el` is a visually hidden aria-live="polite" element. Each panel gets its
+// own section, and update() only rewrites sections whose text changed, so a
+// refresh is announced panel by panel instead of re-reading the whole wall.
+export function createPanelSummary(el) {
+  const sections = new Map();   // panel id → { title, text } elements
+
+  return {
+    update(id, title, text) {
+      let s = sections.get(id);
+      if (!s) {
+        const section = document.createElement('section');
+        s = { title: document.createElement('h2'), text: document.createElement('p') };
+        section.append(s.title, s.text);
+        el.appendChild(section);
+        sections.set(id, s);
+      }
+      if (s.title.textContent !== title) s.title.textContent = title;
+      if (s.text.textContent !== text) s.text.textContent = text;
+    },
+
+    clear() {
+      el.replaceChildren();
+      sections.clear();
+    },
+  };
+}
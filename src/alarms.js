@@ -0,0 +1,328 @@
+// alarms.js — Alarms when a monitored service goes Degraded or Down
+//
+// observe() compares every new snapshot's monitoring rows with the last and
+// raises an alarm when a service gets worse: Operational → Degraded, or to
+// Down. Getting better but still not Operational just updates the alarm; back
+// to Operational clears it with a short all-clear. The first snapshot of an
+// incident is taken as it is, with no alarms for what was already broken.
+//
+// An alarm that is neither acknowledged nor snoozed drives its severity's
+// effects, from the settings (⚙, stored in localStorage):
+//   sound: 'off' | 'once' | 'repeat'  a synthesized cue from the affected
+//          wall screen, through a THREE.PositionalAudio (repeat: every REPEAT_MS)
+//   flash: the screen's alarm light and the room's red LEDs pulse
+//   tint:  the room takes on a red cast
+// Flashing is a smooth pulse of at most 1 Hz, well below the 3 Hz at which
+// flashing becomes a seizure risk. Acknowledging stops an alarm's effects
+// until it escalates; snoozing stops them for snoozeMinutes.
+import * as THREE from 'three';
+import { statusColor } from './panels.js';
+
+const STORAGE_KEY = 'war-room-alarms';
+
+export const ALARM_DEFAULTS = {
+  effects: {
+    Down:      { sound: 'repeat', flash: true,  tint: true  },
+    Degraded:  { sound: 'once',   flash: true,  tint: false },
+    Recovered: { sound: 'once',   flash: false, tint: false },
+  },
+  volume:        0.6,
+  snoozeMinutes: 5,
+};
+
+const SEVERITY       = { Operational: 0, Degraded: 1, Down: 2 };
+const REPEAT_MS      = 10000;
+const FLASH_HZ       = { Down: 1, Degraded: 0.5 };
+const TINT_INTENSITY = 0.8;
+const SNOOZE_MINUTES = [1, 5, 10, 15, 30, 60];
+const ALARM_COLOR    = new THREE.Color(0xff2a2a);
+
+// Cues as [frequency Hz, seconds, decay per second (0 = held)]: a two-tone
+// siren for Down, a falling chime for Degraded, a rising one for the all-clear.
+const CUES = {
+  Down:      [[960, 0.3, 0], [770, 0.3, 0], [960, 0.3, 0], [770, 0.3, 0]],
+  Degraded:  [[880, 0.35, 6], [660, 0.6, 5]],
+  Recovered: [[523, 0.2, 8], [784, 0.6, 5]],
+};
+
+export function loadAlarmSettings() {
+  try {
+    return withDefaults(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+  } catch (e) {
+    return withDefaults({});
+  }
+}
+
+function saveAlarmSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not save alarm settings:', e);
+  }
+}
+
+// Saved settings over the defaults, severity by severity.
+function withDefaults(saved) {
+  const effects = {};
+  Object.entries(ALARM_DEFAULTS.effects).forEach(([kind, fx]) => {
+    effects[kind] = { ...fx, ...(saved.effects || {})[kind] };
+  });
+  return { ...ALARM_DEFAULTS, ...saved, effects };
+}
+
+// ── settings form (desktop) ──────────────────────────────────────────
+// Edits `settings` in place, saves and calls onChange(settings) on every
+// change. Returns the <form> for the settings menu.
+export function createAlarmSection(settings, onChange = () => {}) {
+  const el = document.createElement('form');
+  el.id = 'alarm-settings';
+  el.innerHTML = `
+    <h2>Alarms</h2>
+    ${Object.keys(ALARM_DEFAULTS.effects).map(kind => `
+    <label>${kind} sound
+      <select name="${kind}.sound">
+        ${kind === 'Recovered' ? '' : '<option value="repeat">Until acknowledged</option>'}
+        <option value="once">Once</option>
+        <option value="off">Off</option>
+      </select>
+    </label>
+    ${kind === 'Recovered' ? '' : `
+    <label><input type="checkbox" name="${kind}.flash" /> ${kind} flashes the lights</label>
+    <label><input type="checkbox" name="${kind}.tint" /> ${kind} tints the room red</label>`}`).join('')}
+    <label>Volume <output name="volumeOut"></output>
+      <input type="range" name="volume" min="0" max="1" step="0.1" />
+    </label>
+    <label>Snooze for
+      <select name="snoozeMinutes">${SNOOZE_MINUTES.map(m => `<option value="${m}">${m} min</option>`).join('')}</select>
+    </label>
+    <button type="button" data-act="reset">Defaults</button>`;
+
+  const f = el.elements;
+  function fill() {
+    Object.entries(settings.effects).forEach(([kind, fx]) => {
+      f[`${kind}.sound`].value = fx.sound;
+      if (f[`${kind}.flash`]) f[`${kind}.flash`].checked = fx.flash;
+      if (f[`${kind}.tint`]) f[`${kind}.tint`].checked = fx.tint;
+    });
+    f.volume.value = settings.volume;
+    f.volumeOut.value = `${Math.round(settings.volume * 100)}%`;
+    f.snoozeMinutes.value = String(settings.snoozeMinutes);
+  }
+
+  function changed() {
+    saveAlarmSettings(settings);
+    fill();
+    onChange(settings);
+  }
+
+  el.addEventListener('input', () => {
+    Object.entries(settings.effects).forEach(([kind, fx]) => {
+      fx.sound = f[`${kind}.sound`].value;
+      if (f[`${kind}.flash`]) fx.flash = f[`${kind}.flash`].checked;
+      if (f[`${kind}.tint`]) fx.tint = f[`${kind}.tint`].checked;
+    });
+    settings.volume = Number(f.volume.value);
+    settings.snoozeMinutes = Number(f.snoozeMinutes.value);
+    changed();
+  });
+  el.querySelector('[data-act="reset"]').addEventListener('click', () => {
+    Object.assign(settings, withDefaults({}));
+    changed();
+  });
+
+  fill();
+  return el;
+}
+
+// ── alarms ───────────────────────────────────────────────────────────
+// listener: the THREE.AudioListener on the camera
+// settings: from loadAlarmSettings(), edited live by the settings form
+// locate(service) → { object, light }: where the service's alarm sounds (an
+//   Object3D, its wall screen) and the material that flashes for it, or null
+// notify(text, color): a toast (see notifications.js)
+// onChange(): the list of alarms changed
+// Returns { observe, acknowledge, snooze, reset, list, setRoom, update }.
+export function createAlarms({ listener, settings, locate, notify = () => {}, onChange = () => {} }) {
+  const alarms = new Map();    // service → { service, status, since, acked, snoozedUntil, soundAt, place }
+  const voices = new Map();    // service → THREE.PositionalAudio
+  const buffers = new Map();   // cue → AudioBuffer
+  const bases = new Map();     // flashed material → its own colour
+  let previous = null;         // service → status at the last snapshot
+  let room = { lights: [], tint: null };
+
+  function buffer(kind) {
+    if (!buffers.has(kind)) buffers.set(kind, synthesize(listener.context, CUES[kind]));
+    return buffers.get(kind);
+  }
+
+  function play(service, kind, now) {
+    const mode = settings.effects[kind].sound;
+    const alarm = alarms.get(service);
+    if (alarm) alarm.soundAt = now;
+    if (mode === 'off' || settings.volume <= 0) return;
+    const place = alarm ? alarm.place : locate(service);
+    if (!voices.has(service)) {
+      const audio = new THREE.PositionalAudio(listener);
+      audio.setRefDistance(4);
+      voices.set(service, audio);
+    }
+    const audio = voices.get(service);
+    if (audio.parent !== place.object) place.object.add(audio);
+    if (audio.isPlaying) audio.stop();
+    audio.setBuffer(buffer(kind));
+    audio.setVolume(settings.volume);
+    audio.play();
+  }
+
+  function silence(service) {
+    const audio = voices.get(service);
+    if (audio && audio.isPlaying) audio.stop();
+  }
+
+  function raise(service, status, now) {
+    alarms.set(service, { service, status, since: now, acked: false, snoozedUntil: 0, soundAt: 0, place: locate(service) });
+    notify(`${service} is ${status}`, statusColor(status));
+    play(service, status, now);
+  }
+
+  function clear(service, now) {
+    alarms.delete(service);
+    notify(`${service} recovered`, statusColor('Operational'));
+    play(service, 'Recovered', now);
+  }
+
+  const active = (alarm, now) => !alarm.acked && alarm.snoozedUntil <= now;
+
+  // 0 … 1, starting dark when the alarm went off
+  const pulse = (alarm, now) => 0.5 - 0.5 * Math.cos((now - alarm.since) / 1000 * FLASH_HZ[alarm.status] * Math.PI * 2);
+
+  function flash(material, level) {
+    if (!bases.has(material)) bases.set(material, material.color.clone());
+    if (level === null) material.color.copy(bases.get(material));
+    else material.color.copy(ALARM_COLOR).multiplyScalar(0.15 + 0.85 * level);
+  }
+
+  return {
+    // A new snapshot's monitoring rows.
+    observe(monitoring, now = Date.now()) {
+      const statuses = new Map((monitoring || []).map(m => [m.service, m.status]));
+      if (previous) {
+        let changed = false;
+        statuses.forEach((status, service) => {
+          const before = SEVERITY[previous.get(service)] || 0;
+          const after = SEVERITY[status];
+          if (after === undefined || after === before) return;
+          const alarm = alarms.get(service);
+          if (after > before) raise(service, status, now);
+          else if (after === 0 && alarm) clear(service, now);
+          else if (alarm) alarm.status = status;
+          changed = true;
+        });
+        // services no longer monitored
+        alarms.forEach((alarm, service) => {
+          if (statuses.has(service)) return;
+          silence(service);
+          alarms.delete(service);
+          changed = true;
+        });
+        if (changed) onChange();
+      }
+      previous = statuses;
+    },
+
+    // Acknowledges one service's alarm, or every alarm with null.
+    acknowledge(service = null) {
+      alarms.forEach(alarm => {
+        if (service !== null && alarm.service !== service) return;
+        alarm.acked = true;
+        silence(alarm.service);
+      });
+      onChange();
+    },
+
+    // Snoozes one service's alarm, or every unacknowledged alarm with null.
+    snooze(service = null, now = Date.now()) {
+      alarms.forEach(alarm => {
+        if (alarm.acked || (service !== null && alarm.service !== service)) return;
+        alarm.snoozedUntil = now + settings.snoozeMinutes * 60000;
+        silence(alarm.service);
+      });
+      onChange();
+    },
+
+    // Forgets every alarm and the last snapshot, e.g. for another incident.
+    reset() {
+      voices.forEach(audio => {
+        if (audio.isPlaying) audio.stop();
+        audio.removeFromParent();
+      });
+      voices.clear();
+      alarms.clear();
+      previous = null;
+      onChange();
+    },
+
+    // Worst first, then oldest.
+    list() {
+      return [...alarms.values()]
+        .map(({ service, status, since, acked, snoozedUntil }) => ({ service, status, since, acked, snoozedUntil }))
+        .sort((a, b) => SEVERITY[b.status] - SEVERITY[a.status] || a.since - b.since);
+    },
+
+    // A rebuilt room: `lights` are materials that flash for any alarm, `tint`
+    // a light (off until an alarm tints the room). Alarms find their screens again.
+    setRoom({ lights = [], tint = null }) {
+      bases.clear();
+      room = { lights, tint };
+      alarms.forEach(alarm => { alarm.place = locate(alarm.service); });
+      if (tint) tint.intensity = 0;
+    },
+
+    // Per frame: repeats, ended snoozes and the flashing.
+    update(now = Date.now()) {
+      let roomLevel = null, tintLevel = 0, resumed = false;
+      const screens = new Map();   // material → level
+      alarms.forEach(alarm => {
+        if (alarm.snoozedUntil && alarm.snoozedUntil <= now) {
+          alarm.snoozedUntil = 0;
+          play(alarm.service, alarm.status, now);
+          resumed = true;
+        }
+        if (!active(alarm, now)) return;
+        const fx = settings.effects[alarm.status];
+        if (fx.sound === 'repeat' && now - alarm.soundAt >= REPEAT_MS) play(alarm.service, alarm.status, now);
+        const level = pulse(alarm, now);
+        if (fx.flash) {
+          roomLevel = Math.max(roomLevel || 0, level);
+          const light = alarm.place.light;
+          if (light) screens.set(light, Math.max(screens.get(light) || 0, level));
+        }
+        if (fx.tint) tintLevel = Math.max(tintLevel, level);
+      });
+      if (resumed) onChange();
+
+      screens.forEach((level, m) => flash(m, level));
+      bases.forEach((base, m) => { if (!screens.has(m) && !room.lights.includes(m)) flash(m, null); });
+      room.lights.forEach(m => flash(m, roomLevel));
+      if (room.tint) room.tint.intensity = TINT_INTENSITY * tintLevel;
+    },
+  };
+}
+
+// One channel of notes, each faded in and out over 10 ms so it doesn't click.
+function synthesize(context, notes) {
+  const rate = context.sampleRate;
+  const seconds = notes.reduce((sum, [, s]) => sum + s, 0);
+  const buffer = context.createBuffer(1, Math.ceil(seconds * rate), rate);
+  const data = buffer.getChannelData(0);
+  let i = 0;
+  notes.forEach(([hz, s, decay]) => {
+    const n = Math.floor(s * rate);
+    for (let k = 0; k < n && i < data.length; k++, i++) {
+      const t = k / rate;
+      const envelope = Math.min(1, t / 0.01, (s - t) / 0.01) * Math.exp(-t * decay);
+      data[i] = envelope * (0.6 * Math.sin(2 * Math.PI * hz * t) + 0.15 * Math.sin(4 * Math.PI * hz * t));
+    }
+  });
+  return buffer;
+}
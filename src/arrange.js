@@ -0,0 +1,139 @@
+// arrange.js — Grab, move, rotate and resize panels with the VR controllers
+//
+// Squeeze while pointing at a panel to pick it up. It follows the controller,
+// keeping the grip offset, so walking and turning the hand move and rotate it.
+// Squeezing the other controller while holding resizes the panel with the
+// change in distance between the hands. Releasing pins the panel where it is.
+//
+// The arrangement is kept in localStorage under `storageKey` (main.js uses
+// one per role and incident), by panel id, and the next visit restores it.
+// use() switches to the arrangement under another key; reset() puts every
+// panel back where the room layout placed it.
+import * as THREE from 'three';
+
+const MIN_SCALE = 0.4;
+const MAX_SCALE = 3;
+
+export function createArranger({ storageKey, onChange = () => {} }) {
+  let key = storageKey;
+  const movable = new Map();   // mesh → { id, home: { position, quaternion, scale } }
+  let saved = load();          // panel id → { position, quaternion, scale }
+  let held = null;             // { ctrl, mesh, offset, scale, second: { ctrl, distance, scale } | null }
+  const _m = new THREE.Matrix4();
+  const _scale = new THREE.Vector3();
+
+  function load() {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function persist() {
+    try {
+      if (Object.keys(saved).length > 0) localStorage.setItem(key, JSON.stringify(saved));
+      else localStorage.removeItem(key);
+    } catch (e) {
+      console.warn('Could not save the panel arrangement:', e);
+    }
+  }
+
+  function apply(mesh, t) {
+    mesh.position.fromArray(t.position);
+    mesh.quaternion.fromArray(t.quaternion);
+    mesh.scale.setScalar(t.scale);
+  }
+
+  // offset of the mesh from the controller, so it keeps its place in the hand
+  function gripOffset(ctrl, mesh) {
+    return new THREE.Matrix4().copy(ctrl.matrixWorld).invert().multiply(mesh.matrixWorld);
+  }
+
+  // the movable panel mesh the object belongs to (attached panels move with theirs)
+  function movableOf(object) {
+    for (let o = object; o; o = o.parent) if (movable.has(o)) return o;
+    return null;
+  }
+
+  return {
+    // Makes a panel mesh movable and restores its saved placement, if any.
+    add(id, mesh) {
+      movable.set(mesh, {
+        id,
+        home: { position: mesh.position.toArray(), quaternion: mesh.quaternion.toArray(), scale: mesh.scale.x },
+      });
+      if (saved[id]) apply(mesh, saved[id]);
+    },
+
+    // ctrl squeezed while pointing at `object` (a panel mesh, or null).
+    // Returns true if the squeeze picked up or resized a panel.
+    grab(ctrl, object) {
+      if (held && held.ctrl !== ctrl) {
+        // second hand: resize whatever the first hand holds
+        held.second = { ctrl, distance: Math.max(0.05, ctrl.position.distanceTo(held.ctrl.position)), scale: held.scale };
+        return true;
+      }
+      const mesh = object && movableOf(object);
+      if (!mesh) return false;
+      held = { ctrl, mesh, offset: gripOffset(ctrl, mesh), scale: mesh.scale.x, second: null };
+      return true;
+    },
+
+    release(ctrl) {
+      if (!held) return;
+      if (held.second && held.second.ctrl === ctrl) {
+        held.second = null;
+        return;
+      }
+      if (held.ctrl !== ctrl) return;
+      if (held.second) {
+        // the other hand keeps hold of the panel
+        held = { ctrl: held.second.ctrl, mesh: held.mesh, offset: gripOffset(held.second.ctrl, held.mesh), scale: held.scale, second: null };
+        return;
+      }
+      const { mesh } = held;
+      held = null;
+      saved[movable.get(mesh).id] = { position: mesh.position.toArray(), quaternion: mesh.quaternion.toArray(), scale: mesh.scale.x };
+      persist();
+      onChange();
+    },
+
+    // Moves the held panel with the controller(s); call once per frame.
+    update() {
+      if (!held) return;
+      _m.multiplyMatrices(held.ctrl.matrixWorld, held.offset).decompose(held.mesh.position, held.mesh.quaternion, _scale);
+      if (held.second) {
+        const distance = held.second.ctrl.position.distanceTo(held.ctrl.position);
+        held.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, held.second.scale * distance / held.second.distance));
+      }
+      held.mesh.scale.setScalar(held.scale);
+    },
+
+    // Swaps in the arrangement saved under `storageKey` (another incident's);
+    // panels it doesn't mention go back to the room layout.
+    use(storageKey) {
+      held = null;
+      key = storageKey;
+      saved = load();
+      movable.forEach(({ id, home }, mesh) => apply(mesh, saved[id] || home));
+      onChange();
+    },
+
+    // Back to the room layout, forgetting the saved arrangement.
+    reset() {
+      held = null;
+      movable.forEach(({ home }, mesh) => apply(mesh, home));
+      saved = {};
+      persist();
+      onChange();
+    },
+
+    get holding() { return held !== null; },
+
+    // true when a panel in the room is away from its layout position
+    get customised() {
+      return [...movable.values()].some(({ id }) => saved[id]);
+    },
+  };
+}
@@ -0,0 +1,434 @@
+// charts.js — Live charts for the big wall screens, in CRT phosphor style
+//
+// The environment's wall screens (see environment.js) show charts of the
+// incident so far, drawn from the same snapshots as the panels: error rate
+// and latency of the impacted services, how long the incident has been open,
+// task burn-down and responders on the bridge.
+//
+// chartSeries() samples the room's history (see history.js) on the main
+// thread into `series`; chart renderers only draw, so they run in the panel
+// worker like the panels do (see panel-scheduler.js):
+//   render({ ...snapshot, series }, view) → canvas
+//   series: { start, end, now, live, samples: [{ at, data }] }  times in epoch ms
+//   view:   { canvas, height }  canvas is PANEL_W wide, `height` tall
+// The layout says which chart goes on which screen (environment.charts, see
+// layout.js), DEFAULT_CHARTS otherwise. Plugins add their own with
+// registerChart().
+import { PANEL_W, px, fitText } from './panels.js';
+import { withMetric, thresholdsOf } from './metrics.js';
+import { parseDateTime, formatTime, formatDuration, timeZone, zoneOffset } from './time.js';
+
+export const DEFAULT_CHARTS = ['error-rate', 'latency', 'duration', 'burndown', 'responders'];
+
+const MAX_SAMPLES = 120;
+const QUIET_MS    = 6 * 3600 * 1000;   // a source quiet this long ends its charts at the last change
+
+// phosphor colours, matching the bunker's CRT materials
+const SCREEN = '#031208';
+const GREEN  = '#33ff66';
+const DIM    = '#1d6b34';
+const AMBER  = '#ffaa22';
+// one colour and one dash pattern per line, so lines differ without colour too
+const LINE_STYLES = [
+  { color: GREEN,     dash: [] },
+  { color: AMBER,     dash: [18, 8] },
+  { color: '#66ccff', dash: [4, 6] },
+  { color: '#ff6666', dash: [18, 6, 4, 6] },
+  { color: '#e0e0e0', dash: [10, 10] },
+];
+
+// ── registry ─────────────────────────────────────────────────────────
+const registry = new Map();   // id → { id, label, render, chart: true }
+
+// Adds a chart the layout can put on a wall screen by id.
+//   id:     unique chart id
+//   title:  shown on the plate above the screen
+//   render: ({ ...snapshot, series }, view) → canvas
+export function registerChart({ id, title, render }) {
+  if (!id || typeof render !== 'function') throw new Error('registerChart needs an id and a render function');
+  if (registry.has(id)) throw new Error(`Chart "${id}" is already registered`);
+  const def = { id, label: title || id, render, chart: true };
+  registry.set(id, def);
+  return def;
+}
+
+export function chartDef(id) {
+  return registry.get(id) || null;
+}
+
+// ── data ─────────────────────────────────────────────────────────────
+// The incident's snapshots from when it opened to `asOf` (now if null), one
+// per recorded change. Live charts run to now unless the source has gone
+// quiet (sample data, a stale feed).
+export function chartSeries(history, current, asOf = null) {
+  const now = asOf !== null ? asOf : Date.now();
+  const opened = parseDateTime(current.incident.openedAt);
+  const changes = history.changeTimes().filter(t => t <= now);
+  const last = changes.length ? changes[changes.length - 1] : now;
+  const start = Number.isFinite(opened) ? Math.min(opened, last) : (changes[0] || now);
+  const end = Math.max(start + 60000, asOf === null && now - last > QUIET_MS ? last : now);
+
+  let times = changes.filter(t => t > start && t < end);
+  if (times.length > MAX_SAMPLES) {
+    const step = times.length / MAX_SAMPLES;
+    times = Array.from({ length: MAX_SAMPLES }, (_, i) => times[Math.floor(i * step)]);
+  }
+  // metric histories (see metrics.js) are read from the last sample only
+  const samples = [start, ...times].map(at => ({ at, data: withoutMetricHistory(history.snapshotAt(current, at)) }));
+  samples.push({ at: end, data: asOf !== null ? history.snapshotAt(current, asOf) : current });
+  return { start, end, now, live: asOf === null, samples };
+}
+
+function withoutMetricHistory(data) {
+  if (!data.monitoring) return data;
+  return { ...data, monitoring: data.monitoring.map(({ history, ...m }) => m) };
+}
+
+// 'errors' | 'availability' | 'latency' | null for a monitoring row: a
+// percentage is an error rate if lower is better, else an availability.
+function metricKind(m) {
+  if (m.unit === 'ms') return 'latency';
+  const thresholds = thresholdsOf(m);
+  if (m.unit !== '%' || !thresholds) return null;
+  return thresholds.higherIsBetter ? 'availability' : 'errors';
+}
+
+// Id of the built-in chart that plots a monitoring row, the wall screen its
+// alarm goes off on (see alarms.js).
+export function chartOfService(row) {
+  return metricKind(withMetric(row)) === 'latency' ? 'latency' : 'error-rate';
+}
+
+function rowOf(data, service) {
+  const m = (data.monitoring || []).find(x => x.service === service);
+  return m ? withMetric(m) : null;
+}
+
+// [[at, value | null]] of one service: its metric history (see metrics.js)
+// where that covers the series, one point per sample otherwise.
+function servicePoints(series, service, valueOf) {
+  const row = rowOf(series.samples[series.samples.length - 1].data, service);
+  const history = row && row.history ? row.history : [];
+  const inRange = history.filter(([t]) => t >= series.start && t <= series.end);
+  if (inRange.length > 1) {
+    const before = history.filter(([t]) => t < series.start).pop();
+    return [...(before ? [[series.start, before[1]]] : []), ...inRange].map(([t, v]) => {
+      const y = valueOf({ ...row, value: v });
+      return [t, Number.isFinite(y) ? y : null];
+    });
+  }
+  return pointsOf(series, d => {
+    const m = rowOf(d, service);
+    return m ? valueOf(m) : NaN;
+  });
+}
+
+// Services that were down or degraded at any point of the series.
+function impactedServices(series) {
+  const names = new Set();
+  series.samples.forEach(s => (s.data.monitoring || []).forEach(m => {
+    if (m.status !== 'Operational') names.add(m.service);
+  }));
+  return [...names];
+}
+
+// [[at, value | null]] for every sample.
+function pointsOf(series, valueOf) {
+  return series.samples.map(s => {
+    const v = valueOf(s.data);
+    return [s.at, Number.isFinite(v) ? v : null];
+  });
+}
+
+// ── drawing ──────────────────────────────────────────────────────────
+function mono(size, weight = 400) {
+  return `${weight} ${px(size)}px "Courier New", monospace`;
+}
+
+// Dark phosphor screen with a lighter centre. Returns the 2D context.
+function screen(canvas, height) {
+  canvas.width = PANEL_W;
+  canvas.height = height;
+  const c = canvas.getContext('2d');
+  const glow = c.createRadialGradient(PANEL_W / 2, height / 2, 0, PANEL_W / 2, height / 2, PANEL_W * 0.6);
+  glow.addColorStop(0, '#0a2a12');
+  glow.addColorStop(1, SCREEN);
+  c.fillStyle = glow;
+  c.fillRect(0, 0, PANEL_W, height);
+  return c;
+}
+
+// Scanlines and a darkened rim, drawn over everything last; an amber frame
+// while the room is rewound.
+function finish(c, height, series) {
+  c.fillStyle = 'rgba(0, 0, 0, 0.28)';
+  for (let y = 0; y < height; y += 4) c.fillRect(0, y, PANEL_W, 2);
+  const rim = c.createRadialGradient(PANEL_W / 2, height / 2, height * 0.45, PANEL_W / 2, height / 2, PANEL_W * 0.62);
+  rim.addColorStop(0, 'rgba(0, 0, 0, 0)');
+  rim.addColorStop(1, 'rgba(0, 0, 0, 0.55)');
+  c.fillStyle = rim;
+  c.fillRect(0, 0, PANEL_W, height);
+  if (!series.live) {
+    c.strokeStyle = AMBER;
+    c.lineWidth = 6;
+    c.strokeRect(3, 3, PANEL_W - 6, height - 6);
+  }
+  return c.canvas;
+}
+
+// Title top left, the headline figure top right. Returns the y below them.
+function header(c, title, figure = '', figureColor = GREEN) {
+  c.font = mono(24, 700);
+  const figureW = figure ? c.measureText(figure).width + 40 : 0;
+  c.textAlign = 'right';
+  c.fillStyle = figureColor;
+  if (figure) c.fillText(figure, PANEL_W - 36, 30 + px(24));
+  c.textAlign = 'left';
+  c.fillStyle = GREEN;
+  c.fillText(fitText(c, title, PANEL_W - 72 - figureW), 36, 30 + px(24));
+  return 30 + px(24) + px(18);
+}
+
+function glowing(c, color, draw) {
+  c.save();
+  c.shadowColor = color;
+  c.shadowBlur = 10;
+  draw();
+  c.restore();
+}
+
+// A step chart of `lines` ([{ label, points: [[at, v | null]] }]) between the
+// series' start and end, on a y axis from 0 that fits the values and `unit`.
+function lineChart(c, height, top, series, lines, { unit = '', max = null, empty = 'NO DATA' } = {}) {
+  const legendH = lines.length > 0 ? px(34) : 0;
+  const x0 = 110, x1 = PANEL_W - 40;
+  const y0 = top + px(10), y1 = height - px(40) - legendH;
+  const values = lines.flatMap(l => l.points.map(p => p[1])).filter(v => v !== null);
+
+  if (values.length === 0) {
+    c.font = mono(28, 700);
+    c.fillStyle = DIM;
+    c.textAlign = 'center';
+    c.fillText(empty, PANEL_W / 2, (y0 + y1) / 2);
+    c.textAlign = 'left';
+    return;
+  }
+
+  const top_ = niceMax(Math.max(...values, unit === '%' ? 10 : 1), max);
+  const xOf = t => x0 + (x1 - x0) * (t - series.start) / Math.max(1, series.end - series.start);
+  const yOf = v => y1 - (y1 - y0) * Math.min(1, v / top_);
+
+  // grid and axes
+  c.strokeStyle = DIM;
+  c.lineWidth = 1;
+  c.fillStyle = DIM;
+  c.font = mono(16);
+  c.textAlign = 'right';
+  const divisions = [4, 5, 2, 1].find(n => Number.isInteger(top_ / n));
+  for (let i = 0; i <= divisions; i++) {
+    const v = top_ * i / divisions;
+    const y = yOf(v);
+    c.beginPath(); c.moveTo(x0, y); c.lineTo(x1, y); c.stroke();
+    c.fillText(`${v}${unit}`, x0 - 10, y + px(5));
+  }
+  c.textAlign = 'center';
+  const ticks = timeTicks(series.start, series.end);
+  ticks.forEach(t => {
+    const x = xOf(t);
+    c.beginPath(); c.moveTo(x, y0); c.lineTo(x, y1); c.stroke();
+    c.fillText(formatTime(t), x, y1 + px(24));
+  });
+  c.textAlign = 'left';
+
+  // the lines, as steps: a value holds until the next change
+  lines.forEach((line, i) => {
+    const style = LINE_STYLES[i % LINE_STYLES.length];
+    glowing(c, style.color, () => {
+      c.strokeStyle = style.color;
+      c.lineWidth = 4;
+      c.setLineDash(style.dash);
+      c.beginPath();
+      let drawing = false;
+      line.points.forEach(([t, v], j) => {
+        if (v === null) { drawing = false; return; }
+        const x = xOf(t), y = yOf(v);
+        if (!drawing) c.moveTo(x, y);
+        else c.lineTo(x, y);
+        const next = line.points[j + 1];
+        if (next) c.lineTo(xOf(next[0]), y);
+        drawing = true;
+      });
+      c.stroke();
+    });
+  });
+
+  // legend: a sample of each line's pattern and its label
+  if (lines.length > 0) {
+    const ly = height - px(20);
+    const slot = (x1 - x0) / Math.min(lines.length, 4);
+    c.font = mono(18, 700);
+    lines.slice(0, 4).forEach((line, i) => {
+      const style = LINE_STYLES[i % LINE_STYLES.length];
+      const lx = x0 + i * slot;
+      c.strokeStyle = style.color;
+      c.lineWidth = 4;
+      c.setLineDash(style.dash);
+      c.beginPath(); c.moveTo(lx, ly - px(6)); c.lineTo(lx + 44, ly - px(6)); c.stroke();
+      c.setLineDash([]);
+      c.fillStyle = style.color;
+      c.fillText(fitText(c, line.label, slot - 64), lx + 54, ly);
+    });
+    if (lines.length > 4) {
+      c.fillStyle = DIM;
+      c.textAlign = 'right';
+      c.fillText(`+${lines.length - 4}`, PANEL_W - 20, ly);
+      c.textAlign = 'left';
+    }
+  }
+}
+
+// 1, 2 or 5 × 10^n at or above `v`, or `cap` if smaller.
+function niceMax(v, cap) {
+  const p = 10 ** Math.floor(Math.log10(v));
+  const nice = [1, 2, 5, 10].map(m => m * p).find(n => n >= v);
+  return cap !== null ? Math.min(cap, nice) : nice;
+}
+
+// Round clock times between start and end, about five of them.
+function timeTicks(start, end) {
+  const steps = [1, 2, 5, 10, 15, 30, 60, 120, 240, 720, 1440].map(m => m * 60000);
+  const step = steps.find(s => (end - start) / s <= 6) || steps[steps.length - 1];
+  // on round times of the room's clock, not UTC's
+  const offset = zoneOffset(timeZone(), start);
+  const ticks = [];
+  for (let t = Math.ceil((start + offset) / step) * step - offset; t <= end; t += step) ticks.push(t);
+  return ticks;
+}
+
+// ── charts ───────────────────────────────────────────────────────────
+function renderErrorRateChart(data, view = {}) {
+  const { series } = data;
+  const height = view.height || 512;
+  const c = screen(view.canvas, height);
+  // availability counts as its shortfall: 0% available is a 100% error rate
+  const errorRate = m => {
+    const kind = metricKind(m);
+    return kind === 'errors' ? m.value : kind === 'availability' ? 100 - m.value : NaN;
+  };
+  const lines = impactedServices(series)
+    .map(service => ({ label: service, points: servicePoints(series, service, errorRate) }))
+    .filter(l => l.points.some(p => p[1] !== null));
+  const latest = lines.map(l => l.points[l.points.length - 1][1]).filter(v => v !== null);
+  const peak = latest.length ? Math.max(...latest) : null;
+  const top = header(c, 'ERROR RATE · IMPACTED SERVICES', peak !== null ? `${Math.round(peak)}%` : '', peak > 5 ? AMBER : GREEN);
+  lineChart(c, height, top, series, lines, { unit: '%', max: 100, empty: 'NO SERVICES IMPACTED' });
+  return finish(c, height, series);
+}
+
+function renderLatencyChart(data, view = {}) {
+  const { series } = data;
+  const height = view.height || 512;
+  const c = screen(view.canvas, height);
+  const latest = series.samples[series.samples.length - 1].data;
+  const measured = (latest.monitoring || []).filter(m => metricKind(withMetric(m)) === 'latency').map(m => m.service);
+  const impacted = impactedServices(series).filter(s => measured.includes(s));
+  const services = impacted.length ? impacted : measured;
+  const lines = services.map(service => ({
+    label: service,
+    points: servicePoints(series, service, m => (metricKind(m) === 'latency' ? m.value : NaN)),
+  }));
+  const now = lines.map(l => l.points[l.points.length - 1][1]).filter(v => v !== null);
+  const top = header(c, impacted.length ? 'LATENCY · IMPACTED SERVICES' : 'LATENCY', now.length ? `${Math.round(Math.max(...now))}ms` : '');
+  lineChart(c, height, top, series, lines, { unit: 'ms', empty: 'NO LATENCY METRICS' });
+  return finish(c, height, series);
+}
+
+function renderBurndownChart(data, view = {}) {
+  const { series } = data;
+  const height = view.height || 512;
+  const c = screen(view.canvas, height);
+  const open = d => (d.tasks || []).filter(t => t.status !== 'Completed').length;
+  const lines = [
+    { label: 'Open', points: pointsOf(series, open) },
+    { label: 'All tasks', points: pointsOf(series, d => (d.tasks || []).length) },
+  ];
+  const tasks = data.tasks || [];
+  const top = header(c, 'TASK BURN-DOWN', `${open(data)} OF ${tasks.length} OPEN`, open(data) > 0 ? AMBER : GREEN);
+  lineChart(c, height, top, series, lines, { empty: 'NO TASKS' });
+  return finish(c, height, series);
+}
+
+function renderRespondersChart(data, view = {}) {
+  const { series } = data;
+  const height = view.height || 512;
+  const c = screen(view.canvas, height);
+  const active = d => (d.responders || []).filter(r => r.status === 'Active').length;
+  const lines = [
+    { label: 'Active', points: pointsOf(series, active) },
+    { label: 'On the bridge', points: pointsOf(series, d => (d.responders || []).length) },
+  ];
+  const top = header(c, 'RESPONDERS', `${active(data)} ACTIVE`);
+  lineChart(c, height, top, series, lines, { empty: 'NOBODY ON THE BRIDGE' });
+  return finish(c, height, series);
+}
+
+// Time open in big digits, then a bar from opening to now marking each
+// change of priority or state. A quiet source stops the clock at its last
+// change.
+function renderDurationChart(data, view = {}) {
+  const { series, incident } = data;
+  const height = view.height || 512;
+  const c = screen(view.canvas, height);
+  let status = 'LIVE';
+  if (!series.live) status = `AS OF ${formatTime(series.now)}`;
+  else if (series.end < series.now) status = `QUIET SINCE ${formatTime(series.end)}`;
+  const top = header(c, 'INCIDENT DURATION', status, status === 'LIVE' ? GREEN : AMBER);
+
+  c.font = mono(120, 700);
+  c.textAlign = 'center';
+  glowing(c, GREEN, () => {
+    c.fillStyle = GREEN;
+    c.fillText(fitText(c, formatDuration(series.end - series.start), PANEL_W - 80), PANEL_W / 2, top + px(130));
+  });
+  c.font = mono(20);
+  c.fillStyle = DIM;
+  c.fillText(fitText(c, `OPENED ${formatTime(series.start)} · ${incident.priority} · ${incident.state}`, PANEL_W - 80), PANEL_W / 2, top + px(172));
+  c.textAlign = 'left';
+
+  const x0 = 60, x1 = PANEL_W - 60, by = height - px(70);
+  const xOf = t => x0 + (x1 - x0) * (t - series.start) / Math.max(1, series.end - series.start);
+  c.fillStyle = DIM;
+  c.fillRect(x0, by, x1 - x0, 6);
+  c.fillStyle = GREEN;
+  c.fillRect(x0, by, xOf(series.end) - x0, 6);
+
+  // priority and state changes along the bar, labels alternating above / below
+  const marks = [];
+  series.samples.forEach((s, i) => {
+    const prev = i > 0 ? series.samples[i - 1].data.incident : null;
+    const inc = s.data.incident;
+    if (prev && prev.priority !== inc.priority) marks.push([s.at, inc.priority.split(' ')[0]]);
+    if (prev && prev.state !== inc.state) marks.push([s.at, inc.state]);
+  });
+  c.font = mono(16, 700);
+  c.textAlign = 'center';
+  marks.forEach(([t, label], i) => {
+    const x = xOf(t);
+    c.fillStyle = AMBER;
+    c.fillRect(x - 2, by - 10, 4, 26);
+    c.fillText(fitText(c, label.toUpperCase(), 180), Math.min(x1 - 60, Math.max(x0 + 60, x)), i % 2 ? by + px(40) : by - px(18));
+  });
+  c.fillStyle = DIM;
+  c.textAlign = 'left';
+  c.fillText(formatTime(series.start), x0, height - px(12));
+  c.textAlign = 'right';
+  c.fillText(formatTime(series.end), x1, height - px(12));
+  c.textAlign = 'left';
+  return finish(c, height, series);
+}
+
+registerChart({ id: 'error-rate', title: 'Error Rate',        render: renderErrorRateChart });
+registerChart({ id: 'latency',    title: 'Latency',           render: renderLatencyChart });
+registerChart({ id: 'duration',   title: 'Incident Duration', render: renderDurationChart });
+registerChart({ id: 'burndown',   title: 'Task Burn-down',    render: renderBurndownChart });
+registerChart({ id: 'responders', title: 'Responders',        render: renderRespondersChart });
@@ -0,0 +1,120 @@
+// clock.js — The room's time zones and the wall clock that shows them
+//
+// Every time on the panels, charts and HUD is shown in one display zone (see
+// time.js), and the opening time also in the team's zones, for responders
+// spread across them. Both come from the URL for one visit, otherwise from
+// the choice saved in the ⚙ settings, and failing that the browser's zone:
+//   ?tz=Europe/London
+//   ?zones=America/New_York,Asia/Kolkata
+// createWallClock() turns a room's clock hands (see environment.js) to the
+// time in the display zone.
+import { LOCAL_ZONE, isTimeZone, zoneOffset } from './time.js';
+
+const STORAGE_KEY = 'war-room-time';
+
+// Offered when the browser can't list its zones.
+const COMMON_ZONES = [
+  'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+  'Europe/London', 'Europe/Berlin', 'Europe/Helsinki', 'Africa/Johannesburg', 'Asia/Dubai', 'Asia/Kolkata',
+  'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland',
+];
+
+// { zone, teamZones }: URL first, then the saved choice. A zone of null
+// means the browser's own.
+export function timeZonesFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const saved = loadTimeZones();
+  let zone = params.get('tz') || saved.zone || null;
+  if (zone && !isTimeZone(zone)) {
+    console.warn(`Unknown time zone "${zone}", using the browser's (${LOCAL_ZONE})`);
+    zone = null;
+  }
+  const listed = params.has('zones') ? params.get('zones').split(',') : (saved.teamZones || []);
+  const teamZones = listed.map(z => z.trim()).filter(z => {
+    if (!z) return false;
+    if (!isTimeZone(z)) console.warn(`Unknown team time zone "${z}", leaving it out`);
+    return isTimeZone(z);
+  });
+  return { zone, teamZones };
+}
+
+// The options for setDisplay() in panels.js.
+export function timeZoneOptions(choice) {
+  return { timeZone: choice.zone || LOCAL_ZONE, teamZones: choice.teamZones };
+}
+
+function loadTimeZones() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveTimeZones(choice) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(choice));
+  } catch (e) {
+    console.warn('Could not save the time zones:', e);
+  }
+}
+
+function knownZones() {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : COMMON_ZONES;
+  return zones.includes('UTC') ? zones : ['UTC', ...zones];
+}
+
+// ── settings form (desktop) ──────────────────────────────────────────
+// Edits `choice` in place, saves and calls onChange(choice) on every change.
+// Returns the <form> for the settings menu.
+export function createTimeSection(choice, onChange = () => {}) {
+  const el = document.createElement('form');
+  el.id = 'time-settings';
+  el.innerHTML = `
+    <h2>Time</h2>
+    <label>Time zone
+      <select name="zone">
+        <option value="">Browser's own (${LOCAL_ZONE})</option>
+        ${knownZones().map(z => `<option value="${z}">${z.replace(/_/g, ' ')}</option>`).join('')}
+      </select>
+    </label>
+    <label>Team zones
+      <input type="text" name="teamZones" placeholder="America/New_York, Asia/Kolkata" />
+    </label>`;
+
+  const f = el.elements;
+  f.zone.value = choice.zone || '';
+  f.teamZones.value = choice.teamZones.join(', ');
+
+  // 'change' rather than 'input': team zones apply once typed out in full
+  el.addEventListener('change', () => {
+    const typed = f.teamZones.value.split(',').map(z => z.trim()).filter(Boolean);
+    choice.zone = f.zone.value || null;
+    choice.teamZones = typed.filter(isTimeZone);
+    f.teamZones.setCustomValidity(choice.teamZones.length === typed.length ? '' : 'Use zone names like Europe/London');
+    saveTimeZones(choice);
+    onChange(choice);
+  });
+  return el;
+}
+
+// ── wall clock ───────────────────────────────────────────────────────
+// hands: { hour, minute, second } objects turning about their local Z, 0 at
+// 12 o'clock (see environment.js). update(now, zone) sets them; the zone's
+// offset is looked up once a minute rather than every frame.
+export function createWallClock(hands) {
+  let cached = { zone: null, minute: NaN, offset: 0 };
+
+  return {
+    update(now, zone) {
+      const minute = Math.floor(now / 60000);
+      if (cached.zone !== zone || cached.minute !== minute) cached = { zone, minute, offset: zoneOffset(zone, now) };
+      const day = (((now + cached.offset) % 86400000) + 86400000) % 86400000;
+      const seconds = day / 1000;
+      // the second hand ticks, the others sweep
+      hands.second.rotation.z = -Math.floor(seconds % 60) / 60 * Math.PI * 2;
+      hands.minute.rotation.z = -(seconds % 3600) / 3600 * Math.PI * 2;
+      hands.hour.rotation.z   = -(seconds % 43200) / 43200 * Math.PI * 2;
+    },
+  };
+}
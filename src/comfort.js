@@ -0,0 +1,168 @@
+// comfort.js — VR comfort settings: turning, speed, vignette, seated mode, hand
+//
+// Settings live in localStorage, shared by every role, and are edited from a
+// section of the settings popover (see settings.js). Changes apply
+// immediately, including mid-session.
+//   turn:          'snap' | 'smooth' | 'off'
+//   snapAngle:     degrees per snap turn
+//   turnSpeed:     degrees per second at full stick, smooth turning
+//   moveSpeed:     m/s at full stick (and for WASD)
+//   vignette:      darken the edges of the view while moving or turning
+//   seated:        raise the view by seatedHeight (m) for people sitting down
+//   moveHand:      'left' | 'right', the stick that walks; the other one turns
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'war-room-comfort';
+
+export const COMFORT_DEFAULTS = {
+  turn:         'snap',
+  snapAngle:    30,
+  turnSpeed:    90,
+  moveSpeed:    3,
+  vignette:     true,
+  seated:       false,
+  seatedHeight: 0.5,
+  moveHand:     'left',
+};
+
+const SNAP_ANGLES = [15, 30, 45, 90];
+const VIGNETTE_FADE_S = 0.2;   // time to fade the vignette fully in or out
+
+export function loadComfort() {
+  try {
+    return { ...COMFORT_DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (e) {
+    return { ...COMFORT_DEFAULTS };
+  }
+}
+
+export function saveComfort(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not save comfort settings:', e);
+  }
+}
+
+// ── settings form (desktop) ──────────────────────────────────────────
+// Edits `settings` in place, saves and calls onChange(settings) on every
+// change. Returns the <form> for the settings menu.
+export function createComfortSection(settings, onChange = () => {}) {
+  const el = document.createElement('form');
+  el.id = 'comfort-settings';
+  el.innerHTML = `
+    <h2>Comfort</h2>
+    <label>Turning
+      <select name="turn">
+        <option value="snap">Snap</option>
+        <option value="smooth">Smooth</option>
+        <option value="off">Off</option>
+      </select>
+    </label>
+    <label>Snap angle
+      <select name="snapAngle">${SNAP_ANGLES.map(a => `<option value="${a}">${a}°</option>`).join('')}</select>
+    </label>
+    <label>Turn speed <output name="turnSpeedOut"></output>
+      <input type="range" name="turnSpeed" min="30" max="180" step="15" />
+    </label>
+    <label>Move speed <output name="moveSpeedOut"></output>
+      <input type="range" name="moveSpeed" min="1" max="5" step="0.5" />
+    </label>
+    <label><input type="checkbox" name="vignette" /> Vignette while moving</label>
+    <label><input type="checkbox" name="seated" /> Seated mode</label>
+    <label>Seated height <output name="seatedHeightOut"></output>
+      <input type="range" name="seatedHeight" min="0.2" max="0.8" step="0.05" />
+    </label>
+    <label>Walk with
+      <select name="moveHand">
+        <option value="left">Left stick (right turns)</option>
+        <option value="right">Right stick (left turns)</option>
+      </select>
+    </label>
+    <button type="button" data-act="reset">Defaults</button>`;
+
+  const f = el.elements;
+  function fill() {
+    f.turn.value = settings.turn;
+    f.snapAngle.value = String(settings.snapAngle);
+    f.turnSpeed.value = settings.turnSpeed;
+    f.moveSpeed.value = settings.moveSpeed;
+    f.vignette.checked = settings.vignette;
+    f.seated.checked = settings.seated;
+    f.seatedHeight.value = settings.seatedHeight;
+    f.moveHand.value = settings.moveHand;
+    f.turnSpeedOut.value = `${settings.turnSpeed}°/s`;
+    f.moveSpeedOut.value = `${settings.moveSpeed} m/s`;
+    f.seatedHeightOut.value = `+${settings.seatedHeight} m`;
+    f.snapAngle.disabled = settings.turn !== 'snap';
+    f.turnSpeed.disabled = settings.turn !== 'smooth';
+    f.seatedHeight.disabled = !settings.seated;
+  }
+
+  function changed() {
+    saveComfort(settings);
+    fill();
+    onChange(settings);
+  }
+
+  el.addEventListener('input', () => {
+    Object.assign(settings, {
+      turn:         f.turn.value,
+      snapAngle:    Number(f.snapAngle.value),
+      turnSpeed:    Number(f.turnSpeed.value),
+      moveSpeed:    Number(f.moveSpeed.value),
+      vignette:     f.vignette.checked,
+      seated:       f.seated.checked,
+      seatedHeight: Number(f.seatedHeight.value),
+      moveHand:     f.moveHand.value,
+    });
+    changed();
+  });
+  el.querySelector('[data-act="reset"]').addEventListener('click', () => {
+    Object.assign(settings, COMFORT_DEFAULTS);
+    changed();
+  });
+
+  fill();
+  return el;
+}
+
+// ── tunnel vignette ──────────────────────────────────────────────────
+// A dark ring with a soft inner edge, fixed in front of the camera. It narrows
+// the view while the stick moves or turns you, which cuts the vection that
+// makes smooth locomotion uncomfortable. Returns { update(dt, moving) }.
+export function createVignette(camera) {
+  const size = 256;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const c = canvas.getContext('2d');
+  const gradient = c.createRadialGradient(size / 2, size / 2, size * 0.22, size / 2, size / 2, size / 2);
+  gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+  gradient.addColorStop(0.6, 'rgba(0, 0, 0, 0.85)');
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+  c.fillStyle = gradient;
+  c.fillRect(0, 0, size, size);
+
+  const material = new THREE.MeshBasicMaterial({
+    map: new THREE.CanvasTexture(canvas),
+    transparent: true,
+    opacity: 0,
+    depthTest: false,
+    depthWrite: false,
+  });
+  // 0.25 m ahead and 1 m across covers the whole of a headset's field of view
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+  mesh.position.set(0, 0, -0.25);
+  mesh.renderOrder = 999;
+  mesh.visible = false;
+  mesh.raycast = () => {};
+  camera.add(mesh);
+
+  return {
+    update(dt, moving) {
+      const step = dt / VIGNETTE_FADE_S;
+      material.opacity = moving ? Math.min(1, material.opacity + step) : Math.max(0, material.opacity - step);
+      mesh.visible = material.opacity > 0;
+    },
+  };
+}
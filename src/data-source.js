@@ -0,0 +1,290 @@
+// data-source.js — Pluggable incident data providers read by the panel renderers
+//
+// Every provider resolves to the same snapshot shape, using the field names
+// from mock-data.js so the renderers never know where the data came from:
+//   { incident, responders, tasks, timeline, monitoring }
+//
+// Providers implement `load()`, and optionally `subscribe(callback)` for push
+// updates, `loadHistory()` for record history (see history.js) and
+// `listIncidents()` for the open major incidents the room can switch to
+// (incident records, as in the snapshot) and `updateTask(id, { status })`
+// for the incident manager's task controls.
+//
+// Plugins can add their own snapshot keys with registerCollection(); those
+// are loaded next to whichever provider is in use, so a plugin panel can
+// list them in its dataDeps.
+//
+// Monitoring rows get their status from metric thresholds (see metrics.js),
+// and a history per service. Samples come from the provider's own values and,
+// with ?metrics=, from Prometheus query results (see prometheus.js); the mock
+// source replays metrics/sample.json unless ?metrics= is left empty.
+//
+// Select a provider with URL parameters, e.g.
+//   ?source=mock
+//   ?source=servicenow&instance=https://dev12345.service-now.com&incident=INC0012345
+//   ?source=servicenow&instance=http://localhost:3000          (local Table API stub)
+//   &refresh=15                                                 (poll interval, seconds)
+//   &metrics=checkout&prometheus=https://prometheus.example.com   (live metrics)
+//   &sourcetz=America/New_York                                  (zone of the source's naive times)
+//
+// Times in a snapshot are ISO 8601 with an explicit offset (incident.openedAt,
+// timeline `at`) or epoch ms; providers whose API hands out naive wall-clock
+// strings read them in config.sourceTimeZone (see time.js).
+import { INCIDENT, RESPONDERS, TASKS, TIMELINE, MONITORING, HISTORY, PAYMENTS_INCIDENT } from './mock-data.js';
+import { createServiceNowSource } from './servicenow.js';
+import { withMetric, createMetricHistory } from './metrics.js';
+import { createPrometheusFeed } from './prometheus.js';
+import { LOCAL_ZONE, parseDateTime } from './time.js';
+
+const providers = {
+  mock:       config => createMockSource(config),
+  servicenow: config => createServiceNowSource(config),
+};
+const collections = new Map();   // snapshot key → { load, key }
+
+// ── public API ───────────────────────────────────────────────────────
+export function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+// Extra snapshot key for plugin panels.
+//   load(incident, config) → Promise<array> for the incident in the room
+//   key(item)              → stable item identity, for row highlights
+export function registerCollection(name, { load, key }) {
+  if (name in ITEM_KEYS || name === 'incident') throw new Error(`Snapshot key "${name}" is already taken`);
+  collections.set(name, { load, key });
+  ITEM_KEYS[name] = key;
+}
+
+export function createDataSource(config = configFromUrl()) {
+  const factory = providers[config.source];
+  if (!factory) {
+    throw new Error(`Unknown data source "${config.source}" (available: ${Object.keys(providers).join(', ')})`);
+  }
+  return withCollections(withMetrics(factory(config), config), config);
+}
+
+// Wraps a provider so every snapshot it yields also carries the registered
+// collections. A collection that fails to load comes back empty rather than
+// failing the whole refresh.
+function withCollections(source, config) {
+  if (collections.size === 0) return source;
+  async function extend(snapshot) {
+    const extra = await Promise.all([...collections].map(([name, c]) =>
+      Promise.resolve()
+        .then(() => c.load(snapshot.incident, config))
+        .catch(e => {
+          console.warn(`Loading ${name} failed:`, e);
+          return [];
+        })
+    ));
+    const out = { ...snapshot };
+    [...collections.keys()].forEach((name, i) => { out[name] = extra[i]; });
+    return out;
+  }
+  const wrapped = { ...source, load: async () => extend(await source.load()) };
+  if (typeof source.subscribe === 'function') {
+    wrapped.subscribe = callback => source.subscribe(snapshot => extend(snapshot).then(callback));
+  }
+  return wrapped;
+}
+
+// Fills in every monitoring row's metric and status, and keeps a history of
+// each service's values for its sparkline. Services fed by the metrics file
+// take their latest value from it; the rest are sampled from the provider's
+// rows whenever their value changes. A failed metrics poll keeps the last
+// values rather than failing the refresh.
+function withMetrics(source, config) {
+  const feed = config.metrics ? createPrometheusFeed(config) : null;
+  const history = createMetricHistory();
+  const fed = new Map();   // service → its latest sample from the feed
+
+  async function extend(snapshot) {
+    if (feed) {
+      try {
+        (await feed.poll(snapshot.incident)).forEach(sample => {
+          history.add(sample.service, sample.at, sample.value);
+          fed.set(sample.service, sample);
+        });
+      } catch (e) {
+        console.warn(`Metrics from ${config.metrics} failed:`, e);
+      }
+    }
+    const monitoring = (snapshot.monitoring || []).map(row => {
+      const sample = fed.get(row.service);
+      const latest = sample && history.latest(row.service);
+      const m = withMetric(latest ? {
+        ...row,
+        name: sample.name, unit: sample.unit, thresholds: sample.thresholds || row.thresholds,
+        value: latest[1], sampledAt: latest[0],
+      } : row);
+      if (!Number.isFinite(m.value)) return m;
+      if (!sample) {
+        const last = history.latest(row.service);
+        if (!last || last[1] !== m.value) history.add(row.service, Date.now(), m.value);
+      }
+      return { ...m, history: history.points(row.service) };
+    });
+    return { ...snapshot, monitoring };
+  }
+
+  const wrapped = { ...source, load: async () => extend(await source.load()) };
+  if (typeof source.subscribe === 'function') {
+    wrapped.subscribe = callback => source.subscribe(snapshot => extend(snapshot).then(callback));
+  }
+  return wrapped;
+}
+
+export function configFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const source = params.get('source') || 'mock';
+  return {
+    source,
+    instance:   params.get('instance') || '',
+    incident:   params.get('incident') || INCIDENT.number,
+    refresh:    Number(params.get('refresh')) || 15,
+    metrics:    params.has('metrics') ? params.get('metrics') : (source === 'mock' ? 'sample' : ''),
+    prometheus: params.get('prometheus') || '',
+    sourceTimeZone: params.get('sourcetz') || LOCAL_ZONE,
+  };
+}
+
+// ── live updates ─────────────────────────────────────────────────────
+// Providers with a `subscribe(callback)` method push snapshots themselves
+// and return an unsubscribe function; everything else is polled. The returned
+// stop function also carries `refresh()` to poll right away, e.g. after a write.
+export function watchDataSource(source, onChange, { initial = null, interval = 15 } = {}) {
+  let last = initial;
+
+  function apply(snapshot) {
+    const changes = diffSnapshots(last, snapshot);
+    last = snapshot;
+    if (Object.keys(changes).length > 0) onChange(snapshot, changes);
+  }
+
+  if (typeof source.subscribe === 'function') {
+    const unsubscribe = source.subscribe(apply);
+    unsubscribe.refresh = () => {};   // pushes arrive on their own
+    return unsubscribe;
+  }
+
+  let timer = null;
+  let stopped = false;
+  async function poll() {
+    try {
+      apply(await source.load());
+    } catch (e) {
+      // keep showing the last good snapshot rather than blanking the room
+      console.warn(`Data refresh from ${source.name} failed:`, e);
+    }
+    if (stopped) return;
+    clearTimeout(timer);   // a refresh() may have overlapped this poll
+    timer = setTimeout(poll, interval * 1000);
+  }
+  timer = setTimeout(poll, interval * 1000);
+  const stop = () => { stopped = true; clearTimeout(timer); };
+  stop.refresh = () => {
+    if (stopped) return;
+    clearTimeout(timer);
+    poll();
+  };
+  return stop;
+}
+
+// ── change detection ─────────────────────────────────────────────────
+// Stable identity for list items, shared with the panel renderers so they
+// can highlight exactly the rows that changed.
+const ITEM_KEYS = {
+  responders: r => r.name,
+  tasks:      t => String(t.id),
+  timeline:   e => `${e.time} ${e.event}`,
+  monitoring: m => m.service,
+};
+
+export function itemKey(collection, item) {
+  return ITEM_KEYS[collection](item);
+}
+
+// Returns { [snapshotKey]: Set<itemKey> } for every part of the snapshot that
+// differs. The incident record reports changed field names; lists report
+// added or modified items. On the first load every key is present but the
+// sets are empty, since there is nothing to highlight against. A new metric
+// sample alone changes the list (the sparkline moves) but no row lights up.
+export function diffSnapshots(prev, next) {
+  const changes = {};
+  for (const key of Object.keys(next)) {
+    if (prev && JSON.stringify(prev[key]) === JSON.stringify(next[key])) continue;
+    changes[key] = prev ? changedItems(key, prev[key] || [], next[key]) : new Set();
+  }
+  return changes;
+}
+
+function changedItems(key, before, after) {
+  const ids = new Set();
+  if (!Array.isArray(after)) {
+    Object.keys(after).forEach(f => { if (before[f] !== after[f]) ids.add(f); });
+    return ids;
+  }
+  const keyOf = ITEM_KEYS[key];
+  if (!keyOf) return ids;
+  const old = new Map(before.map(item => [keyOf(item), rowText(item)]));
+  after.forEach(item => {
+    const k = keyOf(item);
+    if (old.get(k) !== rowText(item)) ids.add(k);
+  });
+  return ids;
+}
+
+const SAMPLE_FIELDS = new Set(['history', 'sampledAt']);
+
+function rowText(item) {
+  return JSON.stringify(item, (k, v) => (SAMPLE_FIELDS.has(k) ? undefined : v));
+}
+
+// ── mock provider ────────────────────────────────────────────────────
+const MOCK_INCIDENTS = [
+  { incident: INCIDENT, responders: RESPONDERS, tasks: TASKS, timeline: TIMELINE, monitoring: MONITORING, history: HISTORY },
+  PAYMENTS_INCIDENT,
+];
+
+function createMockSource({ incident = INCIDENT.number } = {}) {
+  const mock = MOCK_INCIDENTS.find(m => m.incident.number === incident);
+  if (!mock) throw new Error(`Incident ${incident} not found in mock data`);
+  return {
+    name: 'mock',
+    async load() {
+      return {
+        incident:   mock.incident,
+        responders: mock.responders,
+        tasks:      mock.tasks,
+        timeline:   mockTimeline(mock),
+        monitoring: mock.monitoring.map(m => ({ ...m, checkedAt: onOpeningDay(mock, m.lastCheck) })),
+      };
+    },
+    async loadHistory() {
+      return {
+        audit:   mock.history.audit.map(a => ({ ...a, at: parseDateTime(a.at) })),
+        created: [
+          ...mock.history.created.map(c => ({ ...c, at: parseDateTime(c.at) })),
+          ...mockTimeline(mock).map(e => ({ at: parseDateTime(e.at), collection: 'timeline', key: itemKey('timeline', e) })),
+        ],
+      };
+    },
+    async listIncidents() {
+      return MOCK_INCIDENTS.map(m => m.incident);
+    },
+    // in memory only; a new array so the next load() reads as a change
+    async updateTask(id, changes) {
+      mock.tasks = mock.tasks.map(t => (String(t.id) === String(id) ? { ...t, ...changes } : t));
+    },
+  };
+}
+
+// Mock times of day are UTC on the day the incident opened.
+function onOpeningDay(mock, time) {
+  return `${mock.incident.openedAt.slice(0, 10)}T${time}:00Z`;
+}
+
+function mockTimeline(mock) {
+  return mock.timeline.map(e => ({ ...e, at: onOpeningDay(mock, e.time) }));
+}
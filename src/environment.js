@@ -0,0 +1,108 @@
+// environment.js — Which room to build and which theme to light it with
+//
+// Environment builders put the room's static geometry into a group and block
+// out what stands on the floor on the walkable map:
+//   build(group, { screens, racks }, walkable) → { screens: [{ face, label, alarm }], clock, alarmLights }
+// screens / racks are bearings (rad) from the layout (see layout.js). The
+// builder returns the wall screens it made: `face` is a plane facing the
+// centre, unbatched, that main.js puts a live chart on (see charts.js),
+// `label` the plate above it for the chart's title, or null, and `alarm` a
+// material that flashes when a service on that chart alarms, or null.
+// `alarmLights` are materials that flash for any alarm (see alarms.js);
+// builders keep them apart from the materials nothing flashes. A room with a
+// wall clock returns `clock: { hour, minute, second, label }`: hands that
+// turn about their local Z from 12 o'clock, and the plate under the clock
+// for its time zone (see clock.js); other rooms return clock: null. Every
+// builder provides a podium at the centre for the incident switcher and keeps
+// the floor inside the walkable radius. Detailed rooms pass their static
+// meshes through a batch (see environments/batch.js) to keep draw calls down.
+//
+// ?env=<name> and ?theme=<name> pick them for one visit; otherwise the choice
+// saved from the ⚙ settings is used, and failing that the bunker with its
+// default theme.
+import { buildCommandCenter } from './environments/bunker.js';
+import { buildGlassNoc } from './environments/noc.js';
+import { buildVoid } from './environments/void.js';
+import { THEMES } from './themes.js';
+
+const STORAGE_KEY = 'war-room-scene';
+
+export const ENVIRONMENTS = {
+  bunker: { label: 'Cold-war bunker', build: buildCommandCenter, theme: 'classic' },
+  noc:    { label: 'Glass NOC',       build: buildGlassNoc,      theme: 'glass' },
+  void:   { label: 'Minimal void (low-end devices)', build: buildVoid, theme: 'midnight' },
+};
+
+export const DEFAULT_ENVIRONMENT = 'bunker';
+
+// { environment, theme }: URL first, then the saved choice. A theme of null
+// means the environment's own.
+export function sceneFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const saved = loadScene();
+  let environment = params.get('env') || saved.environment;
+  let theme = params.get('theme') || saved.theme;
+  if (!ENVIRONMENTS[environment]) {
+    if (params.has('env')) console.warn(`Unknown environment "${environment}", using the ${DEFAULT_ENVIRONMENT}`);
+    environment = DEFAULT_ENVIRONMENT;
+  }
+  if (theme && !THEMES[theme]) {
+    console.warn(`Unknown theme "${theme}", using the environment's own`);
+    theme = null;
+  }
+  return { environment, theme: theme || null };
+}
+
+// Theme name in effect for a scene choice.
+export function themeOf(scene) {
+  return scene.theme || ENVIRONMENTS[scene.environment].theme;
+}
+
+function loadScene() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveScene(scene) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scene));
+  } catch (e) {
+    console.warn('Could not save the environment choice:', e);
+  }
+}
+
+// ── settings form (desktop) ──────────────────────────────────────────
+// Edits `scene` in place, saves and calls onChange(scene) on every change.
+// Returns the <form> for the settings menu.
+export function createSceneSection(scene, onChange = () => {}) {
+  const el = document.createElement('form');
+  el.id = 'scene-settings';
+  el.innerHTML = `
+    <h2>Room</h2>
+    <label>Environment
+      <select name="environment">
+        ${Object.entries(ENVIRONMENTS).map(([id, e]) => `<option value="${id}">${e.label}</option>`).join('')}
+      </select>
+    </label>
+    <label>Theme
+      <select name="theme">
+        <option value="">Environment's own</option>
+        ${Object.entries(THEMES).map(([id, t]) => `<option value="${id}">${t.label}</option>`).join('')}
+      </select>
+    </label>`;
+
+  const f = el.elements;
+  f.environment.value = scene.environment;
+  f.theme.value = scene.theme || '';
+
+  el.addEventListener('input', () => {
+    scene.environment = f.environment.value;
+    scene.theme = f.theme.value || null;
+    saveScene(scene);
+    onChange(scene);
+  });
+  return el;
+}
@@ -0,0 +1,53 @@
+// batch.js — Static geometry batching for environment builders
+//
+// A room built from one mesh per part costs one draw call per part. Builders
+// hand their static meshes to a batch instead of the group, positioned as
+// usual (position, rotation, scale, lookAt), and build() then adds:
+//   - an InstancedMesh for every geometry + material that several meshes
+//     share. Parts repeated around the room (LEDs, chairs, monitors…) are built
+//     from one geometry object so they become instances, and
+//   - one merged mesh per material for everything else, baked into place.
+// Meshes must have no parent of their own: their matrix is taken as relative
+// to the group. Lights and anything that moves go into the group directly.
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+export function createStaticBatch() {
+  const parts = new Map();   // geometry → Map(material → [matrix])
+
+  return {
+    add(mesh) {
+      mesh.updateMatrix();
+      if (!parts.has(mesh.geometry)) parts.set(mesh.geometry, new Map());
+      const byMaterial = parts.get(mesh.geometry);
+      if (!byMaterial.has(mesh.material)) byMaterial.set(mesh.material, []);
+      byMaterial.get(mesh.material).push(mesh.matrix.clone());
+      return mesh;
+    },
+
+    build(group) {
+      const merged = new Map();   // material → [geometry baked into place]
+      for (const [geometry, byMaterial] of parts) {
+        let instanced = false;
+        for (const [material, matrices] of byMaterial) {
+          if (matrices.length > 1) {
+            const mesh = new THREE.InstancedMesh(geometry, material, matrices.length);
+            matrices.forEach((m, i) => mesh.setMatrixAt(i, m));
+            mesh.computeBoundingSphere();
+            group.add(mesh);
+            instanced = true;
+          } else {
+            if (!merged.has(material)) merged.set(material, []);
+            merged.get(material).push(geometry.clone().applyMatrix4(matrices[0]));
+          }
+        }
+        if (!instanced) geometry.dispose();
+      }
+      for (const [material, geometries] of merged) {
+        group.add(new THREE.Mesh(mergeGeometries(geometries), material));
+        geometries.forEach(g => g.dispose());
+      }
+      parts.clear();
+    },
+  };
+}
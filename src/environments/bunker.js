@@ -0,0 +1,644 @@
+// bunker.js — The original room: a cold-war command bunker
+//
+// Twelve-sided concrete walls, CRT wall screens, olive consoles in a ring,
+// equipment racks, the commander's podium and a railing around it, lit by
+// fluorescent fixtures. The heaviest of the environments (see environment.js).
+import * as THREE from 'three';
+import { createStaticBatch } from './batch.js';
+
+// screens / racks: bearings (rad) of the big wall screens and the equipment
+// racks, derived from the room layout.
+// Everything standing on the floor is blocked out on the walkable map, and
+// the static meshes go through a batch (see batch.js): well over a thousand
+// parts come out as a few dozen draw calls. The wall screens' faces and title
+// plates and the wall clock's hands stay separate meshes, returned as
+// { screens: [{ face, label, alarm }], clock: { hour, minute, second, label },
+// alarmLights }, with the red LEDs on materials of their own for alarms.
+export function buildCommandCenter(group, { screens, racks }, walkable) {
+  const batch = createStaticBatch();
+
+  // ── materials: cold-war bunker palette ──
+  const concrete     = new THREE.MeshStandardMaterial({ color: 0x908a82, roughness: 0.95, metalness: 0.05 });
+  const concreteLt   = new THREE.MeshStandardMaterial({ color: 0xa09a92, roughness: 0.95, metalness: 0.05 });
+  const steel        = new THREE.MeshStandardMaterial({ color: 0x8a9098, roughness: 0.4, metalness: 0.7 });
+  const darkSteel    = new THREE.MeshStandardMaterial({ color: 0x50555a, roughness: 0.5, metalness: 0.6 });
+  const olive        = new THREE.MeshStandardMaterial({ color: 0x6a7560, roughness: 0.8, metalness: 0.2 });
+  const cream        = new THREE.MeshStandardMaterial({ color: 0xe8e0d0, roughness: 0.85, metalness: 0.05 });
+  const beige        = new THREE.MeshStandardMaterial({ color: 0xc8b898, roughness: 0.8, metalness: 0.1 });
+  const black        = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9, metalness: 0.1 });
+  const brown        = new THREE.MeshStandardMaterial({ color: 0x5a4030, roughness: 0.85, metalness: 0.1 });
+  const crtGreen     = new THREE.MeshBasicMaterial({ color: 0x33ff66 });
+  const crtDim       = new THREE.MeshBasicMaterial({ color: 0x229944 });
+  const crtAmber     = new THREE.MeshBasicMaterial({ color: 0xffaa22 });
+  const redLight     = new THREE.MeshBasicMaterial({ color: 0xff3333 });
+  const alarmLed     = new THREE.MeshBasicMaterial({ color: 0xff3333 });   // red LEDs that flash on alarms
+  const warmWhite    = new THREE.MeshBasicMaterial({ color: 0xfff8e8 });
+  const darkScreen   = new THREE.MeshBasicMaterial({ color: 0x0c3010 });
+  const screenGlow   = new THREE.MeshBasicMaterial({ color: 0x1a5a20 });
+  const blueGrey     = new THREE.MeshStandardMaterial({ color: 0x607080, roughness: 0.7, metalness: 0.3 });
+  const yellow       = new THREE.MeshStandardMaterial({ color: 0xddcc44, roughness: 0.7, metalness: 0.1 });
+
+  // indicator lights and LEDs: one unit disc, scaled to size, so they instance
+  const ledGeo = new THREE.CircleGeometry(1, 8);
+
+  // helper: add a mesh to the group
+  function box(w, h, d, mat, x, y, z) {
+    const m = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), mat);
+    m.position.set(x, y, z);
+    return m;
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // FLOOR
+  // ══════════════════════════════════════════════════════════════════
+  const floor = new THREE.Mesh(
+    new THREE.CircleGeometry(14, 64),
+    new THREE.MeshStandardMaterial({ color: 0x686862, roughness: 0.9, metalness: 0.1 })
+  );
+  floor.rotation.x = -Math.PI / 2;
+  floor.position.y = -0.01;
+  batch.add(floor);
+
+  // tile grid lines
+  for (let i = -12; i <= 12; i += 1.5) {
+    const h = new THREE.Mesh(new THREE.BoxGeometry(28, 0.005, 0.02), darkSteel);
+    h.position.set(0, 0.001, i);
+    batch.add(h);
+    const v = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.005, 28), darkSteel);
+    v.position.set(i, 0.001, 0);
+    batch.add(v);
+  }
+
+  // raised center platform
+  const plat = new THREE.Mesh(new THREE.CylinderGeometry(1.6, 1.8, 0.12, 8), steel);
+  plat.position.y = 0.06;
+  batch.add(plat);
+
+  // yellow/black hazard stripe ring around platform
+  for (let i = 0; i < 16; i++) {
+    const a = (i / 16) * Math.PI * 2;
+    const stripe = new THREE.Mesh(
+      new THREE.BoxGeometry(0.3, 0.005, 0.12),
+      i % 2 === 0 ? yellow : black
+    );
+    stripe.position.set(Math.sin(a) * 2.0, 0.005, -Math.cos(a) * 2.0);
+    stripe.rotation.y = a;
+    batch.add(stripe);
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // WALLS — 12-sided bunker
+  // ══════════════════════════════════════════════════════════════════
+  const wallR = 12, wallH = 6, wallSides = 12;
+  for (let i = 0; i < wallSides; i++) {
+    const a1 = (i / wallSides) * Math.PI * 2;
+    const a2 = ((i + 1) / wallSides) * Math.PI * 2;
+    const x1 = Math.sin(a1) * wallR, z1 = -Math.cos(a1) * wallR;
+    const x2 = Math.sin(a2) * wallR, z2 = -Math.cos(a2) * wallR;
+    const cx = (x1 + x2) / 2, cz = (z1 + z2) / 2;
+    const segW = Math.sqrt((x2 - x1) ** 2 + (z2 - z1) ** 2);
+
+    const panel = new THREE.Mesh(new THREE.BoxGeometry(segW, wallH, 0.3), concrete);
+    panel.position.set(cx, wallH / 2, cz);
+    panel.lookAt(0, wallH / 2, 0);
+    batch.add(panel);
+
+    // horizontal concrete trim strips at 1/3 and 2/3 height
+    for (const ht of [2.0, 4.0]) {
+      const faceMid = (wallR - 0.16);
+      const trim = new THREE.Mesh(new THREE.BoxGeometry(segW - 0.1, 0.08, 0.02), concreteLt);
+      const tx = (x1 + x2) / 2 * (faceMid / wallR);
+      const tz = (z1 + z2) / 2 * (faceMid / wallR);
+      trim.position.set(tx, ht, tz);
+      trim.lookAt(0, ht, 0);
+      batch.add(trim);
+    }
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // CEILING with dropped panel grid and fluorescent fixtures
+  // ══════════════════════════════════════════════════════════════════
+  const ceil = new THREE.Mesh(
+    new THREE.CircleGeometry(12.5, 48),
+    new THREE.MeshStandardMaterial({ color: 0x908880, roughness: 0.9, metalness: 0.05, side: THREE.BackSide })
+  );
+  ceil.rotation.x = Math.PI / 2;
+  ceil.position.y = wallH;
+  batch.add(ceil);
+
+  // ceiling grid (T-bar)
+  for (let i = -10; i <= 10; i += 2.5) {
+    const bar1 = new THREE.Mesh(new THREE.BoxGeometry(24, 0.06, 0.03), steel);
+    bar1.position.set(0, wallH - 0.03, i);
+    batch.add(bar1);
+    const bar2 = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.06, 24), steel);
+    bar2.position.set(i, wallH - 0.03, 0);
+    batch.add(bar2);
+  }
+
+  // fluorescent light fixtures (rectangular boxes with glowing face)
+  const fixturePositions = [
+    [0, 0], [-4, -4], [4, -4], [-4, 4], [4, 4],
+    [-7, 0], [7, 0], [0, -7], [0, 7]
+  ];
+  fixturePositions.forEach(([fx, fz]) => {
+    // fixture housing
+    const housing = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.08, 0.4), steel);
+    housing.position.set(fx, wallH - 0.08, fz);
+    batch.add(housing);
+    // glowing tube
+    const tube = new THREE.Mesh(new THREE.BoxGeometry(1.0, 0.02, 0.25), warmWhite);
+    tube.position.set(fx, wallH - 0.13, fz);
+    batch.add(tube);
+  });
+
+  // ══════════════════════════════════════════════════════════════════
+  // CONSOLE WORKSTATIONS (12 around perimeter)
+  // Operator sits on CENTER side, facing OUTWARD toward wall screens
+  // Layout (center → wall): backrest → chair → keyboard → desk → monitor
+  // ══════════════════════════════════════════════════════════════════
+  const deskCount = 12;
+  // monitor and chair parts are the same at every console, so they instance
+  const monBodyGeo   = new THREE.BoxGeometry(0.52, 0.42, 0.45);
+  const monBezelGeo  = new THREE.BoxGeometry(0.48, 0.38, 0.03);
+  const monScreenGeo = new THREE.PlaneGeometry(0.38, 0.28);
+  const seatGeo      = new THREE.BoxGeometry(0.45, 0.06, 0.4);
+  const backrestGeo  = new THREE.BoxGeometry(0.42, 0.35, 0.04);
+  const pedestalGeo  = new THREE.CylinderGeometry(0.03, 0.03, 0.42, 6);
+  const chairBaseGeo = new THREE.CylinderGeometry(0.2, 0.2, 0.03, 5);
+  for (let i = 0; i < deskCount; i++) {
+    const angle = (i / deskCount) * Math.PI * 2;
+    const r = 9.2;
+    const x = Math.sin(angle) * r;
+    const z = -Math.cos(angle) * r;
+
+    // desk body
+    const deskMain = new THREE.Mesh(new THREE.BoxGeometry(2.4, 0.75, 0.9), olive);
+    deskMain.position.set(x, 0.375, z);
+    deskMain.lookAt(0, 0.375, 0);
+    batch.add(deskMain);
+    walkable.addBox(x, z, 2.4, 0.9, angle);
+
+    // desk top
+    const top = new THREE.Mesh(new THREE.BoxGeometry(2.3, 0.04, 0.85), cream);
+    top.position.set(x, 0.77, z);
+    top.lookAt(0, 0.77, 0);
+    batch.add(top);
+
+    // knee panel (center-facing side, where operator's legs go)
+    const kneePanelR = r - 0.44;
+    const kx = Math.sin(angle) * kneePanelR;
+    const kz = -Math.cos(angle) * kneePanelR;
+    const kneePanel = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.5, 0.04), darkSteel);
+    kneePanel.position.set(kx, 0.35, kz);
+    kneePanel.lookAt(0, 0.35, 0);
+    batch.add(kneePanel);
+
+    // CRT monitor on wall side of desk, screen facing center (toward operator)
+    const monR = r + 0.15;
+    const mx = Math.sin(angle) * monR;
+    const mz = -Math.cos(angle) * monR;
+
+    // monitor body (deep CRT box)
+    const monBody = new THREE.Mesh(monBodyGeo, beige);
+    monBody.position.set(mx, 1.0, mz);
+    monBody.lookAt(0, 1.0, 0);
+    batch.add(monBody);
+
+    // screen bezel (dark frame) — on center-facing side of monitor
+    const bezelR = monR - 0.22;
+    const bx = Math.sin(angle) * bezelR;
+    const bz = -Math.cos(angle) * bezelR;
+    const bezel = new THREE.Mesh(monBezelGeo, darkSteel);
+    bezel.position.set(bx, 1.0, bz);
+    bezel.lookAt(0, 1.0, 0);
+    batch.add(bezel);
+
+    // screen face (dark green CRT)
+    const screenR = monR - 0.24;
+    const sx = Math.sin(angle) * screenR;
+    const sz = -Math.cos(angle) * screenR;
+    const screen = new THREE.Mesh(monScreenGeo, darkScreen);
+    screen.position.set(sx, 1.0, sz);
+    screen.lookAt(0, 1.0, 0);
+    batch.add(screen);
+
+    // CRT scan lines on screen
+    for (let sl = 0; sl < 4; sl++) {
+      const slR = monR - 0.245;
+      const slx = Math.sin(angle) * slR;
+      const slz = -Math.cos(angle) * slR;
+      const scan = new THREE.Mesh(new THREE.PlaneGeometry(0.32, 0.01), crtDim);
+      scan.position.set(slx, 0.88 + sl * 0.08, slz);
+      scan.lookAt(0, 0.88 + sl * 0.08, 0);
+      batch.add(scan);
+    }
+
+    // simulated text data lines on screen (bright green "readout")
+    const textWidths = [0.26, 0.18, 0.30, 0.14, 0.22, 0.28];
+    for (let tl = 0; tl < 6; tl++) {
+      const tlR = monR - 0.246;
+      const tlx = Math.sin(angle) * tlR;
+      const tlz = -Math.cos(angle) * tlR;
+      const w = textWidths[(i + tl) % textWidths.length];
+      const textLine = new THREE.Mesh(new THREE.PlaneGeometry(w, 0.008), crtGreen);
+      const leftOff = -(0.15 - w / 2);
+      textLine.position.set(
+        tlx + Math.cos(angle) * leftOff,
+        0.87 + tl * 0.042,
+        tlz + Math.sin(angle) * leftOff
+      );
+      textLine.lookAt(
+        Math.cos(angle) * leftOff,
+        0.87 + tl * 0.042,
+        Math.sin(angle) * leftOff
+      );
+      batch.add(textLine);
+    }
+
+    // keyboard on desk (center side, in front of operator)
+    const kbR = r - 0.1;
+    const kbx = Math.sin(angle) * kbR;
+    const kbz = -Math.cos(angle) * kbR;
+    const keyboard = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.025, 0.15), beige);
+    keyboard.position.set(kbx, 0.8, kbz);
+    keyboard.lookAt(0, 0.8, 0);
+    batch.add(keyboard);
+    // key area (darker inset) — thin box so lookAt works
+    const keyR = kbR - 0.005;
+    const keyx = Math.sin(angle) * keyR;
+    const keyz = -Math.cos(angle) * keyR;
+    const keys = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.005, 0.12), darkSteel);
+    keys.position.set(keyx, 0.815, keyz);
+    keys.lookAt(0, 0.815, 0);
+    batch.add(keys);
+
+    // desk phone (on desk, wall side, to the right)
+    const phR = r + 0.05;
+    const phx = Math.sin(angle) * phR + Math.cos(angle) * 0.7;
+    const phz = -Math.cos(angle) * phR + Math.sin(angle) * 0.7;
+    const phoneBase = new THREE.Mesh(new THREE.BoxGeometry(0.18, 0.06, 0.22), darkSteel);
+    phoneBase.position.set(phx, 0.81, phz);
+    batch.add(phoneBase);
+    const handset = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.03, 0.2), black);
+    handset.position.set(phx, 0.86, phz);
+    batch.add(handset);
+
+    // coffee mug (center side, to the left of keyboard)
+    const mugR = r - 0.15;
+    const mugx = Math.sin(angle) * mugR - Math.cos(angle) * 0.65;
+    const mugz = -Math.cos(angle) * mugR - Math.sin(angle) * 0.65;
+    const mug = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.03, 0.09, 8), cream);
+    mug.position.set(mugx, 0.835, mugz);
+    batch.add(mug);
+
+    // chair (center side of desk — operator faces outward)
+    const chairR = r - 0.9;
+    const chx = Math.sin(angle) * chairR;
+    const chz = -Math.cos(angle) * chairR;
+    // seat
+    const seat = new THREE.Mesh(seatGeo, brown);
+    seat.position.set(chx, 0.45, chz);
+    seat.lookAt(0, 0.45, 0);
+    batch.add(seat);
+    // backrest (even further toward center, behind operator)
+    const backR = chairR - 0.18;
+    const bkx = Math.sin(angle) * backR;
+    const bkz = -Math.cos(angle) * backR;
+    const backrest = new THREE.Mesh(backrestGeo, brown);
+    backrest.position.set(bkx, 0.7, bkz);
+    backrest.lookAt(0, 0.7, 0);
+    batch.add(backrest);
+    // chair pedestal
+    const pedestal = new THREE.Mesh(pedestalGeo, darkSteel);
+    pedestal.position.set(chx, 0.22, chz);
+    batch.add(pedestal);
+    // chair base star
+    const cbase = new THREE.Mesh(chairBaseGeo, darkSteel);
+    cbase.position.set(chx, 0.02, chz);
+    batch.add(cbase);
+    walkable.addCircle(chx, chz, 0.3);   // seat, base and backrest
+
+    // indicator lights on knee panel (center-facing)
+    for (let j = 0; j < 5; j++) {
+      const indR = r - 0.46;
+      const ix = Math.sin(angle) * indR + Math.cos(angle) * (j - 2) * 0.12;
+      const iz = -Math.cos(angle) * indR + Math.sin(angle) * (j - 2) * 0.12;
+      const mat = j === 0 ? alarmLed : (j < 3 ? crtAmber : crtGreen);
+      const ind = new THREE.Mesh(ledGeo, mat);
+      ind.scale.setScalar(0.02);
+      ind.position.set(ix, 0.55, iz);
+      ind.lookAt(ix - Math.sin(angle), 0.55, iz + Math.cos(angle));
+      batch.add(ind);
+    }
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // BIG WALL SCREENS (matching panel positions by default)
+  // ══════════════════════════════════════════════════════════════════
+  const wallScreens = [];
+  screens.forEach(angle => {
+    const sr = wallR - 0.3;
+    const sx = Math.sin(angle) * sr;
+    const sz = -Math.cos(angle) * sr;
+
+    // screen frame (thick steel border)
+    const frame = new THREE.Mesh(new THREE.BoxGeometry(4.8, 2.8, 0.15), darkSteel);
+    frame.position.set(sx, 3.8, sz);
+    frame.lookAt(0, 3.8, 0);
+    batch.add(frame);
+
+    // inner screen bezel
+    const ibR = sr - 0.08;
+    const ibx = Math.sin(angle) * ibR;
+    const ibz = -Math.cos(angle) * ibR;
+    const innerFrame = new THREE.Mesh(new THREE.BoxGeometry(4.4, 2.4, 0.05), steel);
+    innerFrame.position.set(ibx, 3.8, ibz);
+    innerFrame.lookAt(0, 3.8, 0);
+    batch.add(innerFrame);
+
+    // screen face: a chart surface main.js draws on (see charts.js)
+    const sfR = sr - 0.1;
+    const sfx = Math.sin(angle) * sfR;
+    const sfz = -Math.cos(angle) * sfR;
+    const face = new THREE.Mesh(new THREE.PlaneGeometry(4.0, 2.0), screenGlow);
+    face.position.set(sfx, 3.8, sfz);
+    face.lookAt(0, 3.8, 0);
+    group.add(face);
+
+    // amber title plate above screen, showing the chart's title
+    const labR = sr - 0.11;
+    const labx = Math.sin(angle) * labR;
+    const labz = -Math.cos(angle) * labR;
+    const label = new THREE.Mesh(new THREE.PlaneGeometry(1.8, 0.12), crtAmber);
+    label.position.set(labx, 5.15, labz);
+    label.lookAt(0, 5.15, 0);
+    group.add(label);
+
+    // small red/green status dots flanking label; the red one flashes on
+    // alarms for this screen's chart, so it has a material of its own
+    const alarm = new THREE.MeshBasicMaterial({ color: 0xff3333 });
+    wallScreens.push({ face, label, alarm });
+    for (const side of [-1, 1]) {
+      const dotR = sr - 0.11;
+      const dx = Math.sin(angle) * dotR + Math.cos(angle) * side * 1.2;
+      const dz = -Math.cos(angle) * dotR + Math.sin(angle) * side * 1.2;
+      const dot = new THREE.Mesh(ledGeo, side < 0 ? alarm : crtGreen);
+      dot.scale.setScalar(0.04);
+      dot.position.set(dx, 5.15, dz);
+      dot.lookAt(0, 5.15, 0);
+      batch.add(dot);
+    }
+  });
+
+  // ══════════════════════════════════════════════════════════════════
+  // EQUIPMENT RACKS (between wall screens by default)
+  // ══════════════════════════════════════════════════════════════════
+  racks.forEach(angle => {
+    const rr = wallR - 0.4;
+    const rx = Math.sin(angle) * rr;
+    const rz = -Math.cos(angle) * rr;
+
+    // rack cabinet
+    const rack = new THREE.Mesh(new THREE.BoxGeometry(1.2, 5.2, 0.7), darkSteel);
+    rack.position.set(rx, 2.6, rz);
+    rack.lookAt(0, 2.6, 0);
+    batch.add(rack);
+    walkable.addBox(rx, rz, 1.2, 0.7, angle);
+
+    // rack face plate (slightly lighter)
+    const fpR = rr - 0.36;
+    const fpx = Math.sin(angle) * fpR;
+    const fpz = -Math.cos(angle) * fpR;
+    const faceplate = new THREE.Mesh(new THREE.PlaneGeometry(1.0, 4.8), blueGrey);
+    faceplate.position.set(fpx, 2.6, fpz);
+    faceplate.lookAt(0, 2.6, 0);
+    batch.add(faceplate);
+
+    // rack unit dividers (horizontal lines)
+    for (let ru = 0; ru < 12; ru++) {
+      const ruR = rr - 0.37;
+      const rux = Math.sin(angle) * ruR;
+      const ruz = -Math.cos(angle) * ruR;
+      const divider = new THREE.Mesh(new THREE.PlaneGeometry(0.95, 0.01), steel);
+      divider.position.set(rux, 0.5 + ru * 0.4, ruz);
+      divider.lookAt(0, 0.5 + ru * 0.4, 0);
+      batch.add(divider);
+    }
+
+    // blinking LEDs (varied colors)
+    for (let j = 0; j < 12; j++) {
+      const ledR = rr - 0.38;
+      const row = Math.floor(j / 3);
+      const col = j % 3;
+      const lx = Math.sin(angle) * ledR + Math.cos(angle) * (col - 1) * 0.2;
+      const lz = -Math.cos(angle) * ledR + Math.sin(angle) * (col - 1) * 0.2;
+      const mat = col === 0 ? alarmLed : (col === 1 ? crtAmber : crtGreen);
+      const led = new THREE.Mesh(ledGeo, mat);
+      led.scale.setScalar(0.02);
+      led.position.set(lx, 0.7 + row * 1.1, lz);
+      led.lookAt(0, 0.7 + row * 1.1, 0);
+      batch.add(led);
+    }
+
+    // ventilation grille at top
+    const ventR = rr - 0.37;
+    const vx = Math.sin(angle) * ventR;
+    const vz = -Math.cos(angle) * ventR;
+    for (let vs = 0; vs < 4; vs++) {
+      const vslot = new THREE.Mesh(new THREE.PlaneGeometry(0.6, 0.02), black);
+      vslot.position.set(vx, 4.8 + vs * 0.08, vz);
+      vslot.lookAt(0, 4.8 + vs * 0.08, 0);
+      batch.add(vslot);
+    }
+  });
+
+  // ══════════════════════════════════════════════════════════════════
+  // CABLE TRAYS on ceiling
+  // ══════════════════════════════════════════════════════════════════
+  for (let i = 0; i < 3; i++) {
+    const angle = (i / 3) * Math.PI;
+    const tray = new THREE.Mesh(new THREE.BoxGeometry(20, 0.04, 0.3), darkSteel);
+    tray.position.set(0, wallH - 0.15, 0);
+    tray.rotation.y = angle;
+    batch.add(tray);
+    // cable bundles
+    const cable = new THREE.Mesh(new THREE.BoxGeometry(18, 0.06, 0.12), black);
+    cable.position.set(0, wallH - 0.2, 0);
+    cable.rotation.y = angle;
+    batch.add(cable);
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // WALL DETAILS: pipes, conduit, fire extinguisher, signs
+  // ══════════════════════════════════════════════════════════════════
+
+  // vertical pipe runs (between every other wall segment)
+  const bracketGeo = new THREE.BoxGeometry(0.12, 0.04, 0.08);
+  for (let i = 0; i < 6; i++) {
+    const angle = (i / 6) * Math.PI * 2 + Math.PI / 12;
+    const pipeR = wallR - 0.6;
+    const px = Math.sin(angle) * pipeR;
+    const pz = -Math.cos(angle) * pipeR;
+    const pipe = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, wallH, 8), steel);
+    pipe.position.set(px, wallH / 2, pz);
+    batch.add(pipe);
+    // pipe brackets
+    for (const bh of [1.5, 3.0, 4.5]) {
+      const bracket = new THREE.Mesh(bracketGeo, steel);
+      bracket.position.set(px, bh, pz);
+      bracket.lookAt(0, bh, 0);
+      batch.add(bracket);
+    }
+  }
+
+  // fire extinguisher (on one wall)
+  {
+    const fAngle = Math.PI * 0.35;
+    const fR = wallR - 0.6;
+    const fx = Math.sin(fAngle) * fR;
+    const fz = -Math.cos(fAngle) * fR;
+    const extBody = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.35, 8),
+      new THREE.MeshStandardMaterial({ color: 0xcc2222, roughness: 0.6, metalness: 0.3 }));
+    extBody.position.set(fx, 1.2, fz);
+    batch.add(extBody);
+    const extTop = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.04, 0.08, 8), darkSteel);
+    extTop.position.set(fx, 1.4, fz);
+    batch.add(extTop);
+  }
+
+  // wall clock: face, rim and hour ticks are static; the hands and the zone
+  // plate below are returned for main.js to turn and label (see clock.js)
+  let clock;
+  {
+    const cAngle = Math.PI * 1.15;
+    const cR = wallR - 0.6;
+    const cx = Math.sin(cAngle) * cR;
+    const cz = -Math.cos(cAngle) * cR;
+    const clockFace = new THREE.Mesh(new THREE.CircleGeometry(0.25, 24), cream);
+    clockFace.position.set(cx, 4.8, cz);
+    clockFace.lookAt(0, 4.8, 0);
+    batch.add(clockFace);
+    const clockRim = new THREE.Mesh(new THREE.RingGeometry(0.23, 0.27, 24), darkSteel);
+    clockRim.position.set(cx * 0.998, 4.8, cz * 0.998);
+    clockRim.lookAt(0, 4.8, 0);
+    batch.add(clockRim);
+
+    // hour ticks, the quarters longer; placed along the face's own axes
+    const tickGeo = new THREE.BoxGeometry(0.012, 0.035, 0.004);
+    const quarterGeo = new THREE.BoxGeometry(0.02, 0.06, 0.004);
+    for (let h = 0; h < 12; h++) {
+      const a = h / 12 * Math.PI * 2;
+      const quarter = h % 3 === 0;
+      const tick = new THREE.Mesh(quarter ? quarterGeo : tickGeo, black);
+      tick.position.set(cx, 4.8, cz);
+      tick.lookAt(0, 4.8, 0);
+      tick.translateZ(0.004);
+      tick.translateX(Math.sin(a) * (quarter ? 0.19 : 0.2));
+      tick.translateY(Math.cos(a) * (quarter ? 0.19 : 0.2));
+      tick.rotateZ(-a);
+      batch.add(tick);
+    }
+
+    // hands pivot on the centre; each points up (12 o'clock) at rotation 0
+    const hands = new THREE.Group();
+    hands.position.set(cx, 4.8, cz);
+    hands.lookAt(0, 4.8, 0);
+    group.add(hands);
+    function hand(length, width, depth, mat) {
+      const geo = new THREE.BoxGeometry(width, length + 0.03, 0.004);
+      geo.translate(0, length / 2 - 0.015, depth);
+      const mesh = new THREE.Mesh(geo, mat);
+      hands.add(mesh);
+      return mesh;
+    }
+    const hub = new THREE.Mesh(new THREE.CircleGeometry(0.012, 12), redLight);
+    hub.position.z = 0.02;
+    hands.add(hub);
+
+    const plate = new THREE.Mesh(new THREE.PlaneGeometry(0.5, 0.08), crtAmber);
+    plate.position.set(cx * 0.998, 4.46, cz * 0.998);
+    plate.lookAt(0, 4.46, 0);
+    group.add(plate);
+
+    clock = {
+      hour:   hand(0.12, 0.022, 0.008, black),
+      minute: hand(0.18, 0.014, 0.012, black),
+      second: hand(0.2, 0.006, 0.016, redLight),
+      label:  plate,
+    };
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // CENTER AREA: commander's podium
+  // ══════════════════════════════════════════════════════════════════
+  // podium desk
+  const podium = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.9, 0.5), olive);
+  podium.position.set(0, 0.57, 0);
+  batch.add(podium);
+  walkable.addBox(0, 0, 1.2, 0.5);
+  const podiumTop = new THREE.Mesh(new THREE.BoxGeometry(1.15, 0.03, 0.48), cream);
+  podiumTop.position.set(0, 1.025, 0);
+  batch.add(podiumTop);
+
+  // podium phone
+  const pPhone = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.05, 0.2), darkSteel);
+  pPhone.position.set(0.4, 1.07, 0);
+  batch.add(pPhone);
+  const pHandset = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.03, 0.18), 
+    new THREE.MeshStandardMaterial({ color: 0xcc2222, roughness: 0.7, metalness: 0.2 })); // red phone!
+  pHandset.position.set(0.4, 1.1, 0);
+  batch.add(pHandset);
+
+  // ══════════════════════════════════════════════════════════════════
+  // RAILING around center area
+  // ══════════════════════════════════════════════════════════════════
+  const railR = 3.0;
+  const railPosts = 12;
+  walkable.addRing(railR, 0.04);
+  for (let i = 0; i < railPosts; i++) {
+    const a = (i / railPosts) * Math.PI * 2;
+    const rpx = Math.sin(a) * railR;
+    const rpz = -Math.cos(a) * railR;
+    // post
+    const post = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.9, 6), steel);
+    post.position.set(rpx, 0.45, rpz);
+    batch.add(post);
+  }
+  // top rail (ring)
+  const topRail = new THREE.Mesh(new THREE.TorusGeometry(railR, 0.02, 6, 48), steel);
+  topRail.rotation.x = Math.PI / 2;
+  topRail.position.y = 0.9;
+  batch.add(topRail);
+  // mid rail
+  const midRail = new THREE.Mesh(new THREE.TorusGeometry(railR, 0.015, 6, 48), steel);
+  midRail.rotation.x = Math.PI / 2;
+  midRail.position.y = 0.5;
+  batch.add(midRail);
+
+  batch.build(group);
+
+  // ══════════════════════════════════════════════════════════════════
+  // LIGHTING
+  // ══════════════════════════════════════════════════════════════════
+  const mainLight = new THREE.PointLight(0xfff5e0, 2.0, 30);
+  mainLight.position.set(0, 5.5, 0);
+  group.add(mainLight);
+
+  for (let i = 0; i < 8; i++) {
+    const a = (i / 8) * Math.PI * 2;
+    const oLight = new THREE.PointLight(0xfff0d0, 1.0, 16);
+    oLight.position.set(Math.sin(a) * 7, 5.5, -Math.cos(a) * 7);
+    group.add(oLight);
+  }
+
+  const deskFill = new THREE.PointLight(0xffe8c0, 0.8, 20);
+  deskFill.position.set(0, 2.0, 0);
+  group.add(deskFill);
+
+  const greenUp = new THREE.PointLight(0x33ff66, 0.2, 12);
+  greenUp.position.set(0, 1.2, 0);
+  group.add(greenUp);
+
+  return { screens: wallScreens, clock, alarmLights: [alarmLed] };
+}
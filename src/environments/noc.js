@@ -0,0 +1,171 @@
+// noc.js — A modern network operations centre with glass walls
+//
+// Polished dark floor, a twelve-sided glass curtain wall on a low plinth,
+// frameless wall displays, white desks with widescreen monitors, glass-fronted
+// server cabinets, a glass balustrade around the centre and an LED ring in
+// the ceiling. Same footprint as the bunker, so layouts place panels the same.
+import * as THREE from 'three';
+import { createStaticBatch } from './batch.js';
+
+const WALL_R = 12;
+const WALL_H = 5;
+const SIDES  = 12;
+
+export function buildGlassNoc(group, { screens, racks }, walkable) {
+  const batch = createStaticBatch();
+
+  // ── materials ──
+  const floorMat  = new THREE.MeshStandardMaterial({ color: 0x1c2430, roughness: 0.25, metalness: 0.5 });
+  const plinth    = new THREE.MeshStandardMaterial({ color: 0x2a3440, roughness: 0.6, metalness: 0.3 });
+  const glass     = new THREE.MeshStandardMaterial({ color: 0x9cc4e4, roughness: 0.05, metalness: 0.1, transparent: true, opacity: 0.18, side: THREE.DoubleSide, depthWrite: false });
+  const aluminium = new THREE.MeshStandardMaterial({ color: 0xc0c8d0, roughness: 0.3, metalness: 0.8 });
+  const white     = new THREE.MeshStandardMaterial({ color: 0xf0f2f5, roughness: 0.4, metalness: 0.1 });
+  const graphite  = new THREE.MeshStandardMaterial({ color: 0x2b2f36, roughness: 0.6, metalness: 0.3 });
+  const ceilMat   = new THREE.MeshStandardMaterial({ color: 0xe6e9ee, roughness: 0.9, metalness: 0.0, side: THREE.BackSide });
+  const display   = new THREE.MeshBasicMaterial({ color: 0x0d2a44 });
+  const bezel     = new THREE.MeshStandardMaterial({ color: 0x111418, roughness: 0.5, metalness: 0.4 });
+  const ledWhite  = new THREE.MeshBasicMaterial({ color: 0xf4f8ff });
+  const ledCyan   = new THREE.MeshBasicMaterial({ color: 0x4fc3f7 });
+
+  // a mesh at bearing `angle`, `r` from the centre, facing the centre (batched)
+  function facing(mesh, angle, r, y) {
+    mesh.position.set(Math.sin(angle) * r, y, -Math.cos(angle) * r);
+    mesh.lookAt(0, y, 0);
+    batch.add(mesh);
+    return mesh;
+  }
+
+  // ── floor, with a light strip around the central area ──
+  const floor = new THREE.Mesh(new THREE.CircleGeometry(14, 64), floorMat);
+  floor.rotation.x = -Math.PI / 2;
+  floor.position.y = -0.01;
+  batch.add(floor);
+  const inlay = new THREE.Mesh(new THREE.RingGeometry(1.95, 2.0, 64), ledCyan);
+  inlay.rotation.x = -Math.PI / 2;
+  inlay.position.y = 0.002;
+  batch.add(inlay);
+
+  // ── glass curtain wall on a plinth, aluminium mullions at the corners ──
+  for (let i = 0; i < SIDES; i++) {
+    const a1 = (i / SIDES) * Math.PI * 2;
+    const mid = a1 + Math.PI / SIDES;
+    const segW = 2 * WALL_R * Math.sin(Math.PI / SIDES);
+    const apothem = WALL_R * Math.cos(Math.PI / SIDES);
+    facing(new THREE.Mesh(new THREE.BoxGeometry(segW, 0.6, 0.3), plinth), mid, apothem, 0.3);
+    facing(new THREE.Mesh(new THREE.PlaneGeometry(segW, WALL_H - 0.6), glass), mid, apothem, 0.6 + (WALL_H - 0.6) / 2);
+    const mullion = new THREE.Mesh(new THREE.BoxGeometry(0.08, WALL_H, 0.08), aluminium);
+    mullion.position.set(Math.sin(a1) * WALL_R, WALL_H / 2, -Math.cos(a1) * WALL_R);
+    batch.add(mullion);
+  }
+
+  // ── ceiling with an LED ring ──
+  const ceil = new THREE.Mesh(new THREE.CircleGeometry(12.5, 48), ceilMat);
+  ceil.rotation.x = Math.PI / 2;
+  ceil.position.y = WALL_H;
+  batch.add(ceil);
+  const ledRing = new THREE.Mesh(new THREE.TorusGeometry(6, 0.05, 6, 96), ledWhite);
+  ledRing.rotation.x = Math.PI / 2;
+  ledRing.position.y = WALL_H - 0.05;
+  batch.add(ledRing);
+
+  // ── desks: white top on two legs, a widescreen monitor, a task chair ──
+  const deskCount = 12;
+  const deskTopGeo = new THREE.BoxGeometry(2.4, 0.04, 0.9);
+  const legGeo     = new THREE.BoxGeometry(0.06, 0.72, 0.8);
+  const bezelGeo   = new THREE.BoxGeometry(1.3, 0.45, 0.03);
+  const monitorGeo = new THREE.PlaneGeometry(1.24, 0.39);
+  const seatGeo    = new THREE.CylinderGeometry(0.25, 0.25, 0.08, 16);
+  const stemGeo    = new THREE.CylinderGeometry(0.03, 0.03, 0.42, 8);
+  const backGeo    = new THREE.BoxGeometry(0.44, 0.5, 0.05);
+  for (let i = 0; i < deskCount; i++) {
+    const angle = (i / deskCount) * Math.PI * 2;
+    const r = 9.2;
+    facing(new THREE.Mesh(deskTopGeo, white), angle, r, 0.74);
+    for (const side of [-1, 1]) {
+      const leg = new THREE.Mesh(legGeo, aluminium);
+      leg.position.set(
+        Math.sin(angle) * r + Math.cos(angle) * side * 1.1, 0.36,
+        -Math.cos(angle) * r + Math.sin(angle) * side * 1.1
+      );
+      leg.rotation.y = -angle;
+      batch.add(leg);
+    }
+    walkable.addBox(Math.sin(angle) * r, -Math.cos(angle) * r, 2.4, 0.9, angle);
+
+    facing(new THREE.Mesh(bezelGeo, bezel), angle, r + 0.3, 1.1);
+    facing(new THREE.Mesh(monitorGeo, display), angle, r + 0.28, 1.1);
+
+    const cr = r - 0.85;
+    const chx = Math.sin(angle) * cr, chz = -Math.cos(angle) * cr;
+    const seat = new THREE.Mesh(seatGeo, graphite);
+    seat.position.set(chx, 0.46, chz);
+    batch.add(seat);
+    const stem = new THREE.Mesh(stemGeo, aluminium);
+    stem.position.set(chx, 0.21, chz);
+    batch.add(stem);
+    facing(new THREE.Mesh(backGeo, graphite), angle, cr - 0.24, 0.8);
+    walkable.addCircle(chx, chz, 0.3);
+  }
+
+  // ── frameless wall displays where the layout wants screens. The display
+  // surface stays its own mesh for main.js to draw a chart on; no title plate.
+  // The LED strip under each flashes on alarms for its chart ──
+  const wallScreens = [];
+  screens.forEach(angle => {
+    facing(new THREE.Mesh(new THREE.BoxGeometry(3.8, 2.2, 0.06), bezel), angle, WALL_R - 0.45, 3.0);
+    const face = new THREE.Mesh(new THREE.PlaneGeometry(3.7, 2.1), display);
+    face.position.set(Math.sin(angle) * (WALL_R - 0.49), 3.0, -Math.cos(angle) * (WALL_R - 0.49));
+    face.lookAt(0, 3.0, 0);
+    group.add(face);
+    const alarm = new THREE.MeshBasicMaterial({ color: 0x4fc3f7 });
+    wallScreens.push({ face, label: null, alarm });
+    facing(new THREE.Mesh(new THREE.PlaneGeometry(3.7, 0.03), alarm), angle, WALL_R - 0.49, 1.85);
+  });
+
+  // ── glass-fronted server cabinets between them; their LEDs flash on alarms ──
+  const rackLed = new THREE.MeshBasicMaterial({ color: 0x4fc3f7 });
+  racks.forEach(angle => {
+    const rr = WALL_R - 0.8;
+    facing(new THREE.Mesh(new THREE.BoxGeometry(1.2, 2.2, 0.7), graphite), angle, rr, 1.1);
+    facing(new THREE.Mesh(new THREE.PlaneGeometry(1.1, 2.1), glass), angle, rr - 0.36, 1.1);
+    for (let u = 0; u < 8; u++) {
+      facing(new THREE.Mesh(new THREE.PlaneGeometry(0.9, 0.012), rackLed), angle, rr - 0.355, 0.3 + u * 0.24);
+    }
+    walkable.addBox(Math.sin(angle) * rr, -Math.cos(angle) * rr, 1.2, 0.7, angle);
+  });
+
+  // ── commander's podium (the incident switcher sits on it) ──
+  const podium = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.9, 0.5), white);
+  podium.position.set(0, 0.45, 0);
+  batch.add(podium);
+  const podiumTop = new THREE.Mesh(new THREE.BoxGeometry(1.3, 0.04, 0.6), graphite);
+  podiumTop.position.set(0, 0.92, 0);
+  batch.add(podiumTop);
+  walkable.addBox(0, 0, 1.2, 0.5);
+
+  // ── glass balustrade around the centre ──
+  const railR = 3.0;
+  const balustrade = new THREE.Mesh(new THREE.CylinderGeometry(railR, railR, 0.9, 64, 1, true), glass);
+  balustrade.position.y = 0.45;
+  batch.add(balustrade);
+  const handrail = new THREE.Mesh(new THREE.TorusGeometry(railR, 0.025, 6, 64), aluminium);
+  handrail.rotation.x = Math.PI / 2;
+  handrail.position.y = 0.92;
+  batch.add(handrail);
+  walkable.addRing(railR, 0.04);
+
+  batch.build(group);
+
+  // ── lighting: cool downlights from the ring ──
+  const main = new THREE.PointLight(0xeef4ff, 1.8, 30);
+  main.position.set(0, 4.6, 0);
+  group.add(main);
+  for (let i = 0; i < 6; i++) {
+    const a = (i / 6) * Math.PI * 2;
+    const down = new THREE.PointLight(0xdde8ff, 0.9, 14);
+    down.position.set(Math.sin(a) * 6, 4.6, -Math.cos(a) * 6);
+    group.add(down);
+  }
+
+  return { screens: wallScreens, clock: null, alarmLights: [rackLed] };
+}
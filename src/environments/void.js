@@ -0,0 +1,40 @@
+// void.js — A minimal environment for low-end devices
+//
+// Just a floor disc with a grid, a podium for the incident switcher and a ring
+// marking the central area: a handful of draw calls and unlit materials, so
+// the frame budget goes to the panels. No walls; the theme's background and
+// fog fill the space, and there are no wall screens for charts.
+import * as THREE from 'three';
+
+export function buildVoid(group, angles, walkable) {
+  const floor = new THREE.Mesh(
+    new THREE.CircleGeometry(12, 48),
+    new THREE.MeshBasicMaterial({ color: 0x0a0a12 })
+  );
+  floor.rotation.x = -Math.PI / 2;
+  floor.position.y = -0.01;
+  group.add(floor);
+
+  const grid = new THREE.PolarGridHelper(12, 12, 8, 48, 0x2a2a44, 0x1a1a2a);
+  grid.position.y = 0.001;
+  group.add(grid);
+
+  // the ring doubles as the room's alarm light
+  const ring = new THREE.Mesh(
+    new THREE.RingGeometry(2.95, 3.0, 64),
+    new THREE.MeshBasicMaterial({ color: 0x4a4a7a, side: THREE.DoubleSide })
+  );
+  ring.rotation.x = -Math.PI / 2;
+  ring.position.y = 0.003;
+  group.add(ring);
+
+  const podium = new THREE.Mesh(
+    new THREE.BoxGeometry(1.2, 0.9, 0.5),
+    new THREE.MeshBasicMaterial({ color: 0x1c1c2c })
+  );
+  podium.position.set(0, 0.45, 0);
+  group.add(podium);
+  walkable.addBox(0, 0, 1.2, 0.5);
+
+  return { screens: [], clock: null, alarmLights: [ring.material] };
+}
@@ -0,0 +1,159 @@
+// hands.js — WebXR hand tracking: hand models, poke and the palm-up menu
+//
+// Tracked hands arrive as XR input sources just like controllers, and a pinch
+// is a hand's select action. So renderer.xr.getController(i) fires
+// selectstart / selectend for pinch-and-point, and everything wired to
+// onSelect in main.js (teleport, panel rows, the scrubber) works the same with
+// hands. This module adds what hands need on top of that:
+//   - rendered hand models on renderer.xr.getHand(i);
+//   - poke: pushing an index fingertip into a panel presses the row under it,
+//     reported through onPoke(origin, direction), a short ray into the panel;
+//   - palm-up: holding a hand palm-up shows `menu` (an Object3D) over it,
+//     facing the viewer, and calls onMenuOpen() so it can be redrawn. The
+//     other hand pokes or pinches its buttons.
+import * as THREE from 'three';
+import { XRHandModelFactory } from 'three/addons/webxr/XRHandModelFactory.js';
+
+const POKE_DEPTH    = 0.01;   // m in front of the surface that counts as a press
+const POKE_RELEASE  = 0.03;   // m the finger must back off before the next press
+const POKE_BEHIND   = 0.06;   // fingers further through the panel than this are ignored
+const PALM_UP       = 0.75;   // palm normal · up to open the menu
+const PALM_AWAY     = 0.4;    // … and to close it again
+const PALM_HOLD_S   = 0.3;    // how long the palm must stay up
+const MENU_LIFT     = 0.12;   // m above the palm
+
+export function createHands({ renderer, rig, camera, pokeTargets, onPoke, menu = null, onMenuOpen = () => {} }) {
+  const factory = new XRHandModelFactory();
+  const hands = [0, 1].map(i => {
+    const hand = renderer.xr.getHand(i);
+    hand.add(factory.createHandModel(hand, 'mesh'));
+    rig.add(hand);
+    const state = { hand, handedness: null, pressed: null, palmUpFor: 0 };
+    hand.addEventListener('connected', e => { if (e.data.hand) state.handedness = e.data.handedness; });
+    hand.addEventListener('disconnected', () => { state.handedness = null; state.pressed = null; });
+    return state;
+  });
+  let menuHand = null;   // the hand state the menu is open over
+  if (menu) menu.visible = false;
+
+  const _tip = new THREE.Vector3();
+  const _local = new THREE.Vector3();
+  const _normal = new THREE.Vector3();
+  const _scale = new THREE.Vector3();
+  const _quat = new THREE.Quaternion();
+  const _up = new THREE.Vector3(0, 1, 0);
+  const _head = new THREE.Vector3();
+
+  function tracked(state) {
+    return state.handedness !== null && state.hand.visible && joint(state, 'wrist');
+  }
+
+  function joint(state, name) {
+    const j = state.hand.joints[name];
+    return j && j.visible ? j : null;
+  }
+
+  // Presses the panel an index fingertip has been pushed into, once per push.
+  function updatePoke(state) {
+    const tip = joint(state, 'index-finger-tip');
+    if (!tip) return;
+    tip.getWorldPosition(_tip);
+
+    if (state.pressed) {
+      const depth = depthOf(state.pressed, _tip);
+      if (depth === null || depth > POKE_RELEASE) state.pressed = null;
+      return;
+    }
+    for (const mesh of pokeTargets()) {
+      if (!mesh.visible || (menuHand === state && mesh === menu)) continue;
+      const depth = depthOf(mesh, _tip);
+      if (depth === null || depth > POKE_DEPTH || depth < -POKE_BEHIND) continue;
+      state.pressed = mesh;
+      mesh.getWorldQuaternion(_quat);
+      _normal.set(0, 0, 1).applyQuaternion(_quat);
+      const origin = _tip.clone().addScaledVector(_normal, POKE_RELEASE);
+      onPoke(origin, _normal.clone().negate());
+      return;
+    }
+  }
+
+  // Distance (m) of a point in front of a panel's face, or null when the
+  // point is off to the side of it.
+  function depthOf(mesh, point) {
+    const { width, height } = mesh.geometry.parameters;
+    _local.copy(point);
+    mesh.worldToLocal(_local);
+    if (Math.abs(_local.x) > width / 2 || Math.abs(_local.y) > height / 2) return null;
+    mesh.getWorldScale(_scale);
+    return _local.z * _scale.z;
+  }
+
+  // Palm normal from the wrist and the index / pinky knuckles; the cross
+  // product points out of the back of a left hand, so flip it for those.
+  function palmNormal(state, out) {
+    const wrist = joint(state, 'wrist');
+    const index = joint(state, 'index-finger-metacarpal');
+    const pinky = joint(state, 'pinky-finger-metacarpal');
+    if (!wrist || !index || !pinky) return null;
+    const w = wrist.getWorldPosition(new THREE.Vector3());
+    const a = index.getWorldPosition(new THREE.Vector3()).sub(w);
+    const b = pinky.getWorldPosition(new THREE.Vector3()).sub(w);
+    out.crossVectors(a, b).normalize();
+    if (state.handedness === 'left') out.negate();
+    return out;
+  }
+
+  function updatePalm(state, dt) {
+    const n = palmNormal(state, _normal);
+    const facing = n ? n.dot(_up) : -1;
+    if (menuHand === state) {
+      if (facing < PALM_AWAY) closeMenu();
+      return;
+    }
+    state.palmUpFor = facing > PALM_UP ? state.palmUpFor + dt : 0;
+    if (menu && menuHand === null && state.palmUpFor >= PALM_HOLD_S) {
+      menuHand = state;
+      menu.visible = true;
+      onMenuOpen();
+    }
+  }
+
+  function closeMenu() {
+    if (menuHand) menuHand.palmUpFor = 0;
+    menuHand = null;
+    if (menu) menu.visible = false;
+  }
+
+  // Keeps the menu floating over the palm, turned towards the viewer.
+  function placeMenu() {
+    const wrist = joint(menuHand, 'wrist');
+    const middle = joint(menuHand, 'middle-finger-metacarpal');
+    if (!wrist || !middle || !palmNormal(menuHand, _normal)) return;
+    const at = wrist.getWorldPosition(new THREE.Vector3())
+      .lerp(middle.getWorldPosition(new THREE.Vector3()), 0.5)
+      .addScaledVector(_normal, MENU_LIFT);
+    if (menu.parent) menu.parent.worldToLocal(at);
+    menu.position.copy(at);
+    menu.lookAt(camera.getWorldPosition(_head));
+  }
+
+  return {
+    // Call once per frame while presenting.
+    update(dt) {
+      hands.forEach(state => {
+        if (!tracked(state)) {
+          if (menuHand === state) closeMenu();
+          return;
+        }
+        updatePoke(state);
+        updatePalm(state, dt);
+      });
+      if (menuHand) placeMenu();
+    },
+
+    // true if any input source is a tracked hand
+    get active() { return hands.some(tracked); },
+
+    closeMenu,
+  };
+}
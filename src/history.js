@@ -0,0 +1,89 @@
+// history.js — Rebuild what the room showed at an earlier moment of the incident
+//
+// Two sources of history, in order of preference:
+//   1. the data source's record history (`loadHistory()`, e.g. ServiceNow
+//      sys_audit), which lets us rewind to any time since the incident opened;
+//   2. snapshots captured locally from live refreshes while the room was open.
+//
+// Source history is { audit, created }:
+//   audit:   [{ at, collection, key, field, from }]  field value before the change at `at`
+//   created: [{ at, collection, key }]               when each list item first existed
+// with `at` in epoch ms. `collection` is a snapshot key; `key` is the
+// itemKey() of the list item (null for the incident record).
+//
+// Monitoring rows with a metric history (see metrics.js) are rewound along it
+// too: their value is the last sample at the time, and their status follows.
+import { itemKey } from './data-source.js';
+import { metricAsOf } from './metrics.js';
+import { parseDateTime } from './time.js';
+
+const LIST_KEYS    = ['responders', 'tasks', 'timeline', 'monitoring'];
+const MAX_CAPTURES = 500;
+
+export function createHistory() {
+  let sourceHistory = null;
+  const captures = [];         // { at, snapshot }, oldest first
+
+  return {
+    get available() {
+      return !!sourceHistory || captures.length > 1;
+    },
+
+    setSourceHistory(history) {
+      sourceHistory = history;
+    },
+
+    capture(snapshot, at = Date.now()) {
+      captures.push({ at, snapshot });
+      if (captures.length > MAX_CAPTURES) captures.shift();
+    },
+
+    // Every moment something changed, oldest first — tick marks and step targets.
+    changeTimes() {
+      const times = sourceHistory
+        ? [...sourceHistory.audit, ...sourceHistory.created].map(e => e.at)
+        : captures.map(c => c.at);
+      return [...new Set(times.filter(Number.isFinite))].sort((a, b) => a - b);
+    },
+
+    // [start, end] in epoch ms for the scrubber; end is the latest known change.
+    range(current) {
+      const opened = parseDateTime(current.incident.openedAt);
+      const times  = this.changeTimes();
+      const start  = Number.isFinite(opened) ? opened : (times[0] || Date.now());
+      const end    = Math.max(start + 60000, times.length ? times[times.length - 1] : start);
+      return [start, end];
+    },
+
+    snapshotAt(current, at) {
+      if (sourceHistory) return rewind(current, sourceHistory, at);
+      let best = captures[0];
+      for (const c of captures) {
+        if (c.at > at) break;
+        best = c;
+      }
+      return best ? best.snapshot : current;
+    },
+  };
+}
+
+// Undo every change after `at`, newest first, then drop items that didn't exist yet.
+function rewind(current, { audit, created }, at) {
+  const snap = structuredClone(current);
+  audit
+    .filter(a => a.at > at)
+    .sort((a, b) => b.at - a.at)
+    .forEach(a => {
+      const target = a.collection === 'incident'
+        ? snap.incident
+        : (snap[a.collection] || []).find(item => itemKey(a.collection, item) === a.key);
+      if (target) target[a.field] = a.from;
+    });
+
+  const future = new Set(created.filter(c => c.at > at).map(c => `${c.collection}|${c.key}`));
+  LIST_KEYS.forEach(col => {
+    if (snap[col]) snap[col] = snap[col].filter(item => !future.has(`${col}|${itemKey(col, item)}`));
+  });
+  if (snap.monitoring) snap.monitoring = snap.monitoring.map(m => metricAsOf(m, at));
+  return snap;
+}
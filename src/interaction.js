@@ -0,0 +1,56 @@
+// interaction.js — Pointer hit-testing on panel canvases
+//
+// A ray hit on a panel mesh is converted through its UV coordinates into
+// canvas pixels, then matched against the hit regions the panel's renderer
+// declared on its last draw. Matches are announced on `panelEvents` as typed
+// events named `<region type>-<action>`, e.g. `task-select`, `responder-select`,
+// `timeline-select`, `service-select`, `field-select`:
+//
+//   panelEvents.addEventListener('task-select', e => console.log(e.detail.item));
+//
+// detail: { panel, region, item, key, x, y, point, source }
+// source: 'controller' | 'hand' | 'mouse'
+
+export const panelEvents = new EventTarget();
+
+// UV origin is bottom-left; canvas origin is top-left.
+export function uvToCanvas(uv, width, height) {
+  return { x: uv.x * width, y: (1 - uv.y) * height };
+}
+
+export function findRegion(regions, x, y) {
+  // later regions were drawn on top, so search back to front
+  for (let i = regions.length - 1; i >= 0; i--) {
+    const r = regions[i];
+    if (x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h) return r;
+  }
+  return null;
+}
+
+// Resolves a raycaster hit against panel records ({ mesh, texture, regions }).
+// Returns null when the hit object is not a panel. The texture's image is the
+// panel's canvas or the bitmap the panel worker drew (see panel-scheduler.js).
+export function resolvePanelHit(hit, panels) {
+  const panel = panels.find(p => p.mesh === hit.object);
+  if (!panel || !hit.uv) return null;
+  const { image } = panel.texture;
+  const { x, y } = uvToCanvas(hit.uv, image.width, image.height);
+  return { panel, x, y, point: hit.point, distance: hit.distance, region: findRegion(panel.regions, x, y) };
+}
+
+export function emitPanelEvent(action, panelHit, source) {
+  const { region } = panelHit;
+  if (!region) return;
+  panelEvents.dispatchEvent(new CustomEvent(`${region.type}-${action}`, {
+    detail: {
+      panel:  panelHit.panel.def.label,
+      region,
+      item:   region.item,
+      key:    region.key,
+      x:      panelHit.x,
+      y:      panelHit.y,
+      point:  panelHit.point,
+      source,
+    },
+  }));
+}
@@ -0,0 +1,153 @@
+// layout.js — Declarative room layout: panels, labels, teleport markers, wall screens and racks
+//
+// Layouts are JSON files in layouts/, picked with ?layout=<name> for
+// layouts/<name>.json, or ?layout=<url>. Angles are degrees around the room
+// centre: 0 is straight ahead (-Z), increasing clockwise seen from above.
+//
+//   panels: {
+//     arrangement: 'arc' | 'grid' | 'explicit',
+//     ids:         [panel id, …]     optional order; defaults to the viewer role's panels
+//     size:        [w, h] metres     keep 4:3, the panel canvas aspect
+//     labelOffset: metres            label height above the panel centre
+//     arc:      radius, y, center (deg), spread (deg, 360 = all the way round)
+//     grid:     columns, angle (deg), distance, y, spacing [x, y] (row-major, top row first)
+//     explicit: transforms [{ id, position [x, y, z], rotationY (deg), size? }]
+//   }
+//   teleport:    { center: bool, rings: [{ radius, at: 'panels' | 'between' }], points: [[x, z], …] }
+//   environment: { screens, racks }   each 'panels' | 'between' | [deg, …]
+//                charts: [chart id, …]   one per wall screen, in the order of screens
+//
+// 'panels' means the bearing of each panel from the room centre; 'between'
+// means halfway between neighbouring panels. Without charts the screens show
+// DEFAULT_CHARTS (see charts.js); screens past the end of the list stay blank.
+
+export const LAYOUT_FORMAT  = 'war-room-layout';
+export const LAYOUT_VERSION = 1;
+
+const ARRANGEMENTS = ['arc', 'grid', 'explicit'];
+const LABEL_GAP    = 0.29;    // label centre above the panel's top edge (m)
+const MARKER_Y     = 0.01;
+const DEG          = Math.PI / 180;
+
+export function layoutFromUrl(search = window.location.search) {
+  const name = new URLSearchParams(search).get('layout') || 'default';
+  return /[/:]|\.json$/.test(name) ? name : `layouts/${name}.json`;
+}
+
+export async function loadLayout(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load layout ${url}: ${res.status}`);
+  return validateLayout(await res.json());
+}
+
+// Throws if `layout` isn't a layout this version can build.
+export function validateLayout(layout) {
+  if (!layout || layout.format !== LAYOUT_FORMAT) throw new Error('Not a war-room layout');
+  if (layout.version > LAYOUT_VERSION) throw new Error(`Layout version ${layout.version} is newer than this room`);
+  const panels = layout.panels || {};
+  if (!ARRANGEMENTS.includes(panels.arrangement)) {
+    throw new Error(`Unknown panel arrangement "${panels.arrangement}" (use ${ARRANGEMENTS.join(', ')})`);
+  }
+  if (panels.arrangement === 'explicit' && !Array.isArray(panels.transforms)) {
+    throw new Error('Explicit layouts need panels.transforms');
+  }
+  if (panels.arrangement === 'grid' && !(panels.columns > 0)) throw new Error('Grid layouts need panels.columns');
+  return layout;
+}
+
+// Where each panel goes: [{ id, position, rotationY (rad), size, labelPosition }].
+// Only panels in `allowed` (the viewer's panels) are placed. Arcs and grids
+// take allowed panels the layout doesn't list (plugin panels, say) after the
+// listed ones. `sizes` maps panel id → [w, h] for panels with their own size.
+export function arrangePanels(layout, allowed, sizes = {}) {
+  const spec = layout.panels;
+  if (spec.arrangement === 'explicit') {
+    const placed = spec.transforms.filter(t => allowed.includes(t.id));
+    const missing = allowed.filter(id => !placed.some(t => t.id === id));
+    if (missing.length > 0) console.warn(`Layout has no position for panels: ${missing.join(', ')}`);
+    return placed.map(t => placement(t.id, t.position, (t.rotationY || 0) * DEG, t.size || sizes[t.id] || spec.size, spec));
+  }
+
+  const ids = spec.ids
+    ? [...spec.ids.filter(id => allowed.includes(id)), ...allowed.filter(id => !spec.ids.includes(id))]
+    : allowed;
+  const sizeOf = id => sizes[id] || spec.size;
+  if (spec.arrangement === 'arc') {
+    const n = ids.length;
+    const full = (spec.spread || 360) >= 360;
+    return ids.map((id, i) => {
+      const deg = full
+        ? (spec.center || 0) + (i / n) * 360
+        : (spec.center || 0) - spec.spread / 2 + (n > 1 ? (i / (n - 1)) * spec.spread : spec.spread / 2);
+      const a = deg * DEG;
+      const x = Math.sin(a) * spec.radius;
+      const z = -Math.cos(a) * spec.radius;            // angle 0 = in front (-Z)
+      return placement(id, [x, spec.y, z], Math.atan2(-x, -z), sizeOf(id), spec);
+    });
+  }
+
+  // grid: a flat wall at `distance` along bearing `angle`, facing the centre
+  const a = (spec.angle || 0) * DEG;
+  const rows = Math.ceil(ids.length / spec.columns);
+  const [sx, sy] = spec.spacing;
+  const right = [Math.cos(a), Math.sin(a)];
+  const cx = Math.sin(a) * spec.distance, cz = -Math.cos(a) * spec.distance;
+  return ids.map((id, i) => {
+    const col = i % spec.columns, row = Math.floor(i / spec.columns);
+    const across = (col - (spec.columns - 1) / 2) * sx;
+    const up     = ((rows - 1) / 2 - row) * sy;
+    return placement(id, [cx + right[0] * across, spec.y + up, cz + right[1] * across], -a, sizeOf(id), spec);
+  });
+}
+
+// labelOffset is for panels of the layout's own size; others get theirs from their height.
+function placement(id, position, rotationY, size, spec) {
+  const offset = spec.labelOffset !== undefined && size === spec.size ? spec.labelOffset : size[1] / 2 + LABEL_GAP;
+  return { id, position, rotationY, size, labelPosition: [position[0], position[1] + offset, position[2]] };
+}
+
+// Floor positions [x, y, z] for the teleport markers.
+export function teleportPoints(layout, placements) {
+  const spec = layout.teleport || {};
+  const points = [];
+  if (spec.center) points.push([0, MARKER_Y, 0]);
+  (spec.rings || []).forEach(ring => {
+    bearings(layout, placements, ring.at).forEach(a => {
+      points.push([Math.sin(a) * ring.radius, MARKER_Y, -Math.cos(a) * ring.radius]);
+    });
+  });
+  (spec.points || []).forEach(([x, z]) => points.push([x, MARKER_Y, z]));
+
+  // grid rows share bearings, so rings can land on the same spot twice
+  const seen = new Set();
+  return points.filter(p => {
+    const key = `${p[0].toFixed(2)},${p[2].toFixed(2)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Bearings (rad) for the environment's wall screens and equipment racks.
+export function environmentAngles(layout, placements) {
+  const spec = layout.environment || {};
+  return {
+    screens: bearings(layout, placements, spec.screens || 'panels'),
+    racks:   bearings(layout, placements, spec.racks || 'between'),
+  };
+}
+
+function bearings(layout, placements, at) {
+  if (Array.isArray(at)) return at.map(deg => deg * DEG);
+  const unique = [...new Set(placements.map(p => Math.round(Math.atan2(p.position[0], -p.position[2]) * 1e4) / 1e4))]
+    .sort((a, b) => a - b);
+  if (at === 'panels') return unique;
+
+  // between neighbours, wrapping round when the panels circle the room
+  const spec = layout.panels;
+  const wraps = spec.arrangement === 'arc' && (spec.spread || 360) >= 360 && unique.length > 1;
+  const mids = [];
+  for (let i = 0; i < unique.length - 1; i++) mids.push((unique[i] + unique[i + 1]) / 2);
+  if (wraps) mids.push((unique[unique.length - 1] + unique[0] + Math.PI * 2) / 2);
+  return mids;
+}
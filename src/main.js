@@ -3,12 +3,46 @@ import * as THREE from 'three';
 import { VRButton }        from 'three/addons/webxr/VRButton.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
 import {
-  renderStatusPanel,
-  renderRespondersPanel,
-  renderTasksPanel,
-  renderTimelinePanel,
-  renderMonitoringPanel,
+  panelDef,
+  pluginPanelIds,
+  renderScrubberPanel,
+  renderIncidentSwitcherPanel,
+  renderArrangePanel,
+  renderHandMenuPanel,
+  renderAlarmPanel,
+  setDisplay,
+  PANEL_W,
+  BG,
+  HEADING,
+  SCRUB_TRACK,
+  NEXT_TASK_STATUS,
 } from './panels.js';
+import { createDataSource, configFromUrl, watchDataSource, diffSnapshots } from './data-source.js';
+import { resolvePanelHit, emitPanelEvent } from './interaction.js';
+import { createPresence, presenceConfigFromUrl, captureLocalPose } from './presence.js';
+import { createNotifier } from './notifications.js';
+import { createVoice, voiceConfigFromUrl } from './voice.js';
+import { createRecorder } from './recorder.js';
+import { createReplay, initialSnapshot } from './replay.js';
+import { createHistory } from './history.js';
+import { ROLES, roleFromUrl, pickRole, applyRole } from './roles.js';
+import { layoutFromUrl, loadLayout, arrangePanels, teleportPoints, environmentAngles } from './layout.js';
+import { pluginsFromUrl, loadPlugins } from './plugins.js';
+import { createArranger } from './arrange.js';
+import { createHands } from './hands.js';
+import { createWalkableMap } from './walkable.js';
+import { createTeleporter } from './teleport.js';
+import { loadComfort, createComfortSection, createVignette } from './comfort.js';
+import { loadAccessibility, displayOptions, createAccessibilitySection, createPanelSummary } from './accessibility.js';
+import { createSettingsMenu } from './settings.js';
+import { ENVIRONMENTS, sceneFromUrl, themeOf, createSceneSection } from './environment.js';
+import { THEMES } from './themes.js';
+import { statsFromUrl, createRenderStats } from './render-stats.js';
+import { createPanelScheduler, panelWorkerFromUrl } from './panel-scheduler.js';
+import { chartDef, chartSeries, chartOfService, DEFAULT_CHARTS } from './charts.js';
+import { timeZonesFromUrl, timeZoneOptions, createTimeSection, createWallClock } from './clock.js';
+import { timeZone, zoneName, formatTime } from './time.js';
+import { loadAlarmSettings, createAlarms, createAlarmSection } from './alarms.js';
 
 // ── globals ──────────────────────────────────────────────────────────
 let camera, scene, renderer;
@@ -19,9 +53,75 @@ const teleportMarkers = [];
 let elapsedTime = 0;
 let prevTime = performance.now();
 let environmentGroup;
-const MOVE_SPEED = 3;
+let environmentBuilt = null;       // ENVIRONMENTS key currently in environmentGroup
+let environmentBearings;           // { screens, racks } from the layout, for rebuilds
+let themeLights;                   // the theme's ambient + directional lights
+let passthrough = false;           // AR session blending the room with the real world
+const sceneChoice = sceneFromUrl(); // environment + theme (see environment.js)
+let ground;                        // invisible floor plane for teleport raycasts
+let walkable;                      // where a person can stand (see walkable.js)
+let teleporter;                    // arc pointer + landing reticle
+const comfort = loadComfort();     // turning, speed, vignette, seated mode (see comfort.js)
+let vignette;                      // tunnel vignette while the stick moves you
+const snapArmed = new WeakMap();   // XRInputSource → stick back near centre since its last snap turn
+const accessibility = loadAccessibility();   // status palette, text size, high contrast
+const timeZones = timeZonesFromUrl();        // display + team time zones (see clock.js)
+setDisplay(roomDisplay());
+let panelSummary;                  // ARIA live text of the panels for screen readers
 const _moveVec = new THREE.Vector3();
 let hoveredRing = null;
+let mouseNdc = null;               // last desktop mouse position over the canvas
+let pointerOverRegion = false;
+let dataSource;
+let dataConfig;                    // data source config from the URL, reused when switching incident
+let stopWatching = null;
+let recorder;
+let replay = null;
+let presence = null;
+let presenceConfig;
+let voice = null;
+let listener;                      // the camera's THREE.AudioListener, for voice and alarms
+const alarmSettings = loadAlarmSettings();   // alarm effects by severity, snooze length (see alarms.js)
+let alarms;                        // service status alarms: sound, flashing, tint
+let alarmPanel = null;             // standing alarms with ACK / SNOOZE, shown while there are any
+let speakingNames = new Set();     // display names currently talking on voice
+let notifier;
+let viewRole;                      // ROLES entry: which panels this visitor sees and how
+let layout;                        // room layout from layouts/*.json (see layout.js)
+let roleView = { from: null, data: null };   // currentData as viewRole may see it
+let currentData;                   // what the panels show: live, or rewound to asOf
+let liveData;                      // latest snapshot from the data source
+let asOf = null;                   // epoch ms the room is rewound to, null = live
+let history;                       // time-travel history of the incident in the room
+let scrubber = null;               // time-travel slider panel under the timeline
+let scrubDrag = null;              // { pointer: 'mouse' | controller, x } while dragging the track
+let switcher = null;               // open-incident list on the podium
+let arranger;                      // grab / move / resize panels, saved per role and incident
+let arrangeControls = null;        // move hint and reset button above the switcher
+let hands;                         // hand tracking: hand models, poke, palm-up menu
+let renderStats = null;            // ?stats draw-call / triangle overlay
+let handMenu = null;               // palm-up menu panel
+let handTalk = false;              // mic held open from the hand menu (hands have no PTT button)
+let openIncidents = [];
+let switching = false;
+const incidents = new Map();       // incident number → { history, scroll: { [panel label]: scroll state } }
+const panels = [];                 // { def, canvas, texture, mesh, regions, hover, scroll, highlight, lastDraw }
+let panelScheduler;                // coalesced, frame-budgeted panel redraws, in a worker where possible
+const textLabels = [];             // { text, canvas, texture } floating titles over the panels
+let wallCharts = [];               // { def, canvas, texture, titleTexture, face, alarm, regions, height } on the wall screens
+let wallChartData = null;          // what the wall charts draw: roleView data + its series
+let wallClock = null;              // the environment's clock hands, if it has a clock
+let wallClockZone = null;          // the zone its plate was last labelled with
+const HIGHLIGHT_MS      = 4000;    // how long a changed row glows after a refresh
+const HIGHLIGHT_STEP_MS = 200;     // redraw cadence while the glow fades
+const SCROLL_SPEED      = 600;     // canvas px per second at full thumbstick
+const STICK_DEADZONE    = 0.15;
+const SNAP_TRIGGER      = 0.7;     // stick deflection that snap-turns …
+const SNAP_RESET        = 0.3;     // … and how far back it must come before the next
+const WALL_CHART_MS     = 30000;   // live charts move on with the clock this often
+const CLOCK_PANEL_MS    = 1000;    // running times on clock panels (see registerPanel)
+const SCRUBBER_FLOOR    = 0.3;     // lowest the time-travel scrubber's bottom edge may hang (m)
+const LABEL_HEIGHT      = 0.32;    // panel name labels (see addTextLabel)
 
 // desktop look
 let isPointerLocked = false;
@@ -29,10 +129,38 @@ let yaw = 0, pitch = 0;
 const keysDown = {};
 
 // ── init ─────────────────────────────────────────────────────────────
-document.fonts.ready.then(() => {
+document.fonts.ready.then(async () => {
   try {
-    init();
-    animate();
+    await loadPlugins(pluginsFromUrl());   // before the data source: plugins may add collections
+    const replayUrl = new URLSearchParams(window.location.search).get('replay');
+    if (replayUrl) {
+      // ?replay=<url of a recording> — build the room from the log, no live source
+      const res = await fetch(replayUrl);
+      if (!res.ok) throw new Error(`Could not load recording ${replayUrl}: ${res.status}`);
+      const log = await res.json();
+      dataSource = { name: 'replay' };
+      currentData = liveData = initialSnapshot(log);
+      history = incidentContext(liveData.incident.number).history;
+      viewRole = ROLES[roleFromUrl(liveData.responders) || await pickRole()];
+      layout = await loadLayout(layoutFromUrl());
+      init();
+      animate();
+      enterReplay(log);
+    } else {
+      dataConfig = configFromUrl();
+      dataSource = createDataSource(dataConfig);
+      currentData = liveData = await dataSource.load();
+      history = incidentContext(liveData.incident.number).history;
+      history.capture(liveData);
+      viewRole = ROLES[roleFromUrl(liveData.responders) || await pickRole()];
+      layout = await loadLayout(layoutFromUrl());
+      init();
+      animate();
+      refreshSourceHistory();
+      refreshIncidentList();
+      setInterval(refreshIncidentList, dataConfig.refresh * 1000);
+      stopWatching = watchDataSource(dataSource, onLiveData, { initial: currentData, interval: dataConfig.refresh });
+    }
   } catch (e) {
     console.error('Init failed:', e);
     const el = document.getElementById('hud');
@@ -49,13 +177,18 @@ function init() {
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.xr.enabled = true;
   document.getElementById('scene-container').appendChild(renderer.domElement);
+  panelScheduler = createPanelScheduler({
+    renderer,
+    prepare: panelJob,
+    plugins: pluginsFromUrl(),
+    display: roomDisplay(),
+    useWorker: panelWorkerFromUrl(),
+  });
 
-  const vrButton = VRButton.createButton(renderer);
+  const vrButton = VRButton.createButton(renderer, { optionalFeatures: ['hand-tracking'] });
   document.getElementById('vr-button-container').appendChild(vrButton);
 
   scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x2a2a28);
-  scene.fog = new THREE.Fog(0x2a2a28, 25, 45);
 
   cameraRig = new THREE.Group();
   scene.add(cameraRig);
@@ -63,89 +196,122 @@ function init() {
   camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 100);
   camera.position.set(0, 1.6, 0);
   cameraRig.add(camera);
+  vignette = createVignette(camera);
+
+  // one listener for everything that sounds in the room; its AudioContext
+  // starts suspended until a user gesture
+  listener = new THREE.AudioListener();
+  camera.add(listener);
+  const resumeAudio = () => { if (listener.context.state === 'suspended') listener.context.resume(); };
+  renderer.domElement.addEventListener('pointerdown', resumeAudio);
+  renderer.xr.addEventListener('sessionstart', resumeAudio);
+  alarms = createAlarms({
+    listener,
+    settings: alarmSettings,
+    locate: locateAlarm,
+    notify: (text, color) => notifier.notify(text, color),
+    onChange: onAlarmsChange,
+  });
+  alarms.observe(liveData.monitoring);
 
-  // lights — bright fluorescent-lit bunker
-  scene.add(new THREE.AmbientLight(0xfff5e8, 1.0));
-  const dir = new THREE.DirectionalLight(0xfff5e0, 1.2);
-  dir.position.set(5, 10, 5);
-  scene.add(dir);
-  const dir2 = new THREE.DirectionalLight(0xfff0d0, 0.6);
-  dir2.position.set(-5, 8, -5);
-  scene.add(dir2);
+  // lights, background and fog come from the theme (see applyTheme)
+  themeLights = new THREE.Group();
+  scene.add(themeLights);
+  applySceneLook();
+
+  // the visitor's role picks which panels go up (plugin panels join every
+  // role), the layout where they go
+  const panelIds = [...viewRole.panels, ...pluginPanelIds().filter(id => !viewRole.panels.includes(id))];
+  const sizes = Object.fromEntries(panelIds.filter(id => panelDef(id).size).map(id => [id, panelDef(id).size]));
+  const placements = arrangePanels(layout, panelIds, sizes);
 
   // environment
   environmentGroup = new THREE.Group();
   scene.add(environmentGroup);
-  buildCommandCenter(environmentGroup);
+  walkable = createWalkableMap({ radius: 11.3 });
+  environmentBearings = environmentAngles(layout, placements);
+  buildEnvironment();
+  setInterval(() => { if (asOf === null) redrawWallCharts(); }, WALL_CHART_MS);
+  setInterval(() => {
+    if (asOf === null) panels.forEach(p => { if (p.def.clock) panelScheduler.request(p); });
+  }, CLOCK_PANEL_MS);
+  if (statsFromUrl()) renderStats = createRenderStats(renderer, document.getElementById('render-stats'), environmentGroup);
 
   // invisible ground for raycasting
-  const ground = new THREE.Mesh(
+  ground = new THREE.Mesh(
     new THREE.PlaneGeometry(30, 30),
     new THREE.MeshBasicMaterial({ visible: false })
   );
   ground.rotation.x = -Math.PI / 2;
   ground.name = 'ground';
   scene.add(ground);
+  teleporter = createTeleporter({ scene, walkable });
+
+  // ── information panels (see the registry in panels.js) ─────────────
+  panelSummary = createPanelSummary(document.getElementById('panel-summary'));
+  // labels are children of their panel, so they move along when it is grabbed
+  placements.forEach(({ id, position, rotationY, size, labelPosition }) => {
+    const def = panelDef(id);
+    const { mesh } = addPanel(def, new THREE.PlaneGeometry(size[0], size[1]), position, rotationY);
+    addTextLabel(def.label, [0, labelPosition[1] - position[1], 0], 0, mesh);
+  });
 
-  // ── information panels — 360° circle ───────────────────────────────
-  const panelRenderers = [
-    { render: renderStatusPanel,     label: 'Incident Status' },
-    { render: renderRespondersPanel, label: 'Active Responders' },
-    { render: renderTasksPanel,      label: 'Action Items' },
-    { render: renderTimelinePanel,   label: 'Incident Timeline' },
-    { render: renderMonitoringPanel, label: 'Service Monitoring' },
-  ];
-
-  const PANEL_R    = 4;      // distance from center
-  const PANEL_Y    = 2.2;    // center height
-  const LABEL_Y    = PANEL_Y + 1.6;
-  const panelCount = panelRenderers.length;
-
-  panelRenderers.forEach((def, i) => {
-    const angle = (i / panelCount) * Math.PI * 2;   // evenly spaced
-    const x = Math.sin(angle) * PANEL_R;
-    const z = -Math.cos(angle) * PANEL_R;            // angle 0 = in front (-Z)
-    const rotY = Math.atan2(-x, -z);                 // face center
-
-    const canvas  = def.render();
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.minFilter = THREE.LinearFilter;
+  // time-travel scrubber hangs under the timeline panel, and goes where it goes;
+  // a panel too near the floor for that gets it above its label instead
+  const timelinePanel = panels.find(p => p.def.label === 'Incident Timeline') || panels[0];
+  const timeline = timelinePanel.mesh;
+  const { width: timelineW, height: timelineH } = timeline.geometry.parameters;
+  const timelinePlacement = placements.find(p => p.id === timelinePanel.def.id) || placements[0];
+  const scrubberBelow = -timelineH / 2 - timelineW / 16 - 0.05;
+  const scrubberY = timeline.position.y + scrubberBelow - timelineW / 16 >= SCRUBBER_FLOOR ? scrubberBelow
+    : timelinePlacement.labelPosition[1] - timelinePlacement.position[1] + LABEL_HEIGHT / 2 + timelineW / 16 + 0.05;
+  scrubber = addPanel(
+    { render: (_, view) => renderScrubberPanel(scrubberState(), view), label: 'Time Travel', deps: [] },
+    new THREE.PlaneGeometry(timelineW, timelineW / 8),
+    [0, scrubberY, 0],
+    0,
+    timeline
+  );
 
-    const geo  = new THREE.PlaneGeometry(3.5, 2.625);
-    const mat  = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
-    const mesh = new THREE.Mesh(geo, mat);
-    mesh.position.set(x, PANEL_Y, z);
-    mesh.rotation.y = rotY;
-    scene.add(mesh);
+  // incident switcher on the commander's podium, tilted back like a lectern
+  switcher = addPanel(
+    { render: (_, view) => renderIncidentSwitcherPanel(switcherState(), view), label: 'Open Incidents', deps: [] },
+    new THREE.PlaneGeometry(1.2, 0.6),
+    [0, 1.38, 0.3],
+    0
+  );
+  switcher.mesh.rotation.x = -0.35;
 
-    addTextLabel(def.label, [x, LABEL_Y, z], rotY);
+  // ── panel arrangement: squeeze to grab, saved per role and incident ─
+  arranger = createArranger({
+    storageKey: arrangementKey(liveData.incident.number),
+    onChange: () => { if (arrangeControls) drawPanel(arrangeControls, performance.now()); },
   });
+  panels.filter(p => p.def.id).forEach(p => arranger.add(p.def.id, p.mesh));
+  arrangeControls = addPanel(
+    { render: (_, view) => renderArrangePanel({ customised: arranger.customised }, view), label: 'Arrange Panels', deps: [] },
+    new THREE.PlaneGeometry(1.2, 0.15),
+    [0, 0.39, 0],
+    0,
+    switcher.mesh
+  );
 
-  // ── teleport markers ──────────────────────────────────────────────
-  const teleportPositions = [[0, 0.01, 0]];  // center
-
-  // inner ring — close reading distance from each panel
-  for (let i = 0; i < panelCount; i++) {
-    const a = (i / panelCount) * Math.PI * 2;
-    teleportPositions.push([Math.sin(a) * 2.2, 0.01, -Math.cos(a) * 2.2]);
-  }
-  // inner ring — between panels
-  for (let i = 0; i < panelCount; i++) {
-    const a = ((i + 0.5) / panelCount) * Math.PI * 2;
-    teleportPositions.push([Math.sin(a) * 2.0, 0.01, -Math.cos(a) * 2.0]);
-  }
-  // outer ring — stepped back from each panel
-  for (let i = 0; i < panelCount; i++) {
-    const a = (i / panelCount) * Math.PI * 2;
-    teleportPositions.push([Math.sin(a) * 5.0, 0.01, -Math.cos(a) * 5.0]);
-  }
-  // outer ring — between panels
-  for (let i = 0; i < panelCount; i++) {
-    const a = ((i + 0.5) / panelCount) * Math.PI * 2;
-    teleportPositions.push([Math.sin(a) * 5.0, 0.01, -Math.cos(a) * 5.0]);
-  }
+  // standing alarms hang under the service monitoring panel (another panel
+  // for roles without it) and only show while there are any
+  const placed = panels.filter(p => p.def.id);
+  const alarmHost = (placed.find(p => p.def.id === 'monitoring') || placed.find(p => p.def.id !== 'timeline') || placed[0]).mesh;
+  const { width: hostW, height: hostH } = alarmHost.geometry.parameters;
+  alarmPanel = addPanel(
+    { render: (_, view) => renderAlarmPanel(alarmState(), view), label: 'Alarms', deps: [] },
+    new THREE.PlaneGeometry(hostW, hostW * 3 / 8),
+    [0, -hostH / 2 - hostW * 3 / 16 - 0.05, 0],
+    0,
+    alarmHost
+  );
+  alarmPanel.mesh.visible = false;
 
-  teleportPositions.forEach(pos => {
+  // ── teleport markers (quick-jump anchors; the arc reaches anywhere) ──
+  teleportPoints(layout, placements).forEach(pos => {
     // solid circle = full click target
     const disc = new THREE.Mesh(
       new THREE.CircleGeometry(0.3, 32),
@@ -177,14 +343,40 @@ function init() {
 
   controller0 = renderer.xr.getController(0);
   controller0.addEventListener('selectstart', onSelect);
+  controller0.addEventListener('selectend', onSelectEnd);
+  controller0.addEventListener('squeezestart', onSqueezeStart);
+  controller0.addEventListener('squeezeend', e => arranger.release(e.target));
+  trackInputSource(controller0);
   cameraRig.add(controller0);
   cameraRig.add(renderer.xr.getControllerGrip(0));
 
   controller1 = renderer.xr.getController(1);
   controller1.addEventListener('selectstart', onSelect);
+  controller1.addEventListener('selectend', onSelectEnd);
+  controller1.addEventListener('squeezestart', onSqueezeStart);
+  controller1.addEventListener('squeezeend', e => arranger.release(e.target));
+  trackInputSource(controller1);
   cameraRig.add(controller1);
   cameraRig.add(renderer.xr.getControllerGrip(1));
 
+  // ── hand tracking ─────────────────────────────────────────────────
+  // pinch-and-point arrives on the controllers above as select; hands.js
+  // adds the hand models, poking and the palm-up menu
+  handMenu = addPanel(
+    { render: (_, view) => renderHandMenuPanel(handMenuState(), view), label: 'Hand Menu', deps: [] },
+    new THREE.PlaneGeometry(0.28, 0.21),
+    [0, 0, 0],
+    0
+  );
+  hands = createHands({
+    renderer, camera,
+    rig: cameraRig,
+    pokeTargets: () => panels.map(p => p.mesh),
+    onPoke: pokeAlong,
+    menu: handMenu.mesh,
+    onMenuOpen: () => drawPanel(handMenu, performance.now()),
+  });
+
   const lineGeo = new THREE.BufferGeometry().setFromPoints([
     new THREE.Vector3(0, 0, 0),
     new THREE.Vector3(0, 0, -8),
@@ -195,7 +387,7 @@ function init() {
 
   // ── desktop controls ──────────────────────────────────────────────
 
-  // Unified click: try teleport first, only lock pointer if nothing was hit
+  // Unified click: try panel rows and teleport first, only lock pointer if nothing was hit
   renderer.domElement.addEventListener('click', e => {
     if (renderer.xr.isPresenting) return;
 
@@ -207,28 +399,50 @@ function init() {
         -((e.clientY - rect.top) / rect.height) * 2 + 1
       );
       raycaster.setFromCamera(mouse, camera);
-      const hits = raycaster.intersectObjects(teleportMarkers);
-      if (hits.length > 0) {
-        const target = hits[0].object.userData.target;
-        cameraRig.position.set(target.x, 0, target.z);
-        return;  // teleported — don't lock pointer
+      if (selectAlongRay('mouse')) return;  // handled — don't lock pointer
+      // open floor with room to stand — teleport there
+      const aim = aimFloorAlongRay();
+      if (aim && aim.valid) {
+        teleportTo(aim.point);
+        return;
       }
-      // no ring hit — lock pointer for FPS look
+      // nothing usable hit — lock pointer for FPS look
       renderer.domElement.requestPointerLock();
     } else {
       // pointer-locked: raycast from screen center (crosshair)
       raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
-      const hits = raycaster.intersectObjects(teleportMarkers);
-      if (hits.length > 0) {
-        const target = hits[0].object.userData.target;
-        cameraRig.position.set(target.x, 0, target.z);
-      }
+      selectAlongRay('mouse');
     }
   });
 
+  renderer.domElement.addEventListener('mouseleave', () => {
+    mouseNdc = null;
+    teleporter.hide();
+  });
+
+  // press on the scrubber track and drag to sweep through time
+  renderer.domElement.addEventListener('mousedown', e => {
+    if (renderer.xr.isPresenting || e.button !== 0) return;
+    raycaster.setFromCamera(isPointerLocked ? new THREE.Vector2(0, 0) : pointerNdc(e), camera);
+    startScrubDrag('mouse');
+  });
+  document.addEventListener('mouseup', endScrubDrag);
+
+  // mouse wheel scrolls whichever panel is under the pointer
+  renderer.domElement.addEventListener('wheel', e => {
+    if (renderer.xr.isPresenting) return;
+    raycaster.setFromCamera(isPointerLocked ? new THREE.Vector2(0, 0) : (mouseNdc || new THREE.Vector2(0, 0)), camera);
+    const pick = pickAlongRay();
+    if (!pick || !pick.panelHit) return;
+    e.preventDefault();
+    const lines = e.deltaMode === 1 ? 40 : 1;   // DOM_DELTA_LINE → px
+    scrollPanel(pick.panelHit.panel, e.deltaY * lines);
+  }, { passive: false });
+
   document.addEventListener('pointerlockchange', () => {
     isPointerLocked = (document.pointerLockElement === renderer.domElement);
     renderer.domElement.style.cursor = isPointerLocked ? 'none' : '';
+    if (isPointerLocked) teleporter.hide();
   });
 
   document.addEventListener('mousemove', e => {
@@ -238,11 +452,8 @@ function init() {
       pitch  = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, pitch));
     } else if (!renderer.xr.isPresenting) {
       // hover detection for teleport markers
-      const rect = renderer.domElement.getBoundingClientRect();
-      const mouse = new THREE.Vector2(
-        ((e.clientX - rect.left) / rect.width) * 2 - 1,
-        -((e.clientY - rect.top) / rect.height) * 2 + 1
-      );
+      const mouse = pointerNdc(e);
+      mouseNdc = mouse;
       raycaster.setFromCamera(mouse, camera);
       const hits = raycaster.intersectObjects(teleportMarkers);
       const newHover = hits.length > 0 ? hits[0].object : null;
@@ -265,12 +476,31 @@ function init() {
           hoveredRing.scale.set(1.3, 1.3, 1.3);
         }
       }
-      renderer.domElement.style.cursor = hoveredRing ? 'pointer' : '';
+      // landing reticle on open floor
+      const aim = hoveredRing ? null : aimFloorAlongRay();
+      if (!aim) teleporter.hide();
+      renderer.domElement.style.cursor = (hoveredRing || pointerOverRegion || (aim && aim.valid)) ? 'pointer' : '';
     }
   });
 
+  const settingsMenu = createSettingsMenu();
+  settingsMenu.add(createComfortSection(comfort, applySeated));
+  settingsMenu.add(createAccessibilitySection(accessibility, applyDisplay));
+  settingsMenu.add(createSceneSection(sceneChoice, applyScene));
+  settingsMenu.add(createTimeSection(timeZones, applyDisplay));
+  settingsMenu.add(createAlarmSection(alarmSettings, onAlarmsChange));
+
   // WASD
-  document.addEventListener('keydown', e => { keysDown[e.code] = true; });
+  document.addEventListener('keydown', e => {
+    // typing in the settings (team zones) is not walking or a shortcut
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement || e.target instanceof HTMLTextAreaElement) return;
+    keysDown[e.code] = true;
+    if (e.repeat) return;
+    if (e.code === 'KeyC') settingsMenu.toggle();
+    if (e.code === 'KeyR') toggleRecording();
+    if (e.code === 'KeyL') replayFileInput.click();
+    if (e.code === 'KeyK') alarms.acknowledge();
+  });
   document.addEventListener('keyup',   e => { keysDown[e.code] = false; });
 
   // resize
@@ -282,689 +512,955 @@ function init() {
 
   // AR passthrough
   renderer.xr.addEventListener('sessionstart', () => {
+    applySeated();
     const session = renderer.xr.getSession();
     if (session && session.environmentBlendMode === 'alpha-blend') {
+      passthrough = true;
       environmentGroup.visible = false;
-      scene.background = null;
-      scene.fog = null;
+      applySceneLook();
     }
   });
   renderer.xr.addEventListener('sessionend', () => {
+    hands.closeMenu();
+    teleporter.hide();
+    // fold any VR turn into the desktop look so WASD matches the view
+    yaw += cameraRig.rotation.y;
+    cameraRig.rotation.y = 0;
+    applySeated();
+    passthrough = false;
     environmentGroup.visible = true;
-    scene.background = new THREE.Color(0x2a2a28);
-    scene.fog = new THREE.Fog(0x2a2a28, 25, 45);
+    applySceneLook();
+  });
+
+  // ── session recording + replay loading ───────────────────────────
+  recorder = createRecorder({ incident: currentData.incident.number, source: dataSource.name });
+
+  const replayFileInput = document.createElement('input');
+  replayFileInput.type = 'file';
+  replayFileInput.accept = 'application/json,.json';
+  replayFileInput.addEventListener('change', () => {
+    if (replayFileInput.files[0]) loadReplayFile(replayFileInput.files[0]);
+    replayFileInput.value = '';
   });
+  // drop a recording anywhere on the page to replay it
+  document.addEventListener('dragover', e => e.preventDefault());
+  document.addEventListener('drop', e => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) loadReplayFile(file);
+  });
+
+  // ── notifications + multi-user presence ──────────────────────────
+  notifier = createNotifier(camera);
+  presenceConfig = presenceConfigFromUrl();
+  // without ?role= the name tag shows the role picked on entry
+  if (!new URLSearchParams(window.location.search).get('role')) presenceConfig.role = viewRole.label;
+  if (new URLSearchParams(window.location.search).get('record') === '1') toggleRecording();
+  if (presenceConfig.relay) {
+    presence = createPresence({ ...presenceConfig, room: currentData.incident.number, scene });
+    presence.events.addEventListener('join',  e => notifier.notify(`${e.detail.name} (${e.detail.role}) joined`));
+    presence.events.addEventListener('leave', e => notifier.notify(`${e.detail.name} left`, '#b0bec5'));
+    presence.events.addEventListener('status', e => {
+      if (e.detail === 'disconnected') notifier.notify('Presence relay disconnected — retrying', '#ff6b6b');
+    });
+
+    // positional voice rides on the presence relay for signaling
+    const voiceConfig = voiceConfigFromUrl();
+    if (voiceConfig.enabled) {
+      voice = createVoice({ presence, listener, iceServers: voiceConfig.iceServers });
+    }
+  }
 
   updateHud();
 }
 
-// ── command center environment ───────────────────────────────────────
-function buildCommandCenter(group) {
-  // ── materials: cold-war bunker palette ──
-  const concrete     = new THREE.MeshStandardMaterial({ color: 0x908a82, roughness: 0.95, metalness: 0.05 });
-  const concreteLt   = new THREE.MeshStandardMaterial({ color: 0xa09a92, roughness: 0.95, metalness: 0.05 });
-  const steel        = new THREE.MeshStandardMaterial({ color: 0x8a9098, roughness: 0.4, metalness: 0.7 });
-  const darkSteel    = new THREE.MeshStandardMaterial({ color: 0x50555a, roughness: 0.5, metalness: 0.6 });
-  const olive        = new THREE.MeshStandardMaterial({ color: 0x6a7560, roughness: 0.8, metalness: 0.2 });
-  const cream        = new THREE.MeshStandardMaterial({ color: 0xe8e0d0, roughness: 0.85, metalness: 0.05 });
-  const beige        = new THREE.MeshStandardMaterial({ color: 0xc8b898, roughness: 0.8, metalness: 0.1 });
-  const black        = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9, metalness: 0.1 });
-  const brown        = new THREE.MeshStandardMaterial({ color: 0x5a4030, roughness: 0.85, metalness: 0.1 });
-  const crtGreen     = new THREE.MeshBasicMaterial({ color: 0x33ff66 });
-  const crtDim       = new THREE.MeshBasicMaterial({ color: 0x229944 });
-  const crtAmber     = new THREE.MeshBasicMaterial({ color: 0xffaa22 });
-  const redLight     = new THREE.MeshBasicMaterial({ color: 0xff3333 });
-  const warmWhite    = new THREE.MeshBasicMaterial({ color: 0xfff8e8 });
-  const darkScreen   = new THREE.MeshBasicMaterial({ color: 0x0c3010 });
-  const screenGlow   = new THREE.MeshBasicMaterial({ color: 0x1a5a20 });
-  const blueGrey     = new THREE.MeshStandardMaterial({ color: 0x607080, roughness: 0.7, metalness: 0.3 });
-  const yellow       = new THREE.MeshStandardMaterial({ color: 0xddcc44, roughness: 0.7, metalness: 0.1 });
-
-  // helper: add a mesh to the group
-  function box(w, h, d, mat, x, y, z) {
-    const m = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), mat);
-    m.position.set(x, y, z);
-    return m;
-  }
+// Adds a canvas-textured panel mesh and its panel record, and draws it once.
+// pos / rotY are relative to `parent`.
+function addPanel(def, geo, pos, rotY, parent = scene) {
+  const canvas  = document.createElement('canvas');
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.minFilter = THREE.LinearFilter;
+
+  const mat  = new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide });
+  const mesh = new THREE.Mesh(geo, mat);
+  mesh.position.set(...pos);
+  mesh.rotation.y = rotY;
+  parent.add(mesh);
+  const panel = {
+    def, canvas, texture, mesh,
+    regions: [], hover: new Set(),
+    scroll: { offset: 0, max: 0, page: 0, follow: !!def.followLatest },
+    highlight: null, lastDraw: 0,
+  };
+  panels.push(panel);
+  drawPanel(panel, performance.now());
+  return panel;
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // FLOOR
-  // ══════════════════════════════════════════════════════════════════
-  const floor = new THREE.Mesh(
-    new THREE.CircleGeometry(14, 64),
-    new THREE.MeshStandardMaterial({ color: 0x686862, roughness: 0.9, metalness: 0.1 })
+function removePanel(p) {
+  p.mesh.removeFromParent();
+  panels.splice(panels.indexOf(p), 1);
+  panelScheduler.forget(p);
+}
+
+function pointerNdc(e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  return new THREE.Vector2(
+    ((e.clientX - rect.left) / rect.width) * 2 - 1,
+    -((e.clientY - rect.top) / rect.height) * 2 + 1
   );
-  floor.rotation.x = -Math.PI / 2;
-  floor.position.y = -0.01;
-  group.add(floor);
-
-  // tile grid lines
-  for (let i = -12; i <= 12; i += 1.5) {
-    const h = new THREE.Mesh(new THREE.BoxGeometry(28, 0.005, 0.02), darkSteel);
-    h.position.set(0, 0.001, i);
-    group.add(h);
-    const v = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.005, 28), darkSteel);
-    v.position.set(i, 0.001, 0);
-    group.add(v);
-  }
+}
 
-  // raised center platform
-  const plat = new THREE.Mesh(new THREE.CylinderGeometry(1.6, 1.8, 0.12, 8), steel);
-  plat.position.y = 0.06;
-  group.add(plat);
-
-  // yellow/black hazard stripe ring around platform
-  for (let i = 0; i < 16; i++) {
-    const a = (i / 16) * Math.PI * 2;
-    const stripe = new THREE.Mesh(
-      new THREE.BoxGeometry(0.3, 0.005, 0.12),
-      i % 2 === 0 ? yellow : black
-    );
-    stripe.position.set(Math.sin(a) * 2.0, 0.005, -Math.cos(a) * 2.0);
-    stripe.rotation.y = a;
-    group.add(stripe);
+// ── VR select handler (panels + teleport) ───────────────────────────
+// Controller triggers and hand pinches both arrive here as select. Pointing
+// at open space starts a teleport arc instead, which lands on release.
+function onSelect(event) {
+  const ctrl = event.target;
+  setRayFromController(ctrl);
+  if (startScrubDrag(ctrl)) return;
+  if (pickAlongRay()) {
+    selectAlongRay(pointerKind(ctrl));
+    return;
   }
+  ctrl.userData.aiming = true;
+}
+
+function onSelectEnd(event) {
+  const ctrl = event.target;
+  endScrubDrag();
+  if (!ctrl.userData.aiming) return;
+  ctrl.userData.aiming = false;
+  const aim = teleporter.target;
+  teleporter.hide();
+  if (aim && aim.valid) teleportTo(aim.point, aim.facing);
+}
+
+// 'hand' for a tracked hand's target ray, otherwise 'controller'.
+function pointerKind(ctrl) {
+  const source = ctrl.userData.inputSource;
+  return source && source.hand ? 'hand' : 'controller';
+}
+
+// A fingertip poke (see hands.js): select along a short ray into the panel.
+function pokeAlong(origin, direction) {
+  raycaster.set(origin, direction);
+  raycaster.far = 0.1;
+  selectAlongRay('hand');
+  raycaster.far = Infinity;
+}
+
+// Squeeze picks up the panel the controller points at (see arrange.js).
+function onSqueezeStart(event) {
+  setRayFromController(event.target);
+  const pick = pickAlongRay();
+  arranger.grab(event.target, pick && pick.panelHit ? pick.panelHit.panel.mesh : null);
+}
+
+function setRayFromController(ctrl) {
+  tempMatrix.identity().extractRotation(ctrl.matrixWorld);
+  raycaster.ray.origin.setFromMatrixPosition(ctrl.matrixWorld);
+  raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+}
+
+// Nearest panel or teleport marker along the current raycaster ray.
+function pickAlongRay() {
+  const hits = raycaster.intersectObjects([...panels.filter(p => p.mesh.visible).map(p => p.mesh), ...teleportMarkers]);
+  if (hits.length === 0) return null;
+  if (hits[0].object.userData.isTeleport) return { marker: hits[0].object };
+  return { panelHit: resolvePanelHit(hits[0], panels) };
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // WALLS — 12-sided bunker
-  // ══════════════════════════════════════════════════════════════════
-  const wallR = 12, wallH = 6, wallSides = 12;
-  for (let i = 0; i < wallSides; i++) {
-    const a1 = (i / wallSides) * Math.PI * 2;
-    const a2 = ((i + 1) / wallSides) * Math.PI * 2;
-    const x1 = Math.sin(a1) * wallR, z1 = -Math.cos(a1) * wallR;
-    const x2 = Math.sin(a2) * wallR, z2 = -Math.cos(a2) * wallR;
-    const cx = (x1 + x2) / 2, cz = (z1 + z2) / 2;
-    const segW = Math.sqrt((x2 - x1) ** 2 + (z2 - z1) ** 2);
-
-    const panel = new THREE.Mesh(new THREE.BoxGeometry(segW, wallH, 0.3), concrete);
-    panel.position.set(cx, wallH / 2, cz);
-    panel.lookAt(0, wallH / 2, 0);
-    group.add(panel);
-
-    // horizontal concrete trim strips at 1/3 and 2/3 height
-    for (const ht of [2.0, 4.0]) {
-      const faceMid = (wallR - 0.16);
-      const trim = new THREE.Mesh(new THREE.BoxGeometry(segW - 0.1, 0.08, 0.02), concreteLt);
-      const tx = (x1 + x2) / 2 * (faceMid / wallR);
-      const tz = (z1 + z2) / 2 * (faceMid / wallR);
-      trim.position.set(tx, ht, tz);
-      trim.lookAt(0, ht, 0);
-      group.add(trim);
+// Returns true if the ray hit something that handled the select.
+function selectAlongRay(source) {
+  const pick = pickAlongRay();
+  if (!pick) return false;
+  if (pick.marker) {
+    teleportTo(pick.marker.userData.target);
+    return true;
+  }
+  if (pick.panelHit && pick.panelHit.region) {
+    const { panel, region } = pick.panelHit;
+    if (region.type === 'page') {
+      scrollPanel(panel, (region.key === 'up' ? -1 : 1) * panel.scroll.page);
+    } else if (region.type === 'scrub') {
+      scrubTo(region.key, pick.panelHit.x);
+    } else if (region.type === 'incident') {
+      switchIncident(region.key);
+    } else if (region.type === 'task-status') {
+      advanceTask(region.item);
+    } else if (region.type === 'layout') {
+      arranger.reset();
+    } else if (region.type === 'menu') {
+      handMenuAction(region.key);
+    } else if (region.type === 'alarm-ack') {
+      alarms.acknowledge(region.key === '*' ? null : region.key);
+    } else if (region.type === 'alarm-snooze') {
+      alarms.snooze(region.key);
+    } else {
+      emitPanelEvent('select', pick.panelHit, source);
     }
+    return true;
   }
+  return false;
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // CEILING with dropped panel grid and fluorescent fixtures
-  // ══════════════════════════════════════════════════════════════════
-  const ceil = new THREE.Mesh(
-    new THREE.CircleGeometry(12.5, 48),
-    new THREE.MeshStandardMaterial({ color: 0x908880, roughness: 0.9, metalness: 0.05, side: THREE.BackSide })
-  );
-  ceil.rotation.x = Math.PI / 2;
-  ceil.position.y = wallH;
-  group.add(ceil);
-
-  // ceiling grid (T-bar)
-  for (let i = -10; i <= 10; i += 2.5) {
-    const bar1 = new THREE.Mesh(new THREE.BoxGeometry(24, 0.06, 0.03), steel);
-    bar1.position.set(0, wallH - 0.03, i);
-    group.add(bar1);
-    const bar2 = new THREE.Mesh(new THREE.BoxGeometry(0.03, 0.06, 24), steel);
-    bar2.position.set(i, wallH - 0.03, 0);
-    group.add(bar2);
+// ── teleport ─────────────────────────────────────────────────────────
+// Moves the rig so the viewer's head ends up over `point`. In VR a facing
+// (yaw, from the reticle) also turns them; on desktop the view keeps its yaw.
+function teleportTo(point, facing = null) {
+  if (renderer.xr.isPresenting && facing !== null) {
+    const look = camera.getWorldDirection(new THREE.Vector3());
+    cameraRig.rotation.y += facing - Math.atan2(-look.x, -look.z);
+    cameraRig.updateMatrixWorld(true);
   }
+  const head = camera.getWorldPosition(new THREE.Vector3()).sub(cameraRig.position);
+  cameraRig.position.set(point.x - head.x, cameraRig.position.y, point.z - head.z);
+}
 
-  // fluorescent light fixtures (rectangular boxes with glowing face)
-  const fixturePositions = [
-    [0, 0], [-4, -4], [4, -4], [-4, 4], [4, 4],
-    [-7, 0], [7, 0], [0, -7], [0, 7]
-  ];
-  fixturePositions.forEach(([fx, fz]) => {
-    // fixture housing
-    const housing = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.08, 0.4), steel);
-    housing.position.set(fx, wallH - 0.08, fz);
-    group.add(housing);
-    // glowing tube
-    const tube = new THREE.Mesh(new THREE.BoxGeometry(1.0, 0.02, 0.25), warmWhite);
-    tube.position.set(fx, wallH - 0.13, fz);
-    group.add(tube);
-  });
+// Smooth locomotion for both the VR thumbstick and desktop WASD: moves the rig
+// by `delta` (world, y ignored), colliding the viewer's head position against
+// the room's footprints and sliding along whatever it meets.
+function walk(delta) {
+  const head = camera.getWorldPosition(new THREE.Vector3());
+  const [x, z] = walkable.slide(head.x, head.z, head.x + delta.x, head.z + delta.z);
+  cameraRig.position.x += x - head.x;
+  cameraRig.position.z += z - head.z;
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // CONSOLE WORKSTATIONS (12 around perimeter)
-  // Operator sits on CENTER side, facing OUTWARD toward wall screens
-  // Layout (center → wall): backrest → chair → keyboard → desk → monitor
-  // ══════════════════════════════════════════════════════════════════
-  const deskCount = 12;
-  for (let i = 0; i < deskCount; i++) {
-    const angle = (i / deskCount) * Math.PI * 2;
-    const r = 9.2;
-    const x = Math.sin(angle) * r;
-    const z = -Math.cos(angle) * r;
-
-    // desk body
-    const deskMain = new THREE.Mesh(new THREE.BoxGeometry(2.4, 0.75, 0.9), olive);
-    deskMain.position.set(x, 0.375, z);
-    deskMain.lookAt(0, 0.375, 0);
-    group.add(deskMain);
-
-    // desk top
-    const top = new THREE.Mesh(new THREE.BoxGeometry(2.3, 0.04, 0.85), cream);
-    top.position.set(x, 0.77, z);
-    top.lookAt(0, 0.77, 0);
-    group.add(top);
-
-    // knee panel (center-facing side, where operator's legs go)
-    const kneePanelR = r - 0.44;
-    const kx = Math.sin(angle) * kneePanelR;
-    const kz = -Math.cos(angle) * kneePanelR;
-    const kneePanel = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.5, 0.04), darkSteel);
-    kneePanel.position.set(kx, 0.35, kz);
-    kneePanel.lookAt(0, 0.35, 0);
-    group.add(kneePanel);
-
-    // CRT monitor on wall side of desk, screen facing center (toward operator)
-    const monR = r + 0.15;
-    const mx = Math.sin(angle) * monR;
-    const mz = -Math.cos(angle) * monR;
-
-    // monitor body (deep CRT box)
-    const monBody = new THREE.Mesh(new THREE.BoxGeometry(0.52, 0.42, 0.45), beige);
-    monBody.position.set(mx, 1.0, mz);
-    monBody.lookAt(0, 1.0, 0);
-    group.add(monBody);
-
-    // screen bezel (dark frame) — on center-facing side of monitor
-    const bezelR = monR - 0.22;
-    const bx = Math.sin(angle) * bezelR;
-    const bz = -Math.cos(angle) * bezelR;
-    const bezel = new THREE.Mesh(new THREE.BoxGeometry(0.48, 0.38, 0.03), darkSteel);
-    bezel.position.set(bx, 1.0, bz);
-    bezel.lookAt(0, 1.0, 0);
-    group.add(bezel);
-
-    // screen face (dark green CRT)
-    const screenR = monR - 0.24;
-    const sx = Math.sin(angle) * screenR;
-    const sz = -Math.cos(angle) * screenR;
-    const screen = new THREE.Mesh(new THREE.PlaneGeometry(0.38, 0.28), darkScreen);
-    screen.position.set(sx, 1.0, sz);
-    screen.lookAt(0, 1.0, 0);
-    group.add(screen);
-
-    // CRT scan lines on screen
-    for (let sl = 0; sl < 4; sl++) {
-      const slR = monR - 0.245;
-      const slx = Math.sin(angle) * slR;
-      const slz = -Math.cos(angle) * slR;
-      const scan = new THREE.Mesh(new THREE.PlaneGeometry(0.32, 0.01), crtDim);
-      scan.position.set(slx, 0.88 + sl * 0.08, slz);
-      scan.lookAt(0, 0.88 + sl * 0.08, 0);
-      group.add(scan);
-    }
+// Turns the rig by `angle` (rad, counter-clockwise from above) about the
+// viewer's head, so turning doesn't swing them around the rig origin.
+function turnRig(angle) {
+  const before = camera.getWorldPosition(new THREE.Vector3());
+  cameraRig.rotation.y += angle;
+  cameraRig.updateMatrixWorld(true);
+  const after = camera.getWorldPosition(new THREE.Vector3());
+  cameraRig.position.x += before.x - after.x;
+  cameraRig.position.z += before.z - after.z;
+}
 
-    // simulated text data lines on screen (bright green "readout")
-    const textWidths = [0.26, 0.18, 0.30, 0.14, 0.22, 0.28];
-    for (let tl = 0; tl < 6; tl++) {
-      const tlR = monR - 0.246;
-      const tlx = Math.sin(angle) * tlR;
-      const tlz = -Math.cos(angle) * tlR;
-      const w = textWidths[(i + tl) % textWidths.length];
-      const textLine = new THREE.Mesh(new THREE.PlaneGeometry(w, 0.008), crtGreen);
-      const leftOff = -(0.15 - w / 2);
-      textLine.position.set(
-        tlx + Math.cos(angle) * leftOff,
-        0.87 + tl * 0.042,
-        tlz + Math.sin(angle) * leftOff
-      );
-      textLine.lookAt(
-        Math.cos(angle) * leftOff,
-        0.87 + tl * 0.042,
-        Math.sin(angle) * leftOff
-      );
-      group.add(textLine);
-    }
+// Seated mode lifts the view in VR so people sitting down see the room from
+// standing height.
+function applySeated() {
+  cameraRig.position.y = renderer.xr.isPresenting && comfort.seated ? comfort.seatedHeight : 0;
+}
 
-    // keyboard on desk (center side, in front of operator)
-    const kbR = r - 0.1;
-    const kbx = Math.sin(angle) * kbR;
-    const kbz = -Math.cos(angle) * kbR;
-    const keyboard = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.025, 0.15), beige);
-    keyboard.position.set(kbx, 0.8, kbz);
-    keyboard.lookAt(0, 0.8, 0);
-    group.add(keyboard);
-    // key area (darker inset) — thin box so lookAt works
-    const keyR = kbR - 0.005;
-    const keyx = Math.sin(angle) * keyR;
-    const keyz = -Math.cos(angle) * keyR;
-    const keys = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.005, 0.12), darkSteel);
-    keys.position.set(keyx, 0.815, keyz);
-    keys.lookAt(0, 0.815, 0);
-    group.add(keys);
-
-    // desk phone (on desk, wall side, to the right)
-    const phR = r + 0.05;
-    const phx = Math.sin(angle) * phR + Math.cos(angle) * 0.7;
-    const phz = -Math.cos(angle) * phR + Math.sin(angle) * 0.7;
-    const phoneBase = new THREE.Mesh(new THREE.BoxGeometry(0.18, 0.06, 0.22), darkSteel);
-    phoneBase.position.set(phx, 0.81, phz);
-    group.add(phoneBase);
-    const handset = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.03, 0.2), black);
-    handset.position.set(phx, 0.86, phz);
-    group.add(handset);
-
-    // coffee mug (center side, to the left of keyboard)
-    const mugR = r - 0.15;
-    const mugx = Math.sin(angle) * mugR - Math.cos(angle) * 0.65;
-    const mugz = -Math.cos(angle) * mugR - Math.sin(angle) * 0.65;
-    const mug = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.03, 0.09, 8), cream);
-    mug.position.set(mugx, 0.835, mugz);
-    group.add(mug);
-
-    // chair (center side of desk — operator faces outward)
-    const chairR = r - 0.9;
-    const chx = Math.sin(angle) * chairR;
-    const chz = -Math.cos(angle) * chairR;
-    // seat
-    const seat = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.06, 0.4), brown);
-    seat.position.set(chx, 0.45, chz);
-    seat.lookAt(0, 0.45, 0);
-    group.add(seat);
-    // backrest (even further toward center, behind operator)
-    const backR = chairR - 0.18;
-    const bkx = Math.sin(angle) * backR;
-    const bkz = -Math.cos(angle) * backR;
-    const backrest = new THREE.Mesh(new THREE.BoxGeometry(0.42, 0.35, 0.04), brown);
-    backrest.position.set(bkx, 0.7, bkz);
-    backrest.lookAt(0, 0.7, 0);
-    group.add(backrest);
-    // chair pedestal
-    const pedestal = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.42, 6), darkSteel);
-    pedestal.position.set(chx, 0.22, chz);
-    group.add(pedestal);
-    // chair base star
-    const cbase = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.03, 5), darkSteel);
-    cbase.position.set(chx, 0.02, chz);
-    group.add(cbase);
-
-    // indicator lights on knee panel (center-facing)
-    for (let j = 0; j < 5; j++) {
-      const indR = r - 0.46;
-      const ix = Math.sin(angle) * indR + Math.cos(angle) * (j - 2) * 0.12;
-      const iz = -Math.cos(angle) * indR + Math.sin(angle) * (j - 2) * 0.12;
-      const mat = j === 0 ? redLight : (j < 3 ? crtAmber : crtGreen);
-      const ind = new THREE.Mesh(new THREE.CircleGeometry(0.02, 8), mat);
-      ind.position.set(ix, 0.55, iz);
-      ind.lookAt(ix - Math.sin(angle), 0.55, iz + Math.cos(angle));
-      group.add(ind);
-    }
+// Thumbstick walking and turning in VR: the stick of comfort.moveHand walks
+// (relative to where you look), the other turns. Returns true if either
+// moved the view smoothly, for the vignette.
+function stickLocomotion(source, dt) {
+  const axes = source.gamepad.axes;
+  const x = Math.abs(axes[2]) > STICK_DEADZONE ? axes[2] : 0;
+  const z = Math.abs(axes[3]) > STICK_DEADZONE ? axes[3] : 0;
+  const walks = source.handedness === comfort.moveHand || source.handedness === 'none';
+
+  if (walks) {
+    if (x === 0 && z === 0) return false;
+    const headQuat = camera.getWorldQuaternion(new THREE.Quaternion());
+    _moveVec.set(x, 0, z).applyQuaternion(headQuat);
+    _moveVec.y = 0;
+    _moveVec.normalize().multiplyScalar(comfort.moveSpeed * dt * Math.max(Math.abs(x), Math.abs(z)));
+    walk(_moveVec);
+    return true;
   }
 
-  // ══════════════════════════════════════════════════════════════════
-  // BIG WALL SCREENS (5 — matching panel positions)
-  // ══════════════════════════════════════════════════════════════════
-  for (let i = 0; i < 5; i++) {
-    const angle = (i / 5) * Math.PI * 2;
-    const sr = wallR - 0.3;
-    const sx = Math.sin(angle) * sr;
-    const sz = -Math.cos(angle) * sr;
-
-    // screen frame (thick steel border)
-    const frame = new THREE.Mesh(new THREE.BoxGeometry(4.8, 2.8, 0.15), darkSteel);
-    frame.position.set(sx, 3.8, sz);
-    frame.lookAt(0, 3.8, 0);
-    group.add(frame);
-
-    // inner screen bezel
-    const ibR = sr - 0.08;
-    const ibx = Math.sin(angle) * ibR;
-    const ibz = -Math.cos(angle) * ibR;
-    const innerFrame = new THREE.Mesh(new THREE.BoxGeometry(4.4, 2.4, 0.05), steel);
-    innerFrame.position.set(ibx, 3.8, ibz);
-    innerFrame.lookAt(0, 3.8, 0);
-    group.add(innerFrame);
-
-    // screen face
-    const sfR = sr - 0.1;
-    const sfx = Math.sin(angle) * sfR;
-    const sfz = -Math.cos(angle) * sfR;
-    const screenFace = new THREE.Mesh(new THREE.PlaneGeometry(4.0, 2.0), screenGlow);
-    screenFace.position.set(sfx, 3.8, sfz);
-    screenFace.lookAt(0, 3.8, 0);
-    group.add(screenFace);
-
-    // CRT phosphor grid lines (horizontal)
-    for (let line = 0; line < 8; line++) {
-      const lr = sr - 0.11;
-      const lx = Math.sin(angle) * lr;
-      const lz = -Math.cos(angle) * lr;
-      const scan = new THREE.Mesh(
-        new THREE.PlaneGeometry(3.6, 0.015),
-        line % 3 === 0 ? crtGreen : crtDim
-      );
-      scan.position.set(lx, 2.95 + line * 0.25, lz);
-      scan.lookAt(0, 2.95 + line * 0.25, 0);
-      group.add(scan);
+  if (comfort.turn === 'smooth') {
+    if (x === 0) return false;
+    turnRig(-x * THREE.MathUtils.degToRad(comfort.turnSpeed) * dt);
+    return true;
+  }
+  if (comfort.turn === 'snap') {
+    // one snap per push; the stick has to come back towards centre first
+    if (Math.abs(x) < SNAP_RESET) snapArmed.set(source, true);
+    else if (Math.abs(x) > SNAP_TRIGGER && snapArmed.get(source) !== false) {
+      snapArmed.set(source, false);
+      turnRig(-Math.sign(x) * THREE.MathUtils.degToRad(comfort.snapAngle));
     }
+  }
+  return false;
+}
 
-    // vertical grid lines
-    for (let vl = 0; vl < 5; vl++) {
-      const vlR = sr - 0.11;
-      const vlx = Math.sin(angle) * vlR;
-      const vlz = -Math.cos(angle) * vlR;
-      const vline = new THREE.Mesh(new THREE.PlaneGeometry(0.01, 1.8), crtDim);
-      // offset along the wall face
-      const off = (vl - 2) * 0.8;
-      vline.position.set(
-        vlx + Math.cos(angle) * off,
-        3.8,
-        vlz + Math.sin(angle) * off
-      );
-      vline.lookAt(
-        Math.cos(angle) * off,
-        3.8,
-        Math.sin(angle) * off
-      );
-      group.add(vline);
-    }
+// Shows the landing reticle where the current ray meets the floor, unless a
+// panel or marker is in the way. Returns the aim ({ point, facing, valid }) or null.
+function aimFloorAlongRay() {
+  if (pickAlongRay()) return null;
+  const hits = raycaster.intersectObject(ground);
+  if (hits.length === 0) return null;
+  return teleporter.aimAt(hits[0].point, yaw);
+}
 
-    // simulated data blocks on screen (text readout areas)
-    const dataR = sr - 0.12;
-    // left data column - text lines
-    for (let dl = 0; dl < 6; dl++) {
-      const dx = Math.sin(angle) * dataR;
-      const dz = -Math.cos(angle) * dataR;
-      const w = 0.8 + ((i + dl) % 3) * 0.3;
-      const dline = new THREE.Mesh(new THREE.PlaneGeometry(w, 0.04), crtGreen);
-      const leftOff = -1.2;
-      dline.position.set(
-        dx + Math.cos(angle) * leftOff,
-        3.2 + dl * 0.18,
-        dz + Math.sin(angle) * leftOff
-      );
-      dline.lookAt(
-        Math.cos(angle) * leftOff,
-        3.2 + dl * 0.18,
-        Math.sin(angle) * leftOff
-      );
-      group.add(dline);
-    }
-    // right side - bar chart simulation
-    for (let bar = 0; bar < 5; bar++) {
-      const bx = Math.sin(angle) * dataR;
-      const bz = -Math.cos(angle) * dataR;
-      const barH = 0.3 + ((i * 3 + bar * 7) % 5) * 0.2;
-      const barMesh = new THREE.Mesh(
-        new THREE.PlaneGeometry(0.15, barH),
-        bar === 2 ? crtAmber : crtGreen
-      );
-      const rightOff = 0.6 + bar * 0.22;
-      barMesh.position.set(
-        bx + Math.cos(angle) * rightOff,
-        2.95 + barH / 2,
-        bz + Math.sin(angle) * rightOff
-      );
-      barMesh.lookAt(
-        Math.cos(angle) * rightOff,
-        2.95 + barH / 2,
-        Math.sin(angle) * rightOff
-      );
-      group.add(barMesh);
+// Arcs for controllers / hands holding select over open space. The thumbstick
+// of an aiming controller turns the landing facing; returns those input
+// sources so locomotion leaves them alone.
+function updateTeleportAim() {
+  const used = new Set();
+  for (const ctrl of [controller0, controller1]) {
+    if (!ctrl.userData.aiming) continue;
+    const source = ctrl.userData.inputSource;
+    let turn = 0;
+    if (source && source.gamepad) {
+      const [x, y] = [source.gamepad.axes[2] || 0, source.gamepad.axes[3] || 0];
+      if (Math.hypot(x, y) > 0.5) turn = Math.atan2(-x, -y);
+      used.add(source);
     }
+    setRayFromController(ctrl);
+    teleporter.aimArc(raycaster.ray.origin, raycaster.ray.direction, turn);
+  }
+  return used;
+}
 
-    // amber status label above screen
-    const labR = sr - 0.11;
-    const labx = Math.sin(angle) * labR;
-    const labz = -Math.cos(angle) * labR;
-    const label = new THREE.Mesh(new THREE.PlaneGeometry(1.8, 0.12), crtAmber);
-    label.position.set(labx, 5.15, labz);
-    label.lookAt(0, 5.15, 0);
-    group.add(label);
-
-    // small red/green status dots flanking label
-    for (const side of [-1, 1]) {
-      const dotR = sr - 0.11;
-      const dx = Math.sin(angle) * dotR + Math.cos(angle) * side * 1.2;
-      const dz = -Math.cos(angle) * dotR + Math.sin(angle) * side * 1.2;
-      const dot = new THREE.Mesh(new THREE.CircleGeometry(0.04, 8), side < 0 ? redLight : crtGreen);
-      dot.position.set(dx, 5.15, dz);
-      dot.lookAt(0, 5.15, 0);
-      group.add(dot);
-    }
+// ── panel scrolling ──────────────────────────────────────────────────
+function scrollPanel(p, delta) {
+  if (p.scroll.max <= 0) return;
+  p.scroll.offset = Math.min(p.scroll.max, Math.max(0, p.scroll.offset + delta));
+  // following resumes once the user scrolls back down to the latest entry
+  p.scroll.follow = !!p.def.followLatest && p.scroll.offset >= p.scroll.max;
+  drawPanel(p, performance.now());
+}
+
+// Controllers learn their XRInputSource on connect so the thumbstick of the
+// hand that is pointing at a panel can be read.
+function trackInputSource(ctrl) {
+  ctrl.addEventListener('connected',    e => { ctrl.userData.inputSource = e.data; });
+  ctrl.addEventListener('disconnected', () => { delete ctrl.userData.inputSource; });
+}
+
+// Thumbstick Y scrolls the panel a controller points at. Returns the input
+// sources used for scrolling so locomotion can ignore them this frame.
+function updateThumbstickScroll(dt) {
+  const used = new Set();
+  for (const ctrl of [controller0, controller1]) {
+    const source = ctrl.userData.inputSource;
+    if (!source || !source.gamepad || !ctrl.visible) continue;
+    const y = source.gamepad.axes[3] || 0;
+    if (Math.abs(y) <= STICK_DEADZONE) continue;
+    setRayFromController(ctrl);
+    const pick = pickAlongRay();
+    if (!pick || !pick.panelHit) continue;
+    scrollPanel(pick.panelHit.panel, y * SCROLL_SPEED * dt);
+    used.add(source);
   }
+  return used;
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // EQUIPMENT RACKS (between wall screens)
-  // ══════════════════════════════════════════════════════════════════
-  for (let i = 0; i < 5; i++) {
-    const angle = ((i + 0.5) / 5) * Math.PI * 2;
-    const rr = wallR - 0.4;
-    const rx = Math.sin(angle) * rr;
-    const rz = -Math.cos(angle) * rr;
-
-    // rack cabinet
-    const rack = new THREE.Mesh(new THREE.BoxGeometry(1.2, 5.2, 0.7), darkSteel);
-    rack.position.set(rx, 2.6, rz);
-    rack.lookAt(0, 2.6, 0);
-    group.add(rack);
-
-    // rack face plate (slightly lighter)
-    const fpR = rr - 0.36;
-    const fpx = Math.sin(angle) * fpR;
-    const fpz = -Math.cos(angle) * fpR;
-    const faceplate = new THREE.Mesh(new THREE.PlaneGeometry(1.0, 4.8), blueGrey);
-    faceplate.position.set(fpx, 2.6, fpz);
-    faceplate.lookAt(0, 2.6, 0);
-    group.add(faceplate);
-
-    // rack unit dividers (horizontal lines)
-    for (let ru = 0; ru < 12; ru++) {
-      const ruR = rr - 0.37;
-      const rux = Math.sin(angle) * ruR;
-      const ruz = -Math.cos(angle) * ruR;
-      const divider = new THREE.Mesh(new THREE.PlaneGeometry(0.95, 0.01), steel);
-      divider.position.set(rux, 0.5 + ru * 0.4, ruz);
-      divider.lookAt(0, 0.5 + ru * 0.4, 0);
-      group.add(divider);
-    }
+// ── panel hover ──────────────────────────────────────────────────────
+// Every active pointer (VR controller rays, or the desktop mouse / crosshair)
+// outlines the panel row under it.
+function updatePanelHover(now) {
+  const hovered = new Map();   // panel → Set of region ids
+  const collect = () => {
+    const pick = pickAlongRay();
+    const hit = pick && pick.panelHit;
+    if (!hit || !hit.region) return;
+    if (!hovered.has(hit.panel)) hovered.set(hit.panel, new Set());
+    hovered.get(hit.panel).add(hit.region.id);
+  };
 
-    // blinking LEDs (varied colors)
-    for (let j = 0; j < 12; j++) {
-      const ledR = rr - 0.38;
-      const row = Math.floor(j / 3);
-      const col = j % 3;
-      const lx = Math.sin(angle) * ledR + Math.cos(angle) * (col - 1) * 0.2;
-      const lz = -Math.cos(angle) * ledR + Math.sin(angle) * (col - 1) * 0.2;
-      const mat = col === 0 ? redLight : (col === 1 ? crtAmber : crtGreen);
-      const led = new THREE.Mesh(new THREE.CircleGeometry(0.02, 6), mat);
-      led.position.set(lx, 0.7 + row * 1.1, lz);
-      led.lookAt(0, 0.7 + row * 1.1, 0);
-      group.add(led);
+  if (renderer.xr.isPresenting) {
+    for (const ctrl of [controller0, controller1]) {
+      if (!ctrl.visible) continue;
+      setRayFromController(ctrl);
+      collect();
     }
+  } else if (isPointerLocked) {
+    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+    collect();
+  } else if (mouseNdc) {
+    raycaster.setFromCamera(mouseNdc, camera);
+    collect();
+  }
 
-    // ventilation grille at top
-    const ventR = rr - 0.37;
-    const vx = Math.sin(angle) * ventR;
-    const vz = -Math.cos(angle) * ventR;
-    for (let vs = 0; vs < 4; vs++) {
-      const vslot = new THREE.Mesh(new THREE.PlaneGeometry(0.6, 0.02), black);
-      vslot.position.set(vx, 4.8 + vs * 0.08, vz);
-      vslot.lookAt(0, 4.8 + vs * 0.08, 0);
-      group.add(vslot);
-    }
+  pointerOverRegion = hovered.size > 0;
+  panels.forEach(p => {
+    const next = hovered.get(p) || new Set();
+    const same = next.size === p.hover.size && [...next].every(id => p.hover.has(id));
+    if (same) return;
+    p.hover = next;
+    drawPanel(p, now);
+  });
+}
+
+// ── live panel refresh ───────────────────────────────────────────────
+// Re-render only the panels whose data changed, and make the changed rows glow.
+// While the room is rewound the panels keep showing the past; only the
+// scrubber moves its end mark, and LIVE catches the panels up.
+function onDataChange(data, changes) {
+  liveData = data;
+  alarms.observe(data.monitoring);
+  history.capture(data);
+  refreshSourceHistory();
+  if (recorder.recording) recorder.recordData(data);
+  const now = performance.now();
+  if (scrubber) drawPanel(scrubber, now);
+  if (asOf !== null) return;
+  currentData = data;
+  redrawWallCharts();
+  panels.forEach(p => {
+    const changed = p.def.deps.filter(k => changes[k]);
+    if (changed.length === 0) return;
+    const keys = new Set(changed.flatMap(k => [...changes[k]]));
+    p.highlight = keys.size > 0 ? { keys, start: now } : null;
+    drawPanel(p, now);
+  });
+}
+
+// Polls of the live data source. One that was already in flight when the
+// room switched incident is dropped.
+function onLiveData(data, changes) {
+  if (data.incident.number !== liveData.incident.number) return;
+  onDataChange(data, changes);
+}
+
+// Queues a redraw of panel p: the scheduler draws its state as of then,
+// within the next frames' budget (see panel-scheduler.js).
+function drawPanel(p, now) {
+  panelScheduler.request(p);
+  p.lastDraw = now;
+  if (roleView.from !== currentData) roleView = { from: currentData, data: applyRole(viewRole, currentData) };
+  if (p.def.summary && p.summaryOf !== roleView.data) {
+    p.summaryOf = roleView.data;
+    const when = asOf !== null ? ` (as of ${formatTime(asOf, timeZone(), { seconds: true })} ${zoneName(timeZone(), asOf)})` : '';
+    const view = { detail: viewRole.detail, now: asOf !== null ? asOf : Date.now() };
+    panelSummary.update(p.def.id, p.def.label + when, p.def.summary(roleView.data, view));
   }
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // CABLE TRAYS on ceiling
-  // ══════════════════════════════════════════════════════════════════
-  for (let i = 0; i < 3; i++) {
-    const angle = (i / 3) * Math.PI;
-    const tray = new THREE.Mesh(new THREE.BoxGeometry(20, 0.04, 0.3), darkSteel);
-    tray.position.set(0, wallH - 0.15, 0);
-    tray.rotation.y = angle;
-    group.add(tray);
-    // cable bundles
-    const cable = new THREE.Mesh(new THREE.BoxGeometry(18, 0.06, 0.12), black);
-    cable.position.set(0, wallH - 0.2, 0);
-    cable.rotation.y = angle;
-    group.add(cable);
+// What the renderer needs to draw panel p right now.
+function panelJob(p) {
+  if (p.def.chart) return { data: wallChartData, view: { height: p.height }, asOf: null };
+  let highlight = null;
+  if (p.highlight) {
+    highlight = { keys: p.highlight.keys, strength: Math.max(0, 1 - (performance.now() - p.highlight.start) / HIGHLIGHT_MS) };
   }
+  if (roleView.from !== currentData) roleView = { from: currentData, data: applyRole(viewRole, currentData) };
+  return {
+    data: roleView.data,
+    view: {
+      highlight, hover: p.hover, scroll: p.scroll, speaking: speakingNames,
+      // manager controls act on the live incident, so not on a rewound room
+      detail: viewRole.detail, controls: viewRole.controls && asOf === null,
+      now: asOf !== null ? asOf : Date.now(),
+    },
+    // only panels showing incident data are rewound, not the scrubber or switcher
+    asOf: asOf !== null && p.def.deps.length > 0 ? asOf : null,
+  };
+}
+
+// Options for setDisplay() in panels.js: the accessibility settings over the
+// room's theme, and the time zones.
+function roomDisplay() {
+  return { ...displayOptions(accessibility, THEMES[themeOf(sceneChoice)]), ...timeZoneOptions(timeZones) };
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // WALL DETAILS: pipes, conduit, fire extinguisher, signs
-  // ══════════════════════════════════════════════════════════════════
-
-  // vertical pipe runs (between every other wall segment)
-  for (let i = 0; i < 6; i++) {
-    const angle = (i / 6) * Math.PI * 2 + Math.PI / 12;
-    const pipeR = wallR - 0.6;
-    const px = Math.sin(angle) * pipeR;
-    const pz = -Math.cos(angle) * pipeR;
-    const pipe = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, wallH, 8), steel);
-    pipe.position.set(px, wallH / 2, pz);
-    group.add(pipe);
-    // pipe brackets
-    for (const bh of [1.5, 3.0, 4.5]) {
-      const bracket = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.04, 0.08), steel);
-      bracket.position.set(px, bh, pz);
-      bracket.lookAt(0, bh, 0);
-      group.add(bracket);
+// New display settings: every panel and label redraws in the new colours,
+// text size and time zone.
+function applyDisplay() {
+  const options = roomDisplay();
+  setDisplay(options);
+  panelScheduler.setDisplay(options);
+  const now = performance.now();
+  panels.forEach(p => {
+    p.summaryOf = null;   // the summaries give times in the zone too
+    drawPanel(p, now);
+  });
+  textLabels.forEach(drawTextLabel);
+  redrawWallCharts();
+  updateHud();
+}
+
+function updatePanelHighlights(now) {
+  panels.forEach(p => {
+    if (!p.highlight) return;
+    if (now - p.highlight.start >= HIGHLIGHT_MS) {
+      p.highlight = null;
+      drawPanel(p, now);
+    } else if (now - p.lastDraw >= HIGHLIGHT_STEP_MS) {
+      drawPanel(p, now);
     }
+  });
+}
+
+// ── time travel ──────────────────────────────────────────────────────
+// Record history from the data source (e.g. ServiceNow sys_audit) is reloaded
+// after every live change; sources without it fall back to the snapshots
+// captured in onDataChange.
+function refreshSourceHistory() {
+  if (!dataSource.loadHistory) return;
+  dataSource.loadHistory()
+    .then(h => {
+      history.setSourceHistory(h);
+      if (scrubber) drawPanel(scrubber, performance.now());
+      redrawWallCharts();
+    })
+    .catch(e => console.warn('Record history unavailable, using captured snapshots:', e));
+}
+
+function scrubberState() {
+  const [start, end] = history.range(liveData);
+  return { start, end, asOf, ticks: history.changeTimes() };
+}
+
+// Rewinds every panel to `at` (epoch ms), or back to live with null.
+function setAsOf(at) {
+  if (at === asOf) return;
+  asOf = at;
+  currentData = at === null ? liveData : history.snapshotAt(liveData, at);
+  const now = performance.now();
+  panels.forEach(p => {
+    p.highlight = null;
+    drawPanel(p, now);
+  });
+  redrawWallCharts();
+}
+
+// key is the scrubber region: 'prev' / 'next' step between recorded changes,
+// 'live' returns to now, 'track' jumps to the time under canvas x.
+function scrubTo(key, x) {
+  const [start, end] = history.range(liveData);
+  const times = history.changeTimes();
+  const at = asOf === null ? end : asOf;
+  if (key === 'live') {
+    setAsOf(null);
+  } else if (key === 'prev') {
+    const earlier = times.filter(t => t < at);
+    setAsOf(earlier.length ? earlier[earlier.length - 1] : start);
+  } else if (key === 'next') {
+    const later = times.find(t => t > at);
+    setAsOf(later === undefined || later >= end ? null : later);
+  } else {
+    const f = (x - SCRUB_TRACK.x0) / (SCRUB_TRACK.x1 - SCRUB_TRACK.x0);
+    setAsOf(f >= 1 ? null : start + Math.max(0, f) * (end - start));
   }
+}
+
+// Starts a drag if the current ray is on the scrubber track.
+function startScrubDrag(pointer) {
+  const pick = pickAlongRay();
+  const hit = pick && pick.panelHit;
+  if (!hit || hit.panel !== scrubber || !hit.region || hit.region.key !== 'track') return false;
+  scrubDrag = { pointer, x: hit.x };
+  scrubTo('track', hit.x);
+  return true;
+}
+
+function endScrubDrag() {
+  scrubDrag = null;
+}
 
-  // fire extinguisher (on one wall)
-  {
-    const fAngle = Math.PI * 0.35;
-    const fR = wallR - 0.6;
-    const fx = Math.sin(fAngle) * fR;
-    const fz = -Math.cos(fAngle) * fR;
-    const extBody = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.35, 8),
-      new THREE.MeshStandardMaterial({ color: 0xcc2222, roughness: 0.6, metalness: 0.3 }));
-    extBody.position.set(fx, 1.2, fz);
-    group.add(extBody);
-    const extTop = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.04, 0.08, 8), darkSteel);
-    extTop.position.set(fx, 1.4, fz);
-    group.add(extTop);
+function updateScrubDrag() {
+  if (!scrubDrag || !scrubber) return;
+  if (scrubDrag.pointer === 'mouse') {
+    raycaster.setFromCamera(isPointerLocked ? new THREE.Vector2(0, 0) : (mouseNdc || new THREE.Vector2(0, 0)), camera);
+  } else {
+    setRayFromController(scrubDrag.pointer);
   }
+  const hits = raycaster.intersectObject(scrubber.mesh);
+  if (hits.length === 0) return;
+  const { x } = resolvePanelHit(hits[0], [scrubber]);
+  if (Math.abs(x - scrubDrag.x) < 1) return;
+  scrubDrag.x = x;
+  scrubTo('track', x);
+}
 
-  // wall clock
-  {
-    const cAngle = Math.PI * 1.15;
-    const cR = wallR - 0.6;
-    const cx = Math.sin(cAngle) * cR;
-    const cz = -Math.cos(cAngle) * cR;
-    const clockFace = new THREE.Mesh(new THREE.CircleGeometry(0.25, 24), cream);
-    clockFace.position.set(cx, 4.8, cz);
-    clockFace.lookAt(0, 4.8, 0);
-    group.add(clockFace);
-    const clockRim = new THREE.Mesh(new THREE.RingGeometry(0.23, 0.27, 24), darkSteel);
-    clockRim.position.set(cx * 0.998, 4.8, cz * 0.998);
-    clockRim.lookAt(0, 4.8, 0);
-    group.add(clockRim);
+// ── incident manager controls ────────────────────────────────────────
+function advanceTask(task) {
+  const next = NEXT_TASK_STATUS[task.status];
+  if (!next) return;
+  if (!dataSource.updateTask) {
+    notifier.notify(`The ${dataSource.name} source is read-only`, '#ffc145');
+    return;
   }
+  dataSource.updateTask(task.id, { status: next })
+    .then(() => {
+      notifier.notify(`Task #${task.id} → ${next}`);
+      if (stopWatching) stopWatching.refresh();
+    })
+    .catch(e => notifier.notify(`Could not update task #${task.id}: ${e.message}`, '#ff6b6b'));
+}
+
+// ── incident switcher ────────────────────────────────────────────────
+// Each incident keeps its own time-travel history and panel scroll positions,
+// so responders hopping between bridges come back to where they left off.
+function incidentContext(number) {
+  if (!incidents.has(number)) incidents.set(number, { history: createHistory(), scroll: {} });
+  return incidents.get(number);
+}
+
+function refreshIncidentList() {
+  if (!dataSource.listIncidents) return;
+  dataSource.listIncidents()
+    .then(list => {
+      openIncidents = list;
+      if (switcher) drawPanel(switcher, performance.now());
+    })
+    .catch(e => console.warn('Could not list open incidents:', e));
+}
+
+function switcherState() {
+  const current = liveData.incident;
+  const listed = openIncidents.some(inc => inc.number === current.number);
+  return { incidents: listed ? openIncidents : [current, ...openIncidents], current: current.number };
+}
 
-  // ══════════════════════════════════════════════════════════════════
-  // CENTER AREA: commander's podium
-  // ══════════════════════════════════════════════════════════════════
-  // podium desk
-  const podium = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.9, 0.5), olive);
-  podium.position.set(0, 0.57, 0);
-  group.add(podium);
-  const podiumTop = new THREE.Mesh(new THREE.BoxGeometry(1.15, 0.03, 0.48), cream);
-  podiumTop.position.set(0, 1.025, 0);
-  group.add(podiumTop);
-
-  // podium phone
-  const pPhone = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.05, 0.2), darkSteel);
-  pPhone.position.set(0.4, 1.07, 0);
-  group.add(pPhone);
-  const pHandset = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.03, 0.18), 
-    new THREE.MeshStandardMaterial({ color: 0xcc2222, roughness: 0.7, metalness: 0.2 })); // red phone!
-  pHandset.position.set(0.4, 1.1, 0);
-  group.add(pHandset);
-
-  // ══════════════════════════════════════════════════════════════════
-  // RAILING around center area
-  // ══════════════════════════════════════════════════════════════════
-  const railR = 3.0;
-  const railPosts = 12;
-  for (let i = 0; i < railPosts; i++) {
-    const a = (i / railPosts) * Math.PI * 2;
-    const rpx = Math.sin(a) * railR;
-    const rpz = -Math.cos(a) * railR;
-    // post
-    const post = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.9, 6), steel);
-    post.position.set(rpx, 0.45, rpz);
-    group.add(post);
+// Points the whole room — panels, presence room, recorder — at another incident.
+async function switchIncident(number) {
+  if (replay || switching || number === liveData.incident.number) return;
+  switching = true;
+  try {
+    const source = createDataSource({ ...dataConfig, incident: number });
+    const data = await source.load();
+    if (recorder.recording) toggleRecording();   // a recording covers one incident
+    if (stopWatching) stopWatching();
+
+    const leaving = incidentContext(liveData.incident.number);
+    panels.forEach(p => { leaving.scroll[p.def.label] = { ...p.scroll }; });
+
+    const entering = incidentContext(number);
+    dataSource = source;
+    currentData = liveData = data;
+    alarms.reset();
+    alarms.observe(data.monitoring);
+    asOf = null;
+    scrubDrag = null;
+    history = entering.history;
+    history.capture(data);
+    arranger.use(arrangementKey(number));
+    const now = performance.now();
+    panels.forEach(p => {
+      const saved = entering.scroll[p.def.label];
+      p.scroll = saved ? { ...saved } : { offset: 0, max: 0, page: 0, follow: !!p.def.followLatest };
+      p.highlight = null;
+      drawPanel(p, now);
+    });
+    redrawWallCharts();
+
+    recorder = createRecorder({ incident: number, source: dataSource.name });
+    if (presence) presence.setRoom(number);
+    refreshSourceHistory();
+    stopWatching = watchDataSource(dataSource, onLiveData, { initial: data, interval: dataConfig.refresh });
+
+    // keep the incident across reloads
+    const url = new URL(window.location.href);
+    url.searchParams.set('incident', number);
+    window.history.replaceState(null, '', url.href);
+    notifier.notify(`Switched to ${number} — ${data.incident.shortDescription}`);
+    updateHud();
+  } catch (e) {
+    notifier.notify(`Could not open ${number}: ${e.message}`, '#ff6b6b');
+  } finally {
+    switching = false;
   }
-  // top rail (ring)
-  const topRail = new THREE.Mesh(new THREE.TorusGeometry(railR, 0.02, 6, 48), steel);
-  topRail.rotation.x = Math.PI / 2;
-  topRail.position.y = 0.9;
-  group.add(topRail);
-  // mid rail
-  const midRail = new THREE.Mesh(new THREE.TorusGeometry(railR, 0.015, 6, 48), steel);
-  midRail.rotation.x = Math.PI / 2;
-  midRail.position.y = 0.5;
-  group.add(midRail);
-
-  // ══════════════════════════════════════════════════════════════════
-  // LIGHTING
-  // ══════════════════════════════════════════════════════════════════
-  const mainLight = new THREE.PointLight(0xfff5e0, 2.0, 30);
-  mainLight.position.set(0, 5.5, 0);
-  group.add(mainLight);
-
-  for (let i = 0; i < 8; i++) {
-    const a = (i / 8) * Math.PI * 2;
-    const oLight = new THREE.PointLight(0xfff0d0, 1.0, 16);
-    oLight.position.set(Math.sin(a) * 7, 5.5, -Math.cos(a) * 7);
-    group.add(oLight);
+}
+
+// localStorage key for the panel arrangement of the viewer's role in an incident
+function arrangementKey(number) {
+  const roleId = Object.keys(ROLES).find(id => ROLES[id] === viewRole);
+  return `war-room-arrangement:${roleId}:${number}`;
+}
+
+// ── session recorder + replay ────────────────────────────────────────
+function toggleRecording() {
+  if (replay) return;
+  const indicator = document.getElementById('rec-indicator');
+  if (!recorder.recording) {
+    recorder.start(liveData);
+    indicator.classList.add('on');
+    notifier.notify('Recording started — press R to stop and export', '#ff6b6b');
+  } else {
+    recorder.stop();
+    recorder.download();
+    indicator.classList.remove('on');
+    notifier.notify('Recording saved');
   }
+}
 
-  const deskFill = new THREE.PointLight(0xffe8c0, 0.8, 20);
-  deskFill.position.set(0, 2.0, 0);
-  group.add(deskFill);
+// Who is in the room right now, where they are and which panel they face.
+function recordingParticipants() {
+  const list = [];
+  const self = captureLocalPose({ head: camera, hands: [controller0, controller1] });
+  list.push({ who: 'self', name: presenceConfig.name, role: presenceConfig.role, pose: self, gaze: gazedPanel(self.head) });
+  if (presence) {
+    presence.peers.forEach(peer => {
+      if (!peer.target) return;
+      list.push({ who: peer.id, name: peer.name, role: peer.role, pose: peer.target, gaze: gazedPanel(peer.target.head) });
+    });
+  }
+  return list;
+}
 
-  const greenUp = new THREE.PointLight(0x33ff66, 0.2, 12);
-  greenUp.position.set(0, 1.2, 0);
-  group.add(greenUp);
+const _gazeQuat = new THREE.Quaternion();
+function gazedPanel(head) {
+  raycaster.ray.origin.set(head[0], head[1], head[2]);
+  _gazeQuat.set(head[3], head[4], head[5], head[6]);
+  raycaster.ray.direction.set(0, 0, -1).applyQuaternion(_gazeQuat);
+  const hits = raycaster.intersectObjects(panels.filter(p => p.mesh.visible).map(p => p.mesh));
+  return hits.length > 0 ? panels.find(p => p.mesh === hits[0].object).def.label : null;
 }
 
-// ── VR teleport handler ──────────────────────────────────────────────
-function onSelect(event) {
-  const ctrl = event.target;
-  tempMatrix.identity().extractRotation(ctrl.matrixWorld);
-  raycaster.ray.origin.setFromMatrixPosition(ctrl.matrixWorld);
-  raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+function loadReplayFile(file) {
+  file.text()
+    .then(text => enterReplay(JSON.parse(text)))
+    .catch(e => notifier.notify(`Could not load recording: ${e.message}`, '#ff6b6b'));
+}
 
-  const hits = raycaster.intersectObjects(teleportMarkers);
-  if (hits.length > 0) {
-    const target = hits[0].object.userData.target;
-    cameraRig.position.set(target.x, 0, target.z);
+function enterReplay(log) {
+  if (recorder.recording) toggleRecording();
+  if (stopWatching) { stopWatching(); stopWatching = null; }
+  if (replay) replay.dispose();
+  // the recording is its own timeline and incident — drop the scrubber and switcher
+  if (scrubber) {
+    setAsOf(null);
+    removePanel(scrubber);
+    scrubber = null;
   }
+  if (switcher) {
+    removePanel(arrangeControls);
+    removePanel(switcher);
+    switcher = arrangeControls = null;
+  }
+  // the recording is played into a room of its own: its snapshots go into a
+  // history of their own, not the live incident's, and no source history
+  // is reloaded over them
+  const live = { dataSource, liveData, history };
+  dataSource = { name: 'replay' };
+  currentData = liveData = initialSnapshot(log);
+  history = createHistory();
+  alarms.reset();   // the recording's first snapshot is the new baseline
+  replay = createReplay(log, {
+    scene,
+    onData: data => onDataChange(data, diffSnapshots(currentData, data)),
+    // leaving replay puts the live room back and reloads it
+    onExit: () => {
+      ({ dataSource, liveData, history } = live);
+      currentData = liveData;
+      const url = new URL(window.location.href);
+      url.searchParams.delete('replay');
+      window.location.href = url.href;
+    },
+  });
+  notifier.notify(`Replaying ${log.incident} recorded ${log.startedAt}`);
+  updateHud();
 }
 
-// ── floating text labels ─────────────────────────────────────────────
-function addTextLabel(text, pos, rotY) {
+// ── alarms ───────────────────────────────────────────────────────────
+// Where a service's alarm goes off (see alarms.js): the wall screen charting
+// it, else the service monitoring panel, else the podium.
+function locateAlarm(service) {
+  const row = (liveData.monitoring || []).find(m => m.service === service);
+  const chart = row ? wallCharts.find(ch => ch.def.id === chartOfService(row)) : null;
+  if (chart) return { object: chart.face, light: chart.alarm };
+  const monitoring = panels.find(p => p.def.id === 'monitoring');
+  return { object: monitoring ? monitoring.mesh : environmentGroup, light: null };
+}
+
+function alarmState() {
+  return { alarms: alarms.list(), snoozeMinutes: alarmSettings.snoozeMinutes, now: Date.now() };
+}
+
+// Alarms raised, acknowledged, snoozed or cleared, or their settings changed.
+function onAlarmsChange() {
+  const now = performance.now();
+  if (alarmPanel) {
+    alarmPanel.mesh.visible = alarms.list().length > 0;
+    drawPanel(alarmPanel, now);
+  }
+  if (handMenu) drawPanel(handMenu, now);
+}
+
+// ── hand menu ────────────────────────────────────────────────────────
+// What the palm-up menu offers right now; hands have no buttons, so it covers
+// the controller / keyboard-only actions.
+function handMenuState() {
+  const items = [];
+  if (alarms && alarms.list().some(a => !a.acked)) items.push({ key: 'ack', label: 'Ack alarms', on: false });
+  if (voice) items.push({ key: 'talk', label: handTalk ? 'Mute' : 'Talk', on: handTalk });
+  items.push({ key: 'record', label: recorder && recorder.recording ? 'Stop rec' : 'Record', on: !!(recorder && recorder.recording) });
+  if (asOf !== null) items.push({ key: 'live', label: 'Back to live', on: false });
+  if (arranger && arranger.customised) items.push({ key: 'reset', label: 'Reset layout', on: false });
+  return { items: items.slice(0, 4) };
+}
+
+function handMenuAction(key) {
+  if (key === 'talk') handTalk = !handTalk;
+  if (key === 'record') toggleRecording();
+  if (key === 'live') setAsOf(null);
+  if (key === 'reset') arranger.reset();
+  if (key === 'ack') alarms.acknowledge();
+  drawPanel(handMenu, performance.now());
+}
+
+// ── voice: push-to-talk + active speaker ────────────────────────────
+const PTT_BUTTON = 4;   // A / X on Quest Touch controllers
+
+function updateVoice(now) {
+  let held = handTalk || (!renderer.xr.isPresenting && !!keysDown['KeyV']);
+  for (const ctrl of [controller0, controller1]) {
+    const source = ctrl.userData.inputSource;
+    const button = source && source.gamepad && source.gamepad.buttons[PTT_BUTTON];
+    if (button && button.pressed) held = true;
+  }
+  voice.setTalking(held);
+  voice.update(now);
+
+  const names = voice.speakingNames(presenceConfig.name);
+  const same = names.size === speakingNames.size && [...names].every(n => speakingNames.has(n));
+  if (same) return;
+  speakingNames = names;
+  panels.filter(p => p.def.deps.includes('responders')).forEach(p => drawPanel(p, now));
+}
+
+// ── environment + theme ──────────────────────────────────────────────
+// (Re)builds the chosen environment's static geometry and walkable map, and
+// puts the charts up on its wall screens.
+function buildEnvironment() {
+  wallCharts.forEach(chart => {
+    panelScheduler.forget(chart);
+    chart.texture.dispose();
+    if (chart.titleTexture) chart.titleTexture.dispose();
+  });
+  if (wallClock && wallClock.labelTexture) wallClock.labelTexture.dispose();
+  environmentGroup.traverse(o => {
+    if (o.geometry) o.geometry.dispose();
+    if (o.material) [].concat(o.material).forEach(m => m.dispose());
+  });
+  environmentGroup.clear();
+  walkable.clear();
+  const { screens, clock, alarmLights } = ENVIRONMENTS[sceneChoice.environment].build(environmentGroup, environmentBearings, walkable);
+  environmentBuilt = sceneChoice.environment;
+  wallCharts = addWallCharts(screens);
+  redrawWallCharts();
+  // the red cast of alarms that tint the room; part of the room, so AR
+  // passthrough goes without it
+  const tint = new THREE.AmbientLight(0xff2020, 0);
+  environmentGroup.add(tint);
+  alarms.setRoom({ lights: alarmLights || [], tint });
+  wallClock = clock ? { ...clock, hands: createWallClock(clock) } : null;
+  wallClockZone = null;
+}
+
+// Turns the wall clock's hands to now in the room's time zone, relabelling
+// its plate when the zone (or its daylight saving name) changes.
+function updateWallClock() {
+  if (!wallClock) return;
+  const now = Date.now();
+  wallClock.hands.update(now, timeZone());
+  const label = `${timeZone().replace(/_/g, ' ')} · ${zoneName(timeZone(), now)}`;
+  if (wallClock.label && label !== wallClockZone) {
+    wallClockZone = label;
+    if (wallClock.labelTexture) wallClock.labelTexture.dispose();
+    wallClock.labelTexture = drawScreenTitle(wallClock.label, label);
+  }
+}
+
+// Background, fog and lights from the theme; AR passthrough keeps the real
+// world behind the panels instead.
+function applySceneLook() {
+  const theme = THEMES[themeOf(sceneChoice)];
+  scene.background = passthrough ? null : new THREE.Color(theme.background);
+  scene.fog = passthrough ? null : new THREE.Fog(...theme.fog);
+  themeLights.clear();
+  themeLights.add(new THREE.AmbientLight(...theme.ambient));
+  theme.lights.forEach(([color, intensity, position]) => {
+    const light = new THREE.DirectionalLight(color, intensity);
+    light.position.set(...position);
+    themeLights.add(light);
+  });
+}
+
+// New environment or theme from the settings menu.
+function applyScene() {
+  if (environmentBuilt !== sceneChoice.environment) buildEnvironment();
+  applySceneLook();
+  applyDisplay();
+}
+
+// ── wall screen charts ───────────────────────────────────────────────
+// The layout's charts (see charts.js) in order on the environment's wall
+// screens, each titled on the plate above its screen. Charts are drawn by the
+// panel scheduler like panels, but have no hit regions.
+function addWallCharts(screens) {
+  const ids = (layout.environment && layout.environment.charts) || DEFAULT_CHARTS;
+  return screens.map(({ face, label, alarm }, i) => {
+    const id = ids[i];
+    if (!id) return null;
+    const def = chartDef(id);
+    if (!def) {
+      console.warn(`Unknown chart "${id}" for wall screen ${i + 1}, leaving it blank`);
+      return null;
+    }
+    const { width, height } = face.geometry.parameters;
+    const canvas = document.createElement('canvas');
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    face.material = new THREE.MeshBasicMaterial({ map: texture });
+    return {
+      def, canvas, texture, face,
+      alarm: alarm || null,
+      titleTexture: label ? drawScreenTitle(label, def.label) : null,
+      regions: [],
+      height: Math.round(PANEL_W * height / width),
+    };
+  }).filter(Boolean);
+}
+
+// Amber plate text in the CRT style, sized to the plate mesh.
+function drawScreenTitle(mesh, title) {
+  const { width, height } = mesh.geometry.parameters;
   const canvas = document.createElement('canvas');
-  canvas.width = 512; canvas.height = 64;
+  canvas.height = 64;
+  canvas.width = Math.round(64 * width / height);
   const c = canvas.getContext('2d');
-  c.fillStyle = 'rgba(6,16,28,0.9)';
+  c.fillStyle = '#ffaa22';
+  c.fillRect(0, 0, canvas.width, canvas.height);
+  c.fillStyle = '#1a1000';
+  c.font = '700 44px "Courier New", monospace';
+  c.textAlign = 'center';
+  c.textBaseline = 'middle';
+  c.fillText(title.toUpperCase(), canvas.width / 2, canvas.height / 2 + 2, canvas.width - 48);
+  const texture = new THREE.CanvasTexture(canvas);
+  mesh.material = new THREE.MeshBasicMaterial({ map: texture });
+  return texture;
+}
+
+// Redraws every wall chart from currentData and the incident's history up to
+// asOf. The charts show counts and service metrics, none of what a role hides.
+function redrawWallCharts() {
+  if (wallCharts.length === 0) return;
+  if (roleView.from !== currentData) roleView = { from: currentData, data: applyRole(viewRole, currentData) };
+  wallChartData = { ...roleView.data, series: chartSeries(history, liveData, asOf) };
+  wallCharts.forEach(chart => panelScheduler.request(chart));
+}
+
+// ── floating text labels ─────────────────────────────────────────────
+// Redrawn with the panels when the theme or display settings change.
+function drawTextLabel({ text, canvas, texture }) {
+  const c = canvas.getContext('2d');
+  c.clearRect(0, 0, 512, 64);
+  c.globalAlpha = 0.9;
+  c.fillStyle = BG;
   c.fillRect(0, 0, 512, 64);
-  c.fillStyle = '#80ffea';
+  c.globalAlpha = 1;
+  c.fillStyle = HEADING;
   c.font = '700 30px Inter, sans-serif';
   c.textAlign = 'center';
   c.fillText(text, 256, 42);
+  texture.needsUpdate = true;
+}
 
+function addTextLabel(text, pos, rotY, parent = scene) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512; canvas.height = 64;
   const tex  = new THREE.CanvasTexture(canvas);
+  const label = { text, canvas, texture: tex };
+  drawTextLabel(label);
+  textLabels.push(label);
+
   const mat  = new THREE.MeshBasicMaterial({ map: tex, transparent: true, side: THREE.DoubleSide });
-  const geo  = new THREE.PlaneGeometry(2.5, 0.32);
+  const geo  = new THREE.PlaneGeometry(2.5, LABEL_HEIGHT);
   const mesh = new THREE.Mesh(geo, mat);
   mesh.position.set(...pos);
   mesh.rotation.y = rotY;
-  scene.add(mesh);
+  mesh.raycast = () => {};   // labels ride on their panel; rays pass through
+  parent.add(mesh);
 }
 
 // ── HUD ──────────────────────────────────────────────────────────────
@@ -974,14 +1470,29 @@ function updateHud() {
   const vrSupported = navigator.xr !== undefined;
   el.innerHTML = `
     <strong style="color:#80ffea">WebXR Incident War Room</strong><br>
-    VR: ${vrSupported ? '✓ Supported' : '✗ Not available'}<br><br>
-    <em>Desktop:</em> Click a cyan ring to teleport<br>
+    VR: ${vrSupported ? '✓ Supported' : '✗ Not available'}<br>
+    Data: ${dataSource.name}<br>
+    Role: ${viewRole.label} view<br>
+    Presence: ${presence ? 'on' : 'off (add ?relay=ws://host:8081)'}<br>
+    Incident: ${liveData.incident.number} · switch on the podium screen<br>
+    Time travel: drag the slider under the timeline panel<br>
+    <kbd>R</kbd> record session · <kbd>L</kbd> load recording (or drop a file)<br>
+    Room: ${ENVIRONMENTS[sceneChoice.environment].label} · ${THEMES[themeOf(sceneChoice)].label} theme<br>
+    Times in ${timeZone()} (${zoneName()})${timeZones.teamZones.length ? ` · team: ${timeZones.teamZones.join(', ')}` : ''}<br>
+    Alarms: <kbd>K</kbd> acknowledge all · ACK / SNOOZE on the alarm panel or the hand menu<br>
+    <kbd>C</kbd> or ⚙ settings: comfort, status colours, text size, contrast, room, time zones, alarms<br>
+    ${voice ? 'Voice: hold <kbd>V</kbd> (desktop) or <kbd>A</kbd>/<kbd>X</kbd> (Quest) to talk<br>' : ''}<br>
+    <em>Desktop:</em> Click the floor or a cyan ring to teleport<br>
     Click empty space to lock mouse → look around<br>
     <kbd>W</kbd><kbd>A</kbd><kbd>S</kbd><kbd>D</kbd> / arrow keys to walk<br>
     Press <kbd>Esc</kbd> to unlock mouse<br><br>
     <em>Quest 2:</em> Click "Enter VR" button<br>
-    Trigger on cyan rings to teleport<br>
-    Push thumbstick to walk freely
+    Hold trigger at the floor, release to teleport<br>
+    (thumbstick turns the arrow) · cyan rings jump straight there<br>
+    Squeeze a panel to move it, both hands to resize<br>
+    <em>Hands:</em> pinch and point to select or teleport<br>
+    Poke a panel with a fingertip · palm up for the menu<br>
+    Push one thumbstick to walk, the other to turn
   `;
 }
 
@@ -997,6 +1508,19 @@ function render() {
   prevTime  = now;
   elapsedTime += dt;
 
+  updatePanelHighlights(now);
+  updatePanelHover(now);
+  updateScrubDrag();
+  arranger.update();
+  if (renderer.xr.isPresenting) hands.update(dt);
+  notifier.update(now, renderer.xr.isPresenting);
+  if (presence) presence.update(dt, { head: camera, hands: [controller0, controller1] }, camera);
+  if (voice) updateVoice(now);
+  if (replay) replay.update(dt, camera);
+  if (recorder.recording) recorder.sample(recordingParticipants());
+  updateWallClock();
+  alarms.update(Date.now());
+
   // pulse teleport markers
   teleportMarkers.forEach((m, i) => {
     if (m === hoveredRing) {
@@ -1010,33 +1534,20 @@ function render() {
     }
   });
 
-  // VR thumbstick locomotion
+  // VR thumbstick locomotion (sticks pointed at a panel scroll it instead)
+  let moving = false;
   if (renderer.xr.isPresenting) {
     const session = renderer.xr.getSession();
     if (session) {
+      const scrolling = updateThumbstickScroll(dt);
+      const aiming = updateTeleportAim();
       for (const source of session.inputSources) {
-        if (!source.gamepad) continue;
-        const axes = source.gamepad.axes;
-        const x = Math.abs(axes[2]) > 0.15 ? axes[2] : 0;
-        const z = Math.abs(axes[3]) > 0.15 ? axes[3] : 0;
-        if (x !== 0 || z !== 0) {
-          const headQuat = camera.getWorldQuaternion(new THREE.Quaternion());
-          _moveVec.set(x, 0, z).applyQuaternion(headQuat);
-          _moveVec.y = 0;
-          _moveVec.normalize().multiplyScalar(MOVE_SPEED * dt * Math.max(Math.abs(x), Math.abs(z)));
-          cameraRig.position.add(_moveVec);
-          // boundary clamp — stay inside walls
-          const _dist = Math.sqrt(cameraRig.position.x ** 2 + cameraRig.position.z ** 2);
-          if (_dist > 11.3) {
-            const _scale = 11.3 / _dist;
-            cameraRig.position.x *= _scale;
-            cameraRig.position.z *= _scale;
-          }
-          break;
-        }
+        if (!source.gamepad || scrolling.has(source) || aiming.has(source)) continue;
+        if (stickLocomotion(source, dt)) moving = true;
       }
     }
   }
+  vignette.update(dt, moving && comfort.vignette);
 
   // desktop look (requires pointer lock)
   if (!renderer.xr.isPresenting && isPointerLocked) {
@@ -1052,17 +1563,12 @@ function render() {
     if (keysDown['KeyD'] || keysDown['ArrowRight'])  mx += 1;
     if (mx !== 0 || mz !== 0) {
       _moveVec.set(mx, 0, mz).normalize().applyAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
-      _moveVec.multiplyScalar(MOVE_SPEED * dt);
-      cameraRig.position.add(_moveVec);
-      // boundary clamp — stay inside walls
-      const _dsk = Math.sqrt(cameraRig.position.x ** 2 + cameraRig.position.z ** 2);
-      if (_dsk > 11.3) {
-        const _sc = 11.3 / _dsk;
-        cameraRig.position.x *= _sc;
-        cameraRig.position.z *= _sc;
-      }
+      _moveVec.multiplyScalar(comfort.moveSpeed * dt);
+      walk(_moveVec);
     }
   }
 
+  panelScheduler.flush();
   renderer.render(scene, camera);
+  if (renderStats) renderStats.update(dt);
 }
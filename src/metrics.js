@@ -0,0 +1,125 @@
+// metrics.js — Numeric service metrics: units, thresholds, status and history
+//
+// A monitoring row measures one thing about its service:
+//   { service, name, value, unit, thresholds?, lastCheck, checkedAt? }
+//   name:       what is measured, e.g. 'available', 'timeout', 'latency'
+//   checkedAt:  when, as ISO 8601 with an offset; the panel shows it in the
+//               room's zone (lastCheck, the source's own text, otherwise)
+//   thresholds: { warn, critical } in the row's unit. Past warn the service
+//               is Degraded, past critical Down. Whether "past" means above or
+//               below follows from their order: warn 99 / critical 90 is
+//               higher-is-better, warn 5 / critical 50 lower-is-better.
+//               Defaults by name in METRIC_DEFAULTS.
+// withMetric() fills in `status` from the thresholds and `metric`, the
+// formatted text ('47% timeout') older renderers and plugins print. Rows
+// without a number (a ServiceNow CI knows only its operational status) keep
+// the status their source gave them.
+//
+// Rows with a metric history (see createMetricHistory, fed by data-source.js)
+// also carry `history: [[at, value], …]`, epoch ms, oldest first.
+
+export const METRIC_DEFAULTS = {
+  available:  { unit: '%',  warn: 99,  critical: 90 },
+  uptime:     { unit: '%',  warn: 99,  critical: 90 },
+  authorized: { unit: '%',  warn: 99,  critical: 90 },
+  timeout:    { unit: '%',  warn: 5,   critical: 50 },
+  errors:     { unit: '%',  warn: 5,   critical: 50 },
+  latency:    { unit: 'ms', warn: 200, critical: 1000 },
+};
+
+const HISTORY_LIMIT = 360;   // points kept per service, oldest dropped first
+
+// '47% timeout' → { value: 47, unit: '%', name: 'timeout' }; null without a
+// number. Seconds come back as ms.
+export function parseMetric(text) {
+  const m = /(-?\d+(?:\.\d+)?)\s*(%|ms|s)?\s*(.*)$/i.exec(text || '');
+  if (!m) return null;
+  const unit = (m[2] || '').toLowerCase();
+  return {
+    value: unit === 's' ? Number(m[1]) * 1000 : Number(m[1]),
+    unit:  unit === 's' ? 'ms' : unit,
+    name:  m[3].trim().toLowerCase() || null,
+  };
+}
+
+// 47 % timeout → '47% timeout', 12 ms latency → '12ms latency'.
+export function formatMetric({ value, unit = '', name }) {
+  const digits = Math.abs(value) >= 100 || Number.isInteger(value) ? 0 : 1;
+  return `${Number(value.toFixed(digits))}${unit}${name ? ` ${name}` : ''}`;
+}
+
+// { warn, critical, higherIsBetter } for a row, or null when there are none.
+export function thresholdsOf(row) {
+  const defaults = METRIC_DEFAULTS[row.name];
+  const t = row.thresholds || (defaults && defaults.unit === row.unit ? defaults : null);
+  if (!t || !Number.isFinite(t.warn) || !Number.isFinite(t.critical)) return null;
+  return { warn: t.warn, critical: t.critical, higherIsBetter: t.warn > t.critical };
+}
+
+// 'Operational' | 'Degraded' | 'Down' for `value` against the thresholds.
+export function metricStatus(value, thresholds) {
+  const past = limit => (thresholds.higherIsBetter ? value < limit : value > limit);
+  if (past(thresholds.critical)) return 'Down';
+  if (past(thresholds.warn)) return 'Degraded';
+  return 'Operational';
+}
+
+// The row with its number, status and text filled in. Old-style rows that
+// only have the text ('47% timeout', e.g. from a recording) are parsed.
+export function withMetric(row) {
+  const parsed = Number.isFinite(row.value) ? row : { ...row, ...parseMetric(row.metric) };
+  if (!Number.isFinite(parsed.value)) return row;
+  const out = { ...parsed, metric: formatMetric(parsed) };
+  const thresholds = thresholdsOf(parsed);
+  if (thresholds) out.status = metricStatus(parsed.value, thresholds);
+  else if (!out.status) out.status = 'Operational';
+  return out;
+}
+
+// The row as it was at `at`: history up to then, and its last value if the
+// history reaches back that far.
+export function metricAsOf(row, at) {
+  if (!row.history) return row;
+  const history = row.history.filter(([t]) => t <= at);
+  const last = history[history.length - 1];
+  return withMetric(last ? { ...row, value: last[1], history } : { ...row, history });
+}
+
+// 'rising' | 'falling' | 'steady' over the row's history, null without one.
+export function metricTrend(row) {
+  const h = row.history;
+  if (!h || h.length < 2) return null;
+  const first = h[0][1], last = h[h.length - 1][1];
+  const span = Math.max(Math.abs(first), Math.abs(last), 1e-9);
+  if (Math.abs(last - first) / span < 0.05) return 'steady';
+  return last > first ? 'rising' : 'falling';
+}
+
+// Rolling per-service history: [at, value] points in time order, at most
+// `limit` per service.
+export function createMetricHistory(limit = HISTORY_LIMIT) {
+  const byService = new Map();   // service → [[at, value]]
+
+  return {
+    // A sample; one at a time already recorded replaces it.
+    add(service, at, value) {
+      if (!Number.isFinite(at) || !Number.isFinite(value)) return;
+      if (!byService.has(service)) byService.set(service, []);
+      const points = byService.get(service);
+      let i = points.length;
+      while (i > 0 && points[i - 1][0] > at) i--;
+      if (i > 0 && points[i - 1][0] === at) points[i - 1] = [at, value];
+      else points.splice(i, 0, [at, value]);
+      if (points.length > limit) points.splice(0, points.length - limit);
+    },
+
+    latest(service) {
+      const points = byService.get(service);
+      return points && points.length ? points[points.length - 1] : null;
+    },
+
+    points(service) {
+      return (byService.get(service) || []).slice();
+    },
+  };
+}
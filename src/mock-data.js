@@ -1,15 +1,21 @@
-// Mock ServiceNow incident data — will be replaced with REST API calls in Phase 2
+// Mock ServiceNow incident data — served by the `mock` provider in data-source.js
+//
+// Times are UTC: ISO 8601 with `Z`, and timeline / last-check times of day
+// on the date the incident opened.
 
 export const INCIDENT = {
   number: 'INC0012345',
   priority: 'P1 - Critical',
   state: 'In Progress',
   shortDescription: 'Customer Portal Login Failure - All Users Affected',
-  openedAt: '2025-11-24 14:23:00',
+  openedAt: '2025-11-24T14:23:00Z',
+  respondedAt: '2025-11-24T14:27:00Z',
   impact: 'High',
   urgency: 'High',
   assignmentGroup: 'Application Support',
   assignedTo: 'Mike Johnson',
+  businessImpact: 'No customer can sign in to the portal; online orders and self-service are blocked',
+  eta: '2025-11-24T15:30:00Z',
 };
 
 export const RESPONDERS = [
@@ -36,10 +42,99 @@ export const TIMELINE = [
   { time: '14:42', event: 'Investigation ongoing — Load balancer review in progress' },
 ];
 
+// Status comes from the thresholds (see metrics.js), defaults unless given.
 export const MONITORING = [
-  { service: 'Customer Portal',      status: 'Down',        metric: '0% available',   lastCheck: '14:42' },
-  { service: 'Auth Service',         status: 'Degraded',    metric: '47% timeout',    lastCheck: '14:41' },
-  { service: 'API Gateway',          status: 'Operational', metric: '99.8% uptime',   lastCheck: '14:40' },
-  { service: 'Database Cluster',     status: 'Operational', metric: '12ms latency',   lastCheck: '14:39' },
-  { service: 'CDN',                  status: 'Operational', metric: '100% available',  lastCheck: '14:42' },
+  { service: 'Customer Portal',      name: 'available', value: 0,    unit: '%',  lastCheck: '14:42' },
+  { service: 'Auth Service',         name: 'timeout',   value: 47,   unit: '%',  lastCheck: '14:41' },
+  { service: 'API Gateway',          name: 'uptime',    value: 99.8, unit: '%',  lastCheck: '14:40' },
+  { service: 'Database Cluster',     name: 'latency',   value: 12,   unit: 'ms', lastCheck: '14:39', thresholds: { warn: 50, critical: 250 } },
+  { service: 'CDN',                  name: 'available', value: 100,  unit: '%',  lastCheck: '14:42' },
 ];
+
+// Record history behind the values above, shaped like the audit trail the
+// ServiceNow adapter builds from sys_audit. `from` is the value before the
+// change at `at`; `created` says when each list item first existed. Timeline
+// entries are dated from their own times. Used for time travel.
+export const HISTORY = {
+  audit: [
+    { at: '2025-11-24T14:23:00Z', collection: 'monitoring', key: 'Customer Portal', field: 'value',    from: 99.9 },
+    { at: '2025-11-24T14:25:00Z', collection: 'incident',   key: null,              field: 'priority', from: 'P2 - High' },
+    { at: '2025-11-24T14:27:00Z', collection: 'incident',   key: null,              field: 'state',    from: 'New' },
+    { at: '2025-11-24T14:30:00Z', collection: 'tasks',      key: '2',               field: 'status',   from: 'Not Started' },
+    { at: '2025-11-24T14:35:00Z', collection: 'tasks',      key: '2',               field: 'status',   from: 'In Progress' },
+    { at: '2025-11-24T14:36:00Z', collection: 'tasks',      key: '1',               field: 'status',   from: 'Not Started' },
+    { at: '2025-11-24T14:38:00Z', collection: 'monitoring', key: 'Auth Service',    field: 'value',    from: 2 },
+    { at: '2025-11-24T14:41:00Z', collection: 'responders', key: 'James Wilson',    field: 'status', from: 'Active' },
+    { at: '2025-11-24T14:42:00Z', collection: 'tasks',      key: '3',               field: 'status',   from: 'Not Started' },
+  ],
+  created: [
+    { at: '2025-11-24T14:27:00Z', collection: 'responders', key: 'Sarah Chen' },
+    { at: '2025-11-24T14:30:00Z', collection: 'responders', key: 'Mike Johnson' },
+    { at: '2025-11-24T14:30:00Z', collection: 'responders', key: 'James Wilson' },
+    { at: '2025-11-24T14:40:00Z', collection: 'responders', key: 'Priya Patel' },
+    { at: '2025-11-24T14:30:00Z', collection: 'tasks',      key: '1' },
+    { at: '2025-11-24T14:30:00Z', collection: 'tasks',      key: '2' },
+    { at: '2025-11-24T14:40:00Z', collection: 'tasks',      key: '3' },
+    { at: '2025-11-24T14:41:00Z', collection: 'tasks',      key: '4' },
+  ],
+};
+
+// A second P1 running at the same time, so the incident switcher has
+// something to switch to. Priya Patel is on both bridges.
+export const PAYMENTS_INCIDENT = {
+  incident: {
+    number: 'INC0012351',
+    priority: 'P1 - Critical',
+    state: 'In Progress',
+    shortDescription: 'Card Payments Declining at Checkout - EU Region',
+    openedAt: '2025-11-24T14:48:00Z',
+    respondedAt: '2025-11-24T14:52:00Z',
+    impact: 'High',
+    urgency: 'High',
+    assignmentGroup: 'Payments Platform',
+    assignedTo: 'Elena Rossi',
+    businessImpact: 'About 40% of EU card checkouts are declined; revenue at risk until failover',
+    eta: '2025-11-24T15:20:00Z',
+  },
+  responders: [
+    { name: 'Tom Okafor',   role: 'Incident Manager', team: 'Major Incident',     status: 'Active'  },
+    { name: 'Elena Rossi',  role: 'Tech Lead',        team: 'Payments Platform',  status: 'Active'  },
+    { name: 'Priya Patel',  role: 'Network Engineer', team: 'Infrastructure',     status: 'Active'  },
+    { name: 'Lars Berg',    role: 'Vendor Liaison',   team: 'Partner Management', status: 'Standby' },
+  ],
+  tasks: [
+    { id: 1, task: 'Check PSP gateway error rates',          assignedTo: 'Elena Rossi', status: 'In Progress', priority: 'High'   },
+    { id: 2, task: 'Fail over EU traffic to secondary PSP',  assignedTo: 'Priya Patel', status: 'Not Started', priority: 'High'   },
+    { id: 3, task: 'Post merchant notice on status page',    assignedTo: 'Tom Okafor',  status: 'In Progress', priority: 'Medium' },
+  ],
+  timeline: [
+    { time: '14:48', event: 'Incident opened — Checkout error alerts firing in EU' },
+    { time: '14:50', event: 'P1 severity assigned — Card payments failing for EU customers' },
+    { time: '14:52', event: 'Payments bridge joined to the war room' },
+    { time: '14:55', event: 'PSP reports elevated latency on its EU endpoint' },
+    { time: '14:58', event: 'Failover to secondary PSP being prepared' },
+  ],
+  monitoring: [
+    { service: 'Checkout Service',     name: 'errors',     value: 31,   unit: '%',  lastCheck: '14:58' },
+    { service: 'Payment Gateway (EU)', name: 'authorized', value: 0,    unit: '%',  lastCheck: '14:58' },
+    { service: 'Payment Gateway (US)', name: 'authorized', value: 99.9, unit: '%',  lastCheck: '14:57' },
+    { service: 'Fraud Scoring',        name: 'latency',    value: 85,   unit: 'ms', lastCheck: '14:56' },
+  ],
+  history: {
+    audit: [
+      { at: '2025-11-24T14:48:00Z', collection: 'monitoring', key: 'Payment Gateway (EU)', field: 'value',    from: 99.8 },
+      { at: '2025-11-24T14:50:00Z', collection: 'incident',   key: null,                   field: 'priority', from: 'P2 - High' },
+      { at: '2025-11-24T14:52:00Z', collection: 'incident',   key: null,                   field: 'state',    from: 'New' },
+      { at: '2025-11-24T14:55:00Z', collection: 'monitoring', key: 'Checkout Service',     field: 'value',    from: 0.4 },
+    ],
+    created: [
+      { at: '2025-11-24T14:48:00Z', collection: 'responders', key: 'Elena Rossi' },
+      { at: '2025-11-24T14:52:00Z', collection: 'responders', key: 'Tom Okafor' },
+      { at: '2025-11-24T14:52:00Z', collection: 'responders', key: 'Lars Berg' },
+      { at: '2025-11-24T14:56:00Z', collection: 'responders', key: 'Priya Patel' },
+      { at: '2025-11-24T14:50:00Z', collection: 'tasks',      key: '1' },
+      { at: '2025-11-24T14:53:00Z', collection: 'tasks',      key: '3' },
+      { at: '2025-11-24T14:58:00Z', collection: 'tasks',      key: '2' },
+    ],
+  },
+};
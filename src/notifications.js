@@ -0,0 +1,70 @@
+// notifications.js — Short-lived toasts on the desktop page and in front of the VR camera
+import * as THREE from 'three';
+
+const TOAST_MS   = 4000;
+const MAX_TOASTS = 3;
+const TEX_W = 1024, TEX_H = 192;
+
+// Returns { notify(text, color), update(now, inXR) }.
+export function createNotifier(camera) {
+  const toasts = [];           // { text, color, until }
+  let dirty = false;
+
+  // DOM toasts for desktop
+  const container = document.getElementById('toasts');
+
+  // head-locked plane for VR, drawn only while toasts are showing
+  const canvas = document.createElement('canvas');
+  canvas.width = TEX_W; canvas.height = TEX_H;
+  const texture = new THREE.CanvasTexture(canvas);
+  const plane = new THREE.Mesh(
+    new THREE.PlaneGeometry(0.64, 0.12),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthTest: false })
+  );
+  plane.position.set(0, -0.22, -0.9);
+  plane.renderOrder = 999;
+  plane.visible = false;
+  camera.add(plane);
+
+  function redraw() {
+    const c = canvas.getContext('2d');
+    c.clearRect(0, 0, TEX_W, TEX_H);
+    const lineH = TEX_H / MAX_TOASTS;
+    toasts.slice(-MAX_TOASTS).forEach((t, i) => {
+      c.fillStyle = 'rgba(6,16,28,0.9)';
+      c.fillRect(0, i * lineH + 4, TEX_W, lineH - 8);
+      c.fillStyle = t.color;
+      c.fillRect(0, i * lineH + 4, 10, lineH - 8);
+      c.font = '700 36px Inter, sans-serif';
+      c.fillText(t.text, 30, i * lineH + lineH / 2 + 13);
+    });
+    texture.needsUpdate = true;
+  }
+
+  return {
+    notify(text, color = '#80ffea') {
+      const now = performance.now();
+      toasts.push({ text, color, until: now + TOAST_MS });
+      dirty = true;
+      if (container) {
+        const el = document.createElement('div');
+        el.className = 'toast';
+        el.style.borderLeftColor = color;
+        el.textContent = text;
+        container.appendChild(el);
+        setTimeout(() => el.remove(), TOAST_MS);
+      }
+    },
+    update(now, inXR) {
+      while (toasts.length > 0 && toasts[0].until <= now) {
+        toasts.shift();
+        dirty = true;
+      }
+      if (dirty) {
+        redraw();
+        dirty = false;
+      }
+      plane.visible = inXR && toasts.length > 0;
+    },
+  };
+}
@@ -0,0 +1,184 @@
+// panel-scheduler.js — Coalesced, frame-budgeted panel redraws, in a worker where possible
+//
+// Redrawing a 1024×768 panel (text measurement, word wrap) takes milliseconds,
+// too long to do several times inside one XR frame. Callers only request()
+// a redraw; flush(), once per frame before rendering, does the work:
+//   - requests for the same panel coalesce into one draw of its latest state,
+//     taken from prepare(p) when the draw starts
+//   - registered panels (panels.js registry) are drawn in panel-worker.js on an
+//     OffscreenCanvas and come back as ImageBitmaps, uploaded as the panel's
+//     texture. At most one draw per panel is in flight
+//   - everything else (the podium controls, hand menu and scrubber, which
+//     must follow the pointer) and any panel the worker can't draw is drawn
+//     on the main thread into the panel's own canvas, as before
+//   - uploads and main-thread draws stop for the frame once budgetMs is spent;
+//     the rest carries over to the next frame
+// Without module workers or OffscreenCanvas, or with ?panelworker=off, every
+// panel is drawn on the main thread under the same budget.
+//
+// Panel records are main.js's { def, canvas, texture, regions, scroll }; the
+// wall screens' charts (charts.js, def.chart set) are scheduled the same way,
+// without scroll.
+// prepare(p) → { data, view, asOf } as for a renderer (see panels.js); view
+// must hold only cloneable values: no canvas or regions, which are filled in.
+import { drawHistoricalWatermark } from './panels.js';
+
+const PANEL_BUDGET_MS = 3;   // per frame, of a 13.9 ms frame at 72 Hz
+
+export function panelWorkerFromUrl(search = window.location.search) {
+  return new URLSearchParams(search).get('panelworker') !== 'off';
+}
+
+export function createPanelScheduler({ renderer, prepare, plugins = [], display, useWorker = true, budgetMs = PANEL_BUDGET_MS }) {
+  const dirty = new Set();         // panels waiting for a draw, oldest request first
+  const keys = new WeakMap();      // panel → worker key
+  const byKey = new Map();         // worker key → panel
+  const inFlight = new Set();      // panels the worker is drawing
+  const ready = new Map();         // panel → finished worker result waiting for upload
+  const mainOnly = new WeakSet();  // panels the worker failed to draw
+  let nextKey = 1;
+  let worker = null;
+  let workerReady = false;
+
+  if (useWorker && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+    try {
+      worker = new Worker(new URL('./panel-worker.js', import.meta.url), { type: 'module' });
+      worker.addEventListener('message', onWorkerMessage);
+      worker.addEventListener('error', e => stopWorker(e.message || 'worker error'));
+      const fonts = [...document.querySelectorAll('link[rel="stylesheet"][href*="fonts.googleapis.com"]')].map(l => l.href);
+      worker.postMessage({ type: 'init', plugins, fonts, display });
+    } catch (e) {
+      stopWorker(e.message);
+    }
+  }
+
+  function onWorkerMessage(e) {
+    const msg = e.data;
+    if (msg.type === 'ready') {
+      workerReady = true;
+      return;
+    }
+    const p = byKey.get(msg.key);
+    if (p) inFlight.delete(p);
+    if (msg.type === 'drawn') {
+      if (!p) { msg.bitmap.close(); return; }
+      const older = ready.get(p);
+      if (older) older.bitmap.close();
+      ready.set(p, msg);
+    } else if (msg.type === 'failed') {
+      console.warn(`Panel worker could not draw ${p ? p.def.label : msg.key}, drawing it on the main thread:`, msg.error);
+      if (p) { mainOnly.add(p); dirty.add(p); }
+    }
+  }
+
+  // Everything goes back to the main thread, including draws in flight.
+  function stopWorker(reason) {
+    console.warn('Panel worker unavailable, drawing panels on the main thread:', reason);
+    if (worker) worker.terminate();
+    worker = null;
+    workerReady = false;
+    inFlight.forEach(p => dirty.add(p));
+    inFlight.clear();
+  }
+
+  function keyOf(p) {
+    if (!keys.has(p)) {
+      keys.set(p, nextKey);
+      byKey.set(nextKey, p);
+      nextKey++;
+    }
+    return keys.get(p);
+  }
+
+  function drawInWorker(p) {
+    const { data, view, asOf } = prepare(p);
+    try {
+      worker.postMessage({ type: 'render', key: keyOf(p), panel: p.def.id, chart: !!p.def.chart, data, view, asOf });
+    } catch (e) {
+      // e.g. a plugin's snapshot data that can't be cloned
+      console.warn(`Panel ${p.def.label} can't be drawn in the worker:`, e);
+      mainOnly.add(p);
+      drawOnMain(p);
+      return;
+    }
+    inFlight.add(p);
+  }
+
+  function drawOnMain(p) {
+    const { data, view, asOf } = prepare(p);
+    p.regions = [];
+    p.def.render(data, { ...view, canvas: p.canvas, regions: p.regions });
+    if (asOf !== null) drawHistoricalWatermark(p.canvas, asOf);
+    show(p, p.canvas);
+  }
+
+  // Uploads the worker's bitmap as the panel's texture, with its hit regions.
+  function upload(p, { bitmap, regions, scroll }) {
+    p.regions = regions;
+    if (scroll) {
+      p.scroll.max = scroll.max;
+      p.scroll.page = scroll.page;
+      p.scroll.offset = p.scroll.follow ? scroll.offset : Math.min(p.scroll.offset, scroll.max);
+    }
+    show(p, bitmap);
+  }
+
+  function show(p, image) {
+    const previous = p.texture.image;
+    p.texture.image = image;
+    p.texture.flipY = image === p.canvas;   // worker bitmaps come pre-flipped
+    p.texture.needsUpdate = true;
+    renderer.initTexture(p.texture);
+    if (previous !== image && typeof ImageBitmap !== 'undefined' && previous instanceof ImageBitmap) previous.close();
+  }
+
+  return {
+    // Panel p needs redrawing; it happens within the next flush()es.
+    request(p) {
+      dirty.add(p);
+    },
+
+    // Panel p left the room: drop anything queued or in flight for it.
+    forget(p) {
+      dirty.delete(p);
+      inFlight.delete(p);
+      const result = ready.get(p);
+      if (result) result.bitmap.close();
+      ready.delete(p);
+      if (keys.has(p)) {
+        byKey.delete(keys.get(p));
+        if (worker) worker.postMessage({ type: 'forget', key: keys.get(p) });
+        keys.delete(p);
+      }
+    },
+
+    // New display settings (see setDisplay in panels.js) for the worker's
+    // copy of panels.js. Request redraws afterwards.
+    setDisplay(options) {
+      if (worker) worker.postMessage({ type: 'display', options });
+    },
+
+    // Once per frame, before rendering: upload finished bitmaps and start
+    // draws until the budget is spent. Always makes some progress.
+    flush() {
+      const start = performance.now();
+      let done = 0;
+      const inBudget = () => done === 0 || performance.now() - start < budgetMs;
+
+      for (const [p, result] of ready) {
+        if (!inBudget()) break;
+        ready.delete(p);
+        upload(p, result);
+        done++;
+      }
+      for (const p of dirty) {
+        if (!inBudget()) break;
+        if (inFlight.has(p)) continue;   // goes again when this draw comes back
+        dirty.delete(p);
+        if (workerReady && p.def.id && !mainOnly.has(p)) drawInWorker(p);
+        else drawOnMain(p);
+        done++;
+      }
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// panel-worker.js — Draws registered panels on OffscreenCanvas, off the main thread
+//
+// Module worker started by panel-scheduler.js. It loads the same panels.js
+// and charts.js registries and plugins as the page, then answers render jobs
+// with an ImageBitmap (flipped for WebGL upload) plus the hit regions and
+// scroll state the renderer wrote into its view. Messages in:
+//   { type: 'init', plugins: [url], fonts: [stylesheet url], display }
+//   { type: 'display', options }                             see setDisplay()
+//   { type: 'render', key, panel, chart, data, view, asOf }  panel = registry id,
+//                                                            in charts.js if chart
+//   { type: 'forget', key }                                  panel left the room
+// and out:
+//   { type: 'ready' }
+//   { type: 'drawn', key, bitmap, regions, scroll }
+//   { type: 'failed', key, error }                           draw it on the main thread
+import { panelDef, setDisplay, drawHistoricalWatermark } from './panels.js';
+import { chartDef } from './charts.js';
+import { loadPlugins } from './plugins.js';
+
+const canvases = new Map();   // key → OffscreenCanvas, reused like view.canvas
+let ready = Promise.resolve();
+
+self.addEventListener('message', e => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    setDisplay(msg.display);
+    ready = Promise.all([loadPlugins(msg.plugins), loadFonts(msg.fonts)])
+      .then(() => self.postMessage({ type: 'ready' }));
+  } else if (msg.type === 'display') {
+    setDisplay(msg.options);
+  } else if (msg.type === 'render') {
+    ready.then(() => render(msg));
+  } else if (msg.type === 'forget') {
+    canvases.delete(msg.key);
+  }
+});
+
+async function render({ key, panel, chart, data, view, asOf }) {
+  try {
+    const def = chart ? chartDef(panel) : panelDef(panel);
+    if (!def) throw new Error(`${chart ? 'Chart' : 'Panel'} "${panel}" is not registered in the worker`);
+    if (!canvases.has(key)) canvases.set(key, new OffscreenCanvas(1, 1));
+    const canvas = canvases.get(key);
+    const regions = [];
+    def.render(data, { ...view, canvas, regions });
+    if (asOf !== null) drawHistoricalWatermark(canvas, asOf);
+    const bitmap = await createImageBitmap(canvas, { imageOrientation: 'flipY' });
+    self.postMessage({ type: 'drawn', key, bitmap, regions, scroll: view.scroll }, [bitmap]);
+  } catch (err) {
+    self.postMessage({ type: 'failed', key, error: String(err && err.message || err) });
+  }
+}
+
+// The page's web fonts (Inter from Google Fonts) aren't visible to workers,
+// so the stylesheets are read again here and their Latin faces added to the
+// worker's own font set. Without them, panels fall back to sans-serif.
+async function loadFonts(urls) {
+  if (!self.fonts || typeof FontFace === 'undefined') return;
+  for (const url of urls) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${res.status}`);
+      const css = await res.text();
+      for (const [, block] of css.matchAll(/@font-face\s*{([^}]*)}/g)) {
+        const family = /font-family:\s*['"]?([^;'"]+)/.exec(block);
+        const src    = /src:\s*([^;]+)/.exec(block);
+        const weight = /font-weight:\s*([^;]+)/.exec(block);
+        const range  = /unicode-range:\s*([^;]+)/.exec(block);
+        if (!family || !src) continue;
+        if (range && !/U\+0000-00FF/i.test(range[1])) continue;   // Latin subset only
+        const descriptors = { weight: weight ? weight[1].trim() : 'normal' };
+        if (range) descriptors.unicodeRange = range[1].trim();
+        self.fonts.add(await new FontFace(family[1].trim(), src[1].trim(), descriptors).load());
+      }
+    } catch (e) {
+      console.warn(`Could not load fonts from ${url} in the panel worker:`, e);
+    }
+  }
+}
@@ -1,243 +1,1054 @@
 // panels.js — Generates canvas-based textures for each war room panel
-import { INCIDENT, RESPONDERS, TASKS, TIMELINE, MONITORING } from './mock-data.js';
+// Each renderer takes a data-source snapshot: { incident, responders, tasks, timeline, monitoring }
+// and an optional view: { canvas, highlight: { keys: Set, strength: 0..1 }, hover: Set, regions: [], scroll, speaking: Set }.
+// Passing the previous canvas back in redraws it in place for live refresh.
+// Renderers also run in panel-worker.js, where view.canvas is an
+// OffscreenCanvas and there is no DOM: draw only through the canvas.
+// Renderers push a hit region for every interactive row into view.regions,
+// in canvas pixels, so pointer hits can be resolved to the record under them.
+// List panels read view.scroll = { offset, follow } and write back the
+// clamped offset plus `max` and `page` (pixels) for the scroll controls.
+// view.detail ('full' | 'summary') and view.controls come from the viewer's
+// role (see roles.js). view.now (epoch ms) is the moment the panel shows:
+// now when live, the scrubbed-to time when travelling back.
+//
+// Colours (from the room's theme, see themes.js), the status palette, the
+// text size and the time zone follow the display settings (setDisplay). Renderers size text with font() and their vertical spacing
+// with px(), so rows grow with the text and long lists scroll rather than
+// overflow; text that still doesn't fit is cut short with fitText().
+//
+// Panels are looked up by id in a registry. The built-in ones are registered
+// at the bottom of this file; teams add their own with registerPanel() from a
+// plugin module (see plugins.js), drawing with the same exported helpers.
+import { itemKey } from './data-source.js';
+import { THEMES, DEFAULT_THEME } from './themes.js';
+import { thresholdsOf, metricTrend } from './metrics.js';
+import { setTimeZones, timeZone, parseDateTime, formatTime, formatDateTime, formatDuration, zoneName, teamTimes } from './time.js';
+import { slaClocks } from './sla.js';
 
-const PANEL_W = 1024;
-const PANEL_H = 768;
-const BG       = '#06101c';
-const BORDER   = '#80ffea';
-const TEXT      = '#ffffff';
-const HEADING   = '#80ffea';
-const ACCENT    = '#122240';
-const KEY_LABEL = '#a0d4ff';
+export const PANEL_W = 1024;
+export const PANEL_H = 768;
+
+// ── display settings ─────────────────────────────────────────────────
+// Status colours by severity. Every status is drawn with a shape as well
+// (statusIcon), so colour is never the only signal.
+const PALETTES = {
+  standard:   { good: '#69f0ae', warn: '#ffc145', bad: '#ff6b6b', idle: '#b0bec5' },
+  // Okabe–Ito blue / yellow / vermilion, apart for every kind of colour blindness
+  colorblind: { good: '#56b4e9', warn: '#f0e442', bad: '#e66100', idle: '#bbbbbb' },
+};
+
+const STATUS_SEVERITY = {
+  'down':        'bad',
+  'degraded':    'warn',
+  'operational': 'good',
+  'completed':   'good',
+  'in progress': 'warn',
+  'not started': 'idle',
+  'active':      'good',
+  'standby':     'idle',
+};
+
+// Current theme colours. These are live bindings: setDisplay() reassigns
+// them and plugins that import them see the change.
+export let BG, BORDER, TEXT, HEADING, ACCENT, KEY_LABEL;
+let RULE, BUTTON;
+let palette;
+let textScale = 1;
+
+// { colors: a theme's panel colours (see themes.js),
+//   palette: 'standard' | 'colorblind', textScale: 1 … 1.5,
+//   timeZone: IANA zone times are shown in, teamZones: [zone] also shown
+//   next to the opening time (see time.js) }.
+// Redraw the panels afterwards.
+export function setDisplay({
+  colors = THEMES[DEFAULT_THEME].panel, palette: paletteName = 'standard', textScale: scale = 1,
+  timeZone: zone, teamZones = [],
+} = {}) {
+  [BG, BORDER, TEXT, HEADING, ACCENT, KEY_LABEL, RULE, BUTTON] =
+    [colors.bg, colors.border, colors.text, colors.heading, colors.accent, colors.keyLabel, colors.rule, colors.button];
+  palette = PALETTES[paletteName] || PALETTES.standard;
+  textScale = Math.min(2, Math.max(0.5, Number(scale) || 1));
+  setTimeZones({ zone, teamZones });
+}
+setDisplay();
+
+// Canvas font at `size` px times the text scale, e.g. c.font = font(22, 700).
+export function font(size, weight = 400) {
+  return `${weight} ${Math.round(size * textScale)}px Inter, sans-serif`;
+}
+
+// A vertical distance that grows with the text: line heights, row pitches.
+export function px(n) {
+  return Math.round(n * textScale);
+}
 
 // ── helpers ──────────────────────────────────────────────────────────
-function ctx(canvas) {
+export function ctx(canvas, height = PANEL_H) {
   canvas.width  = PANEL_W;
-  canvas.height = PANEL_H;
+  canvas.height = height;
   const c = canvas.getContext('2d');
   c.fillStyle = BG;
-  c.fillRect(0, 0, PANEL_W, PANEL_H);
+  c.fillRect(0, 0, PANEL_W, height);
   c.strokeStyle = BORDER;
   c.lineWidth = 4;
-  c.strokeRect(2, 2, PANEL_W - 4, PANEL_H - 4);
+  c.strokeRect(2, 2, PANEL_W - 4, height - 4);
   return c;
 }
 
-function heading(c, text, y = 44) {
+// `text` shortened with an ellipsis to fit `maxW` px in the current font.
+export function fitText(c, text, maxW) {
+  text = String(text);
+  if (c.measureText(text).width <= maxW) return text;
+  while (text.length > 1 && c.measureText(text + '…').width > maxW) text = text.slice(0, -1);
+  return text.trimEnd() + '…';
+}
+
+// Word-wraps `text` into lines of at most maxW px from baseline y, lineH
+// apart. The last of maxLines ends in an ellipsis if the text runs on.
+// Returns the number of lines drawn.
+export function wrapText(c, text, x, y, maxW, lineH, maxLines = Infinity) {
+  const lines = [];
+  let line = '';
+  String(text).split(' ').forEach(w => {
+    const test = line ? `${line} ${w}` : w;
+    if (line && c.measureText(test).width > maxW) {
+      lines.push(line);
+      line = w;
+    } else {
+      line = test;
+    }
+  });
+  if (line) lines.push(line);
+  const shown = lines.slice(0, maxLines);
+  if (lines.length > shown.length) shown[shown.length - 1] = fitText(c, `${shown[shown.length - 1]} ${lines[shown.length]}`, maxW - 1);
+  shown.forEach((l, i) => c.fillText(fitText(c, l, maxW), x, y + i * lineH));
+  return shown.length;
+}
+
+// Panel title, plus the incident's number and priority on the right so every
+// panel says which incident it belongs to.
+export function heading(c, text, incident = null, y = px(44)) {
+  let right = 30;   // room the incident takes up on the right
+  if (incident) {
+    c.font = font(22, 700);
+    c.textAlign = 'right';
+    c.fillStyle = priorityColor(incident.priority);
+    c.fillText(incident.priority, PANEL_W - 30, y);
+    const priorityW = c.measureText(incident.priority).width;
+    c.fillStyle = KEY_LABEL;
+    c.fillText(`${incident.number}  ·  `, PANEL_W - 30 - priorityW, y);
+    right += priorityW + c.measureText(`${incident.number}  ·  `).width + 20;
+    c.textAlign = 'left';
+  }
   c.fillStyle = HEADING;
-  c.font = '700 34px Inter, sans-serif';
-  c.fillText(text, 30, y);
+  c.font = font(34, 700);
+  c.fillText(fitText(c, text, PANEL_W - 30 - right), 30, y);
   c.strokeStyle = BORDER;
   c.lineWidth = 1;
-  c.beginPath(); c.moveTo(30, y + 12); c.lineTo(PANEL_W - 30, y + 12); c.stroke();
-  return y + 44;
+  c.beginPath(); c.moveTo(30, y + px(12)); c.lineTo(PANEL_W - 30, y + px(12)); c.stroke();
+  return y + px(44);
 }
 
-function label(c, key, value, x, y) {
-  c.font = '700 22px Inter, sans-serif';
+// "Key: value" with the value cut short to end `maxW` px after x.
+export function label(c, key, value, x, y, maxW = PANEL_W - 30 - x) {
+  c.font = font(22, 700);
   c.fillStyle = KEY_LABEL;
   c.fillText(key, x, y);
-  c.font = '22px Inter, sans-serif';
+  const keyW = c.measureText(key).width + 12;
+  c.font = font(22);
   c.fillStyle = TEXT;
-  c.fillText(value, x + c.measureText(key).width + 12, y);
+  c.fillText(fitText(c, value, maxW - keyW), x + keyW, y);
+}
+
+// 'good' | 'warn' | 'bad' | 'idle' for the statuses the room knows, else null.
+export function statusSeverity(status) {
+  return STATUS_SEVERITY[String(status).toLowerCase()] || null;
+}
+
+export function statusColor(status) {
+  const severity = statusSeverity(status);
+  return severity ? palette[severity] : TEXT;
+}
+
+export function priorityColor(priority) {
+  if (/^P1\b/.test(priority)) return palette.bad;
+  if (/^P2\b/.test(priority)) return palette.warn;
+  return KEY_LABEL;
 }
 
-function statusColor(status) {
-  const s = status.toLowerCase();
-  if (s === 'down')            return '#ff6b6b';
-  if (s === 'degraded')        return '#ffc145';
-  if (s === 'operational')     return '#69f0ae';
-  if (s === 'completed')       return '#69f0ae';
-  if (s === 'in progress')     return '#ffc145';
-  if (s === 'not started')     return '#b0bec5';
-  if (s === 'active')          return '#69f0ae';
-  if (s === 'standby')         return '#b0bec5';
-  return TEXT;
+// An ISO time or epoch ms as hh:mm in the room's zone, with the zone's
+// abbreviation if `zone` (for a time standing on its own); `fallback` (the
+// source's own text) when there is none.
+export function timeOfDay(at, fallback = '', { zone = false } = {}) {
+  const ms = at === undefined || at === null ? NaN : parseDateTime(at);
+  if (!Number.isFinite(ms)) return fallback;
+  return zone ? `${formatTime(ms)} ${zoneName(timeZone(), ms)}` : formatTime(ms);
+}
+
+// The shape for a status, `size` px, sitting on baseline y like a capital
+// letter: ● good · ▲ warn · ■ bad · ○ idle. Nothing for unknown statuses.
+export function statusIcon(c, status, x, y, size) {
+  const severity = statusSeverity(status);
+  if (!severity) return;
+  const top = y - size;
+  c.fillStyle = c.strokeStyle = palette[severity];
+  c.lineWidth = Math.max(2, size / 6);
+  c.beginPath();
+  if (severity === 'good') {
+    c.arc(x + size / 2, top + size / 2, size / 2, 0, Math.PI * 2);
+    c.fill();
+  } else if (severity === 'warn') {
+    c.moveTo(x + size / 2, top); c.lineTo(x + size, y); c.lineTo(x, y);
+    c.closePath(); c.fill();
+  } else if (severity === 'bad') {
+    c.rect(x + size * 0.05, top + size * 0.05, size * 0.9, size * 0.9);
+    c.fill();
+  } else {
+    c.arc(x + size / 2, top + size / 2, size / 2 - c.lineWidth / 2, 0, Math.PI * 2);
+    c.stroke();
+  }
+}
+
+// A status in its colour with its shape in front, in the current font.
+//   text:  what to write (defaults to the status itself)
+//   maxW:  room for icon and text together; the text is cut short to fit
+//   align: 'right' ends it at x instead of starting it there
+// Returns the x where it ends.
+export function statusText(c, status, x, y, { text = status, maxW = Infinity, align = 'left' } = {}) {
+  const size = statusSeverity(status) ? px(16) : 0;
+  const gap = size ? px(8) : 0;
+  const shown = fitText(c, text, maxW - size - gap);
+  const left = align === 'right' ? x - size - gap - c.measureText(shown).width : x;
+  statusIcon(c, status, left, y - px(1), size);
+  c.fillStyle = statusColor(status);
+  c.fillText(shown, left + size + gap, y);
+  return left + size + gap + c.measureText(shown).width;
+}
+
+// Declares an interactive row: registers its hit region, draws the glow for a
+// record that changed in the last refresh (fading with strength), and outlines
+// it while a pointer hovers over it.
+export function row(c, view, type, key, item, x, y, w, h) {
+  const id = `${type}:${key}`;
+  if (view.regions) view.regions.push({ id, type, key, item, x, y, w, h });
+
+  const hl = view.highlight;
+  if (hl && hl.keys.has(key)) {
+    c.fillStyle = `rgba(128, 255, 234, ${0.3 * hl.strength})`;
+    c.fillRect(x, y, w, h);
+    c.strokeStyle = `rgba(128, 255, 234, ${hl.strength})`;
+    c.lineWidth = 2;
+    c.strokeRect(x, y, w, h);
+  }
+  if (view.hover && view.hover.has(id)) {
+    c.strokeStyle = TEXT;
+    c.lineWidth = 3;
+    c.strokeRect(x + 1.5, y + 1.5, w - 3, h - 3);
+  }
+}
+
+// Small speaker with sound waves, marking whoever is talking on the voice bridge.
+function speakerIcon(c, x, y) {
+  c.fillStyle = palette.good;
+  c.strokeStyle = palette.good;
+  c.lineWidth = 2;
+  c.beginPath();
+  c.moveTo(x, y - 11); c.lineTo(x + 5, y - 11); c.lineTo(x + 12, y - 17);
+  c.lineTo(x + 12, y + 3); c.lineTo(x + 5, y - 3); c.lineTo(x, y - 3);
+  c.closePath(); c.fill();
+  c.beginPath(); c.arc(x + 13, y - 7, 6, -0.9, 0.9); c.stroke();
+  c.beginPath(); c.arc(x + 13, y - 7, 11, -0.9, 0.9); c.stroke();
+}
+
+// Draws a list clipped to [top, bottom], shifted by view.scroll.offset, with a
+// scrollbar, page up/down buttons and "N more" counts when it overflows.
+// Each item is `pitch` px tall with its text baseline `lead` px below its top;
+// drawItem(item, index, baselineY, rowWidth) does the actual drawing.
+export function scrollList(c, view, items, { top, bottom, pitch, lead }, drawItem) {
+  const scroll    = view.scroll || { offset: 0 };
+  const viewportH = bottom - top;
+  const max       = Math.max(0, items.length * pitch - viewportH);
+  if (scroll.follow) scroll.offset = max;   // stick to the latest entry
+  scroll.offset = Math.min(max, Math.max(0, scroll.offset));
+  scroll.max    = max;
+  scroll.page   = viewportH - pitch;
+
+  const rowW = max > 0 ? PANEL_W - 108 : PANEL_W - 60;
+  const firstRegion = view.regions ? view.regions.length : 0;
+
+  c.save();
+  c.beginPath(); c.rect(0, top, PANEL_W, viewportH); c.clip();
+  items.forEach((item, i) => {
+    const rowTop = top + i * pitch - scroll.offset;
+    if (rowTop + pitch < top || rowTop > bottom) return;
+    drawItem(item, i, rowTop + lead, rowW);
+  });
+  c.restore();
+
+  // trim row hit regions to the visible viewport
+  if (view.regions) {
+    const listRegions = view.regions.splice(firstRegion);
+    listRegions.forEach(r => {
+      const y0 = Math.max(r.y, top), y1 = Math.min(r.y + r.h, bottom);
+      if (y1 > y0) view.regions.push({ ...r, y: y0, h: y1 - y0 });
+    });
+  }
+
+  if (max === 0) return;
+
+  // scrollbar track + thumb between the page buttons
+  const btn = 36, bx = PANEL_W - 30 - btn;
+  const trackTop = top + btn + 6, trackH = viewportH - 2 * (btn + 6);
+  c.fillStyle = ACCENT;
+  c.fillRect(bx + btn / 2 - 4, trackTop, 8, trackH);
+  const thumbH = Math.max(30, trackH * viewportH / (viewportH + max));
+  c.fillStyle = BORDER;
+  c.fillRect(bx + btn / 2 - 4, trackTop + (trackH - thumbH) * (scroll.offset / max), 8, thumbH);
+
+  [['up', top, '▲'], ['down', bottom - btn, '▼']].forEach(([dir, by, glyph]) => {
+    c.fillStyle = ACCENT;
+    c.fillRect(bx, by, btn, btn);
+    row(c, view, 'page', dir, null, bx, by, btn, btn);
+    c.fillStyle = HEADING;
+    c.font = '700 20px Inter, sans-serif';
+    c.textAlign = 'center';
+    c.fillText(glyph, bx + btn / 2, by + 25);
+    c.textAlign = 'left';
+  });
+
+  // counts of rows entirely outside the viewport
+  const above = Math.floor(scroll.offset / pitch);
+  const below = Math.max(0, items.length - Math.ceil((scroll.offset + viewportH) / pitch));
+  const counts = [];
+  if (above > 0) counts.push(`▲ ${above} above`);
+  if (below > 0) counts.push(`▼ ${below} more`);
+  c.font = font(18, 700);
+  c.fillStyle = KEY_LABEL;
+  c.textAlign = 'right';
+  c.fillText(counts.join('    '), bx + btn, bottom + px(22));
+  c.textAlign = 'left';
 }
 
 // ── panel renderers ──────────────────────────────────────────────────
-export function renderStatusPanel() {
-  const canvas = document.createElement('canvas');
+export function renderStatusPanel({ incident }, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
   const c = ctx(canvas);
-  let y = heading(c, '■  INCIDENT STATUS');
+  const now = Number.isFinite(view.now) ? view.now : Date.now();
+  let y = heading(c, '■  INCIDENT STATUS', incident);
 
-  y += 10;
+  y += px(10);
   const pairs = [
-    ['Number:',      INCIDENT.number],
-    ['Priority:',    INCIDENT.priority],
-    ['State:',       INCIDENT.state],
-    ['Impact:',      INCIDENT.impact],
-    ['Urgency:',     INCIDENT.urgency],
-    ['Opened:',      INCIDENT.openedAt],
-    ['Group:',       INCIDENT.assignmentGroup],
-    ['Assigned To:', INCIDENT.assignedTo],
+    ['Number:',      'number'],
+    ['Priority:',    'priority'],
+    ['State:',       'state'],
+    ['Impact:',      'impact'],
+    ['Urgency:',     'urgency'],
+    ['Opened:',      'openedAt'],
+    ['Group:',       'assignmentGroup'],
+    ['Assigned To:', 'assignedTo'],
   ];
-  pairs.forEach(([k, v]) => { label(c, k, v, 40, y); y += 36; });
+  pairs.forEach(([k, field]) => {
+    row(c, view, 'field', field, incident, 30, y - px(26), PANEL_W - 60, px(36));
+    label(c, k, field === 'openedAt' ? openedText(incident) : incident[field], 40, y);
+    y += px(36);
+  });
+
+  y += px(14);
+  y = slaStrip(c, incident, now, y);
 
-  y += 20;
+  // the description gets whatever room the fields and clocks leave
+  y += px(14);
+  const boxH = Math.min(px(180), PANEL_H - 30 - y);
   c.fillStyle = ACCENT;
-  c.fillRect(30, y, PANEL_W - 60, 180);
-  y += 32;
+  c.fillRect(30, y, PANEL_W - 60, boxH);
+  row(c, view, 'field', 'shortDescription', incident, 30, y, PANEL_W - 60, boxH);
+  const boxBottom = y + boxH;
+  y += px(32);
   c.fillStyle = HEADING;
-  c.font = '700 24px Inter, sans-serif';
+  c.font = font(24, 700);
   c.fillText('Description', 50, y);
-  y += 32;
+  y += px(32);
   c.fillStyle = TEXT;
-  c.font = '22px Inter, sans-serif';
-  const words = INCIDENT.shortDescription.split(' ');
-  let line = '';
-  words.forEach(w => {
-    const test = line + w + ' ';
-    if (c.measureText(test).width > PANEL_W - 120) {
-      c.fillText(line.trim(), 50, y); y += 28; line = w + ' ';
-    } else { line = test; }
-  });
-  if (line.trim()) c.fillText(line.trim(), 50, y);
+  c.font = font(22);
+  const lineH = px(28);
+  wrapText(c, incident.shortDescription, 50, y, PANEL_W - 120, lineH, Math.max(1, Math.floor((boxBottom - px(12) - y) / lineH) + 1));
 
   return canvas;
 }
 
-export function renderRespondersPanel() {
-  const canvas = document.createElement('canvas');
+// '2025-11-24 14:23 UTC  (09:23 EST · 19:53 GMT+5:30)': in the room's zone,
+// then the team zones.
+function openedText(incident) {
+  const opened = parseDateTime(incident.openedAt);
+  if (!Number.isFinite(opened)) return incident.openedAt || '—';
+  const team = teamTimes(opened);
+  return team ? `${formatDateTime(opened)}  (${team})` : formatDateTime(opened);
+}
+
+// The ETA to restore in the room's zone and the team's, or null when there
+// is none. An ETA that is not a time (free text from a source) shows as it is.
+function etaText(incident) {
+  const eta = parseDateTime(incident.eta || '');
+  if (!Number.isFinite(eta)) return incident.eta || null;
+  const team = teamTimes(eta);
+  return `${timeOfDay(eta, '', { zone: true })}${team ? `  (${team})` : ''}`;
+}
+
+// SLA clock states as the statuses whose colour and shape they borrow.
+const SLA_STATUS = { running: 'Operational', warning: 'Degraded', breached: 'Down', met: 'Completed', missed: 'Down' };
+
+// [{ label, value, note, status }] for the SLA strip: time since the incident
+// opened (stopped once resolved), then a box per SLA clock (see sla.js).
+function slaBoxes(incident, now) {
+  const opened = parseDateTime(incident.openedAt);
+  if (!Number.isFinite(opened)) return [];
+  const resolved = parseDateTime(incident.resolvedAt || '');
+  const end = Number.isFinite(resolved) && resolved <= now ? resolved : now;
+  const boxes = [{
+    label: 'Elapsed',
+    value: formatDuration(end - opened, { seconds: true }),
+    note:  end === now ? `since ${formatTime(opened)} ${zoneName(timeZone(), opened)}` : `resolved ${formatTime(end)}`,
+    status: null,
+  }];
+  slaClocks(incident, now).forEach(clock => {
+    const due = `${formatTime(clock.due)} ${zoneName(timeZone(), clock.due)}`;
+    let value, note;
+    if (clock.state === 'met' || clock.state === 'missed') {
+      value = clock.state === 'met' ? 'MET' : 'MISSED';
+      note  = clock.doneAt !== null ? `at ${formatTime(clock.doneAt)}, due ${due}` : `due ${due}`;
+    } else if (clock.state === 'breached') {
+      value = `+${formatDuration(clock.remaining, { seconds: true })}`;
+      note  = `BREACHED at ${due}`;
+    } else {
+      value = formatDuration(clock.remaining, { seconds: true });
+      note  = `left, due ${due}`;
+    }
+    boxes.push({ label: `${clock.label} SLA`, value, note, status: SLA_STATUS[clock.state] });
+  });
+  return boxes;
+}
+
+// Elapsed time and SLA countdowns in a row of boxes from y; returns the y
+// below them. Each box takes the colour and shape of how close it is to breach.
+function slaStrip(c, incident, now, y) {
+  const boxes = slaBoxes(incident, now);
+  if (boxes.length === 0) return y;
+  const gap = 16;
+  const w = (PANEL_W - 60 - gap * (boxes.length - 1)) / boxes.length;
+  const h = px(100);
+  boxes.forEach((b, i) => {
+    const x = 30 + i * (w + gap);
+    c.fillStyle = ACCENT;
+    c.fillRect(x, y, w, h);
+    c.fillStyle = b.status ? statusColor(b.status) : BORDER;
+    c.fillRect(x, y, 6, h);
+    c.font = font(16, 700);
+    c.fillStyle = KEY_LABEL;
+    c.fillText(fitText(c, b.label.toUpperCase(), w - 36), x + 20, y + px(24));
+    c.font = font(30, 700);
+    if (b.status) {
+      statusText(c, b.status, x + 20, y + px(60), { text: b.value, maxW: w - 36 });
+    } else {
+      c.fillStyle = HEADING;
+      c.fillText(fitText(c, b.value, w - 36), x + 20, y + px(60));
+    }
+    c.font = font(16);
+    c.fillStyle = TEXT;
+    c.fillText(fitText(c, b.note, w - 36), x + 20, y + px(88));
+  });
+  return y + h;
+}
+
+export function renderRespondersPanel({ incident, responders }, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
   const c = ctx(canvas);
-  let y = heading(c, '■  ACTIVE RESPONDERS');
+  let y = heading(c, '■  ACTIVE RESPONDERS', incident);
 
-  y += 10;
+  y += px(10);
   c.fillStyle = KEY_LABEL;
-  c.font = '700 20px Inter, sans-serif';
+  c.font = font(20, 700);
   c.fillText('Name',   40, y);
   c.fillText('Role',   260, y);
   c.fillText('Team',   520, y);
   c.fillText('Status', 780, y);
-  y += 10;
-  c.strokeStyle = '#3a5070'; c.lineWidth = 1;
+  y += px(10);
+  c.strokeStyle = RULE; c.lineWidth = 1;
   c.beginPath(); c.moveTo(30, y); c.lineTo(PANEL_W - 30, y); c.stroke();
-  y += 28;
+  y += px(8);
 
-  RESPONDERS.forEach(r => {
+  scrollList(c, view, responders, { top: y, bottom: PANEL_H - px(100), pitch: px(48), lead: px(20) }, (r, i, ry, w) => {
     c.fillStyle = ACCENT;
-    c.fillRect(30, y - 20, PANEL_W - 60, 38);
-    c.font = '21px Inter, sans-serif';
+    c.fillRect(30, ry - px(20), w, px(38));
+    row(c, view, 'responder', itemKey('responders', r), r, 30, ry - px(20), w, px(38));
+    c.font = font(21);
+    c.fillStyle = TEXT;
+    const speaking = view.speaking && view.speaking.has(r.name);
+    const name = fitText(c, r.name, 210 - (speaking ? 34 : 0));
+    c.fillText(name,  40, ry);
+    if (speaking) speakerIcon(c, 40 + c.measureText(name).width + 10, ry);
     c.fillStyle = TEXT;
-    c.fillText(r.name,  40, y);
-    c.fillText(r.role,  260, y);
-    c.fillText(r.team,  520, y);
-    c.fillStyle = statusColor(r.status);
-    c.font = '700 21px Inter, sans-serif';
-    c.fillText(r.status, 780, y);
-    y += 48;
+    c.fillText(fitText(c, r.role, 250), 260, ry);
+    c.fillText(fitText(c, r.team, 250), 520, ry);
+    c.font = font(21, 700);
+    statusText(c, r.status, 780, ry, { maxW: 30 + w - 790 });
   });
 
-  y += 30;
   c.fillStyle = HEADING;
-  c.font = '700 26px Inter, sans-serif';
-  c.fillText(`Total participants: ${RESPONDERS.length}`, 40, y);
+  c.font = font(26, 700);
+  c.fillText(`Total participants: ${responders.length}`, 40, PANEL_H - 36);
 
   return canvas;
 }
 
-export function renderTasksPanel() {
-  const canvas = document.createElement('canvas');
+// Status a task moves on to from the incident manager's control.
+export const NEXT_TASK_STATUS = { 'Not Started': 'In Progress', 'In Progress': 'Completed' };
+
+export function renderTasksPanel({ incident, tasks }, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
   const c = ctx(canvas);
-  let y = heading(c, '■  ACTION ITEMS');
+  let y = heading(c, '■  ACTION ITEMS', incident);
 
-  y += 10;
-  TASKS.forEach(t => {
+  y -= 8;
+  scrollList(c, view, tasks, { top: y, bottom: PANEL_H - 44, pitch: px(126), lead: px(18) }, (t, i, ty, w) => {
     c.fillStyle = ACCENT;
-    c.fillRect(30, y - 18, PANEL_W - 60, 106);
+    c.fillRect(30, ty - px(18), w, px(106));
+    row(c, view, 'task', itemKey('tasks', t), t, 30, ty - px(18), w, px(106));
 
-    c.font = '700 22px Inter, sans-serif';
+    c.font = font(22, 700);
     c.fillStyle = TEXT;
-    c.fillText(`#${t.id}  ${t.task}`, 50, y + 6);
+    c.fillText(fitText(c, `#${t.id}  ${t.task}`, w - 40), 50, ty + px(6));
 
-    c.font = '19px Inter, sans-serif';
+    // incident manager control: move the task on to its next status
+    const next = NEXT_TASK_STATUS[t.status];
+    const bx = 30 + w - 196;
+    const controls = view.controls && next;
+    const textW = (controls ? bx - 20 : 30 + w - 20) - 50;
+
+    c.font = font(19);
     c.fillStyle = KEY_LABEL;
-    c.fillText(`Assigned: ${t.assignedTo}`, 50, y + 34);
+    c.fillText(fitText(c, `Assigned: ${t.assignedTo}`, textW), 50, ty + px(34));
 
-    c.fillStyle = statusColor(t.status);
-    c.font = '700 19px Inter, sans-serif';
-    c.fillText(`Status: ${t.status}`, 50, y + 62);
+    c.font = font(19, 700);
+    const statusEnd = statusText(c, t.status, 50, ty + px(62), { text: `Status: ${t.status}`, maxW: textW });
 
-    c.fillStyle = t.priority === 'High' ? '#ff6b6b' : '#ffc145';
-    c.fillText(`Priority: ${t.priority}`, 500, y + 62);
+    const priorityX = Math.max(500, statusEnd + 30);
+    c.fillStyle = t.priority === 'High' ? palette.bad : palette.warn;
+    c.fillText(fitText(c, `Priority: ${t.priority}`, 50 + textW - priorityX), priorityX, ty + px(62));
 
-    y += 126;
+    if (controls) {
+      c.fillStyle = BUTTON;
+      c.fillRect(bx, ty + px(36), 180, px(36));
+      row(c, view, 'task-status', itemKey('tasks', t), t, bx, ty + px(36), 180, px(36));
+      c.font = font(18, 700);
+      c.fillStyle = statusColor(next);
+      c.textAlign = 'center';
+      c.fillText(fitText(c, `▸ ${next}`, 170), bx + 90, ty + px(60));
+      c.textAlign = 'left';
+    }
   });
   return canvas;
 }
 
-export function renderTimelinePanel() {
-  const canvas = document.createElement('canvas');
+export function renderTimelinePanel({ incident, timeline }, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
   const c = ctx(canvas);
-  let y = heading(c, '■  INCIDENT TIMELINE');
+  let y = heading(c, '■  INCIDENT TIMELINE', incident);
 
-  y += 10;
-  TIMELINE.forEach((e, i) => {
+  y -= 6;
+  scrollList(c, view, timeline, { top: y, bottom: PANEL_H - 44, pitch: px(74), lead: px(16) }, (e, i, ey, rowW) => {
+    row(c, view, 'timeline', itemKey('timeline', e), e, 30, ey - px(16), rowW, px(66));
     const dotX = 60;
     c.fillStyle = HEADING;
-    c.beginPath(); c.arc(dotX, y + 4, 7, 0, Math.PI * 2); c.fill();
-    if (i < TIMELINE.length - 1) {
-      c.strokeStyle = '#3a5070'; c.lineWidth = 2;
-      c.beginPath(); c.moveTo(dotX, y + 14); c.lineTo(dotX, y + 66); c.stroke();
+    c.beginPath(); c.arc(dotX, ey + px(4), 7, 0, Math.PI * 2); c.fill();
+    if (i < timeline.length - 1) {
+      c.strokeStyle = RULE; c.lineWidth = 2;
+      c.beginPath(); c.moveTo(dotX, ey + px(4) + 10); c.lineTo(dotX, ey + px(66)); c.stroke();
     }
-    c.font = '700 22px Inter, sans-serif';
+    c.font = font(22, 700);
     c.fillStyle = HEADING;
-    c.fillText(e.time, 80, y + 10);
-    c.font = '20px Inter, sans-serif';
+    const time = timeOfDay(e.at, e.time);
+    c.fillText(time, 80, ey + px(10));
+    const lx = Math.max(170, 80 + c.measureText(time).width + 16);
+    c.font = font(20);
     c.fillStyle = TEXT;
-    const words = e.event.split(' ');
-    let line = '', lx = 170, ly = y + 10;
-    words.forEach(w => {
-      const test = line + w + ' ';
-      if (c.measureText(test).width > PANEL_W - lx - 40) {
-        c.fillText(line.trim(), lx, ly); ly += 24; line = w + ' ';
-      } else { line = test; }
-    });
-    if (line.trim()) c.fillText(line.trim(), lx, ly);
-    y += 74;
+    wrapText(c, e.event, lx, ey + px(10), rowW + 20 - lx, px(24), 2);
   });
   return canvas;
 }
 
-export function renderMonitoringPanel() {
-  const canvas = document.createElement('canvas');
+export function renderMonitoringPanel({ incident, monitoring }, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
   const c = ctx(canvas);
-  let y = heading(c, '■  SERVICE MONITORING');
+  let y = heading(c, '■  SERVICE MONITORING', incident);
 
-  y += 10;
+  y += px(10);
   c.fillStyle = KEY_LABEL;
-  c.font = '700 20px Inter, sans-serif';
+  c.font = font(20, 700);
+  // summary detail (executives) keeps service health and drops the raw metrics
+  const full = view.detail !== 'summary';
   c.fillText('Service',     40, y);
-  c.fillText('Status',      340, y);
-  c.fillText('Metric',      540, y);
-  c.fillText('Last Check',  780, y);
-  y += 10;
-  c.strokeStyle = '#3a5070'; c.lineWidth = 1;
+  c.fillText('Status',      full ? 300 : 340, y);
+  if (full) {
+    c.fillText('Metric',      480, y);
+    c.fillText('Trend',       640, y);
+    c.fillText('Last Check',  870, y);
+  }
+  y += px(10);
+  c.strokeStyle = RULE; c.lineWidth = 1;
   c.beginPath(); c.moveTo(30, y); c.lineTo(PANEL_W - 30, y); c.stroke();
-  y += 30;
+  y += px(10);
 
-  MONITORING.forEach(m => {
+  scrollList(c, view, monitoring, { top: y, bottom: PANEL_H - px(100), pitch: px(54), lead: px(20) }, (m, i, my, w) => {
     c.fillStyle = ACCENT;
-    c.fillRect(30, y - 20, PANEL_W - 60, 40);
-    c.font = '21px Inter, sans-serif';
+    c.fillRect(30, my - px(20), w, px(40));
+    row(c, view, 'service', itemKey('monitoring', m), m, 30, my - px(20), w, px(40));
+    c.font = font(21);
     c.fillStyle = TEXT;
-    c.fillText(m.service,   40, y);
-    c.fillStyle = statusColor(m.status);
-    c.font = '700 21px Inter, sans-serif';
-    c.fillText(m.status,    340, y);
-    c.font = '21px Inter, sans-serif';
+    c.fillText(fitText(c, m.service, full ? 250 : 290), 40, my);
+    c.font = font(21, 700);
+    statusText(c, m.status, full ? 300 : 340, my, { maxW: full ? 170 : 30 + w - 350 });
+    if (!full) return;
+    c.font = font(21);
     c.fillStyle = TEXT;
-    c.fillText(m.metric,    540, y);
-    c.fillText(m.lastCheck, 780, y);
-    y += 54;
+    c.fillText(fitText(c, m.metric, 150),            480, my);
+    sparkline(c, m, 640, my - px(16), 210, px(28));
+    c.fillStyle = TEXT;
+    c.fillText(fitText(c, timeOfDay(m.sampledAt || m.checkedAt, m.lastCheck), 30 + w - 880), 870, my);
   });
 
-  const down = MONITORING.filter(m => m.status === 'Down').length;
-  const degraded = MONITORING.filter(m => m.status === 'Degraded').length;
-  y += 30;
-  c.font = '700 24px Inter, sans-serif';
-  c.fillStyle = down > 0 ? '#ff6b6b' : '#69f0ae';
-  c.fillText(`▸ ${down} Down   ▸ ${degraded} Degraded   ▸ ${MONITORING.length - down - degraded} Operational`, 40, y);
+  const down = monitoring.filter(m => m.status === 'Down').length;
+  const degraded = monitoring.filter(m => m.status === 'Degraded').length;
+  c.font = font(24, 700);
+  let x = 40;
+  [['Down', down], ['Degraded', degraded], ['Operational', monitoring.length - down - degraded]].forEach(([status, n]) => {
+    x = statusText(c, status, x, PANEL_H - 36, { text: `${n} ${status}`, maxW: PANEL_W - 40 - x }) + px(36);
+  });
 
   return canvas;
 }
+
+// The row's metric history as a line in a w × h box, with its warn and
+// critical thresholds as dashed lines when they fall near the values. The
+// last point is marked in the row's status colour.
+function sparkline(c, m, x, y, w, h) {
+  const points = m.history || [];
+  if (points.length < 2) return;
+  const t0 = points[0][0], t1 = points[points.length - 1][0];
+  const thresholds = thresholdsOf(m);
+  const values = points.map(p => p[1]);
+  let lo = Math.min(...values), hi = Math.max(...values);
+  const limits = thresholds ? [thresholds.warn, thresholds.critical] : [];
+  // thresholds widen the scale only as far as twice the values' own range,
+  // so a flat 12 ms line isn't squashed by a 1000 ms critical line
+  const reach = Math.max(hi - lo, Math.abs(hi) * 0.05, 1e-6) * 2;
+  limits.forEach(l => {
+    if (l < lo && lo - l <= reach) lo = l;
+    if (l > hi && l - hi <= reach) hi = l;
+  });
+  if (hi - lo < 1e-9) { lo -= 1; hi += 1; }
+  const xOf = t => x + (t1 > t0 ? (t - t0) / (t1 - t0) : 1) * w;
+  const yOf = v => y + h - (v - lo) / (hi - lo) * h;
+
+  c.save();
+  c.lineWidth = 2;
+  c.setLineDash([6, 4]);
+  [[thresholds && thresholds.warn, palette.warn], [thresholds && thresholds.critical, palette.bad]].forEach(([limit, color]) => {
+    if (limit === undefined || limit === null || limit < lo || limit > hi) return;
+    c.strokeStyle = color;
+    c.beginPath(); c.moveTo(x, yOf(limit)); c.lineTo(x + w, yOf(limit)); c.stroke();
+  });
+  c.setLineDash([]);
+  c.strokeStyle = TEXT;
+  c.lineWidth = 3;
+  c.beginPath();
+  points.forEach(([t, v], i) => (i === 0 ? c.moveTo(xOf(t), yOf(v)) : c.lineTo(xOf(t), yOf(v))));
+  c.stroke();
+  const [tl, vl] = points[points.length - 1];
+  c.fillStyle = statusColor(m.status);
+  c.beginPath(); c.arc(xOf(tl), yOf(vl), 5, 0, Math.PI * 2); c.fill();
+  c.restore();
+}
+
+const COMMS_TASK = /communicat|notice|status page|stakeholder/i;
+
+// Business view for executives: impact, ETA and comms, no technical detail.
+export function renderBriefingPanel({ incident, tasks, monitoring }, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
+  const c = ctx(canvas);
+  let y = heading(c, '■  EXECUTIVE BRIEFING', incident);
+
+  y += px(16);
+  c.font = font(30, 700);
+  c.fillStyle = priorityColor(incident.priority);
+  c.fillText(incident.priority, 40, y);
+  const stateX = 40 + c.measureText(incident.priority).width + 40;
+  statusText(c, incident.state, stateX, y, { maxW: PANEL_W - 40 - stateX });
+  y += px(48);
+
+  const down     = monitoring.filter(m => m.status === 'Down');
+  const degraded = monitoring.filter(m => m.status === 'Degraded');
+  const affected = [...down, ...degraded].map(m => m.service).join(', ') || 'None';
+  const comms    = tasks.filter(t => COMMS_TASK.test(t.task));
+  const commsStatus = comms.length === 0
+    ? 'No communication task yet'
+    : comms.map(t => `${t.task} — ${t.status}`).join('; ');
+
+  const pairs = [
+    ['shortDescription', 'Summary:',           incident.shortDescription],
+    ['businessImpact',   'Business impact:',   incident.businessImpact || `Impact ${incident.impact}`],
+    ['affected',         'Services affected:', `${affected} (${down.length} down, ${degraded.length} degraded)`],
+    ['eta',              'ETA to restore:',    etaText(incident) || 'Not yet estimated'],
+    ['comms',            'Comms status:',      commsStatus],
+    ['openedAt',         'Opened:',            openedText(incident)],
+  ];
+  // rows share out the panel, so larger text shows fewer lines per value
+  const pitch = Math.min(px(96), Math.floor((PANEL_H - 30 - y + px(30)) / pairs.length));
+  const lineH = px(28);
+  const maxLines = Math.max(1, Math.floor((pitch - px(40)) / lineH) + 1);
+  c.font = font(22, 700);
+  const valueX = Math.max(270, 40 + Math.max(...pairs.map(([, k]) => c.measureText(k).width)) + 20);
+  pairs.forEach(([key, k, value]) => {
+    row(c, view, 'field', key, incident, 30, y - px(30), PANEL_W - 60, pitch - px(12));
+    c.font = font(22, 700);
+    c.fillStyle = KEY_LABEL;
+    c.fillText(k, 40, y);
+    c.font = font(22);
+    c.fillStyle = TEXT;
+    wrapText(c, value, valueX, y, PANEL_W - 70 - valueX, lineH, maxLines);
+    y += pitch;
+  });
+
+  return canvas;
+}
+
+// ── incident switcher ────────────────────────────────────────────────
+const SWITCHER_H = 512;
+
+// Open major incidents on the podium screen; selecting one switches the room.
+// state: { incidents: [incident records], current: incident number }
+export function renderIncidentSwitcherPanel(state, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
+  const c = ctx(canvas, SWITCHER_H);
+  let y = heading(c, '■  OPEN MAJOR INCIDENTS');
+
+  y -= 8;
+  scrollList(c, view, state.incidents, { top: y, bottom: SWITCHER_H - 40, pitch: px(92), lead: px(30) }, (inc, i, iy, w) => {
+    const current = inc.number === state.current;
+    c.fillStyle = ACCENT;
+    c.fillRect(30, iy - px(30), w, px(82));
+    if (current) {
+      c.fillStyle = BORDER;
+      c.fillRect(30, iy - px(30), 8, px(82));
+    }
+    row(c, view, 'incident', inc.number, inc, 30, iy - px(30), w, px(82));
+
+    c.font = font(24, 700);
+    c.fillStyle = current ? HEADING : TEXT;
+    c.fillText(inc.number, 54, iy);
+    const priorityX = Math.max(220, 54 + c.measureText(inc.number).width + 24);
+    c.fillStyle = priorityColor(inc.priority);
+    c.fillText(inc.priority, priorityX, iy);
+    const stateX = priorityX + c.measureText(inc.priority).width + 24;
+    statusText(c, inc.state, 30 + w - 16, iy, {
+      text: current ? `${inc.state}  ·  IN ROOM` : inc.state,
+      maxW: 30 + w - 16 - stateX,
+      align: 'right',
+    });
+
+    c.font = font(20);
+    c.fillStyle = KEY_LABEL;
+    c.fillText(fitText(c, inc.shortDescription, w - 40), 54, iy + px(32));
+  });
+  return canvas;
+}
+
+// ── time travel ──────────────────────────────────────────────────────
+const SCRUB_W = 1024;
+const SCRUB_H = 128;
+export const SCRUB_TRACK = { x0: 150, x1: 760 };   // track span in canvas px
+
+// Stamps "HISTORICAL" across a panel that is showing a past moment.
+export function drawHistoricalWatermark(canvas, asOf) {
+  const c = canvas.getContext('2d');
+  c.save();
+  c.strokeStyle = '#ffc145';
+  c.lineWidth = 8;
+  c.strokeRect(4, 4, canvas.width - 8, canvas.height - 8);
+  c.translate(canvas.width / 2, canvas.height / 2);
+  c.rotate(-0.35);
+  c.textAlign = 'center';
+  c.fillStyle = 'rgba(255, 193, 69, 0.16)';
+  c.font = '700 120px Inter, sans-serif';
+  c.fillText('HISTORICAL', 0, 20);
+  c.restore();
+
+  c.font = font(22, 700);
+  const text = `AS OF ${formatTime(asOf)} ${zoneName(timeZone(), asOf)}`;
+  const w = c.measureText(text).width + 36;
+  c.fillStyle = '#ffc145';
+  c.fillRect(canvas.width - 12 - w, 12, w, px(36));
+  c.fillStyle = BG;
+  c.textAlign = 'right';
+  c.fillText(text, canvas.width - 24, 12 + px(26));
+  c.textAlign = 'left';
+}
+
+// Scrubber strip: ◀ previous change · track with change ticks · next change ▶ · LIVE.
+// state: { start, end, asOf (null = live), ticks: [ms] }
+export function renderScrubberPanel(state, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
+  canvas.width = SCRUB_W;
+  canvas.height = SCRUB_H;
+  const c = canvas.getContext('2d');
+  const live = state.asOf === null;
+  c.fillStyle = BG;
+  c.fillRect(0, 0, SCRUB_W, SCRUB_H);
+  c.strokeStyle = live ? BORDER : '#ffc145';
+  c.lineWidth = 4;
+  c.strokeRect(2, 2, SCRUB_W - 4, SCRUB_H - 4);
+
+  const { x0, x1 } = SCRUB_TRACK;
+  const span = Math.max(1, state.end - state.start);
+  const xOf  = t => x0 + (x1 - x0) * Math.min(1, Math.max(0, (t - state.start) / span));
+
+  [['prev', 24, '◀'], ['next', 780, '▶']].forEach(([key, bx, glyph]) => {
+    c.fillStyle = ACCENT;
+    c.fillRect(bx, 34, 96, 60);
+    row(c, view, 'scrub', key, null, bx, 34, 96, 60);
+    c.fillStyle = HEADING;
+    c.font = '700 28px Inter, sans-serif';
+    c.textAlign = 'center';
+    c.fillText(glyph, bx + 48, 74);
+    c.textAlign = 'left';
+  });
+
+  // track + change ticks
+  row(c, view, 'scrub', 'track', null, x0 - 10, 20, x1 - x0 + 20, 88);
+  c.fillStyle = ACCENT;
+  c.fillRect(x0, 60, x1 - x0, 8);
+  c.fillStyle = RULE;
+  state.ticks.forEach(t => c.fillRect(xOf(t) - 1, 50, 3, 28));
+  c.fillStyle = KEY_LABEL;
+  c.font = font(18);
+  c.fillText(formatTime(state.start), x0, 86 + px(18));
+  c.textAlign = 'right';
+  c.fillText(formatTime(state.end), x1, 86 + px(18));
+  c.textAlign = 'left';
+
+  const tx = live ? x1 : xOf(state.asOf);
+  c.fillStyle = live ? BORDER : '#ffc145';
+  c.beginPath(); c.arc(tx, 64, 14, 0, Math.PI * 2); c.fill();
+  c.font = font(22, 700);
+  c.textAlign = 'center';
+  c.fillText(live ? 'NOW' : formatTime(state.asOf), Math.min(x1 - 20, Math.max(x0 + 20, tx)), 38);
+  c.textAlign = 'left';
+
+  c.fillStyle = live ? BORDER : ACCENT;
+  c.fillRect(896, 34, 104, 60);
+  row(c, view, 'scrub', 'live', null, 896, 34, 104, 60);
+  c.fillStyle = live ? BG : HEADING;
+  c.font = font(24, 700);
+  c.textAlign = 'center';
+  c.fillText(fitText(c, 'LIVE', 96), 948, 64 + px(8));
+  c.textAlign = 'left';
+
+  return canvas;
+}
+
+// ── panel arrangement ────────────────────────────────────────────────
+const ARRANGE_H = 128;
+
+// How to move panels, and the reset button once any have been moved.
+// state: { customised: bool }
+export function renderArrangePanel(state, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
+  const c = ctx(canvas, ARRANGE_H);
+  const hintW = (state.customised ? 700 : PANEL_W - 30) - 50;
+  c.font = font(20);
+  c.fillStyle = KEY_LABEL;
+  c.fillText(fitText(c, 'Squeeze a panel to move it.', hintW), 30, ARRANGE_H / 2 - px(8));
+  c.fillText(fitText(c, 'Squeeze with the other hand too to resize.', hintW), 30, ARRANGE_H / 2 + px(24));
+
+  if (state.customised) {
+    c.fillStyle = ACCENT;
+    c.fillRect(700, 30, 294, 68);
+    row(c, view, 'layout', 'reset', null, 700, 30, 294, 68);
+    c.fillStyle = HEADING;
+    c.font = font(24, 700);
+    c.textAlign = 'center';
+    c.fillText(fitText(c, '↺ RESET LAYOUT', 274), 847, 64 + px(8));
+    c.textAlign = 'left';
+  }
+  return canvas;
+}
+
+// ── hand menu ────────────────────────────────────────────────────────
+// Palm-up menu for tracked hands (see hands.js): a few big buttons that are
+// easy to poke. state: { items: [{ key, label, on }] }, up to four.
+export function renderHandMenuPanel(state, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
+  const c = ctx(canvas);
+  const y = heading(c, '■  MENU');
+
+  const gap = 24;
+  const w = (PANEL_W - 60 - gap) / 2;
+  const h = (PANEL_H - y - 30 - gap) / 2;
+  state.items.forEach((item, i) => {
+    const x  = 30 + (i % 2) * (w + gap);
+    const by = y + Math.floor(i / 2) * (h + gap);
+    c.fillStyle = item.on ? BORDER : ACCENT;
+    c.fillRect(x, by, w, h);
+    row(c, view, 'menu', item.key, null, x, by, w, h);
+    c.fillStyle = item.on ? BG : HEADING;
+    c.font = font(44, 700);
+    c.textAlign = 'center';
+    c.fillText(fitText(c, item.label, w - 20), x + w / 2, by + h / 2 + px(16));
+    c.textAlign = 'left';
+  });
+  return canvas;
+}
+
+// ── alarms ───────────────────────────────────────────────────────────
+const ALARM_H = 384;
+
+// Standing alarms (see alarms.js), worst first, with ACK and SNOOZE on each
+// that is still unacknowledged and ACK ALL under them.
+// state: { alarms: [{ service, status, since, acked, snoozedUntil }], snoozeMinutes, now }
+export function renderAlarmPanel(state, view = {}) {
+  const canvas = view.canvas || document.createElement('canvas');
+  const c = ctx(canvas, ALARM_H);
+  const open = state.alarms.filter(a => !a.acked).length;
+  const y = heading(c, `■  ALARMS  ·  ${open} UNACKNOWLEDGED`);
+
+  scrollList(c, view, state.alarms, { top: y - px(8), bottom: ALARM_H - px(76), pitch: px(60), lead: px(34) }, (a, i, ay, w) => {
+    c.fillStyle = ACCENT;
+    c.fillRect(30, ay - px(26), w, px(52));
+    c.font = font(22, 700);
+    c.fillStyle = TEXT;
+    c.fillText(fitText(c, a.service, 250), 44, ay + px(8));
+    statusText(c, a.status, 310, ay + px(8), { maxW: 150 });
+    const note = a.acked ? `acknowledged, since ${formatTime(a.since)}`
+      : a.snoozedUntil > state.now ? `snoozed to ${formatTime(a.snoozedUntil)}`
+      : `since ${formatTime(a.since)}`;
+    c.font = font(20);
+    c.fillStyle = KEY_LABEL;
+    c.fillText(fitText(c, note, a.acked ? 30 + w - 484 : w - 760), 470, ay + px(8));
+    if (a.acked) return;
+    alarmButton(c, view, 'alarm-snooze', a.service, 'SNOOZE', 30 + w - 296, ay - px(20), 150, px(40));
+    alarmButton(c, view, 'alarm-ack', a.service, 'ACK', 30 + w - 138, ay - px(20), 130, px(40));
+  });
+
+  c.font = font(20);
+  c.fillStyle = KEY_LABEL;
+  c.fillText(fitText(c, `Snooze silences an alarm for ${state.snoozeMinutes} min.`, 620), 40, ALARM_H - px(30));
+  if (open > 0) alarmButton(c, view, 'alarm-ack', '*', '✓ ACK ALL', 700, ALARM_H - px(64), 294, px(48));
+  return canvas;
+}
+
+function alarmButton(c, view, type, key, text, x, y, w, h) {
+  c.fillStyle = BORDER;
+  c.fillRect(x, y, w, h);
+  row(c, view, type, key, null, x, y, w, h);
+  c.fillStyle = BG;
+  c.font = font(20, 700);
+  c.textAlign = 'center';
+  c.fillText(fitText(c, text, w - 12), x + w / 2, y + h / 2 + px(7));
+  c.textAlign = 'left';
+}
+
+// ── screen reader summaries ──────────────────────────────────────────
+// Plain-text versions of the built-in panels for the desktop ARIA live
+// region (see main.js). Same snapshot and view as the renderers.
+function statusSummary({ incident }, view = {}) {
+  const now = Number.isFinite(view.now) ? view.now : Date.now();
+  const clocks = slaBoxes(incident, now).map(b => `${b.label}: ${b.value} (${b.note})`);
+  return `${incident.number}, ${incident.priority}, ${incident.state}. ${incident.shortDescription}. ` +
+    `Impact ${incident.impact}, urgency ${incident.urgency}. Opened ${openedText(incident)}. ` +
+    (clocks.length > 0 ? `${clocks.join('; ')}. ` : '') +
+    `Assigned to ${incident.assignedTo}, ${incident.assignmentGroup}.`;
+}
+
+function respondersSummary({ responders }) {
+  return `${responders.length} responders. ` +
+    responders.map(r => `${r.name}, ${r.role}, ${r.team}: ${r.status}.`).join(' ');
+}
+
+function tasksSummary({ tasks }) {
+  return `${tasks.length} action items. ` +
+    tasks.map(t => `#${t.id} ${t.task}: ${t.status}, ${t.priority} priority, assigned to ${t.assignedTo}.`).join(' ');
+}
+
+function timelineSummary({ timeline }) {
+  const latest = timeline.slice(-3).reverse();
+  return `${timeline.length} timeline entries. Latest: ` + latest.map(e => `${timeOfDay(e.at, e.time)} ${e.event}.`).join(' ');
+}
+
+function monitoringSummary({ monitoring }, view = {}) {
+  const down = monitoring.filter(m => m.status === 'Down');
+  const degraded = monitoring.filter(m => m.status === 'Degraded');
+  const detail = m => [m.metric, metricTrend(m)].filter(Boolean).join(', ');
+  const list = ms => ms.map(m => view.detail === 'summary' ? m.service : `${m.service} (${detail(m)})`).join(', ');
+  return `${down.length} down, ${degraded.length} degraded, ${monitoring.length - down.length - degraded.length} operational.` +
+    (down.length > 0 ? ` Down: ${list(down)}.` : '') +
+    (degraded.length > 0 ? ` Degraded: ${list(degraded)}.` : '');
+}
+
+function briefingSummary({ incident, monitoring }) {
+  const affected = monitoring.filter(m => m.status !== 'Operational').map(m => `${m.service} ${m.status.toLowerCase()}`);
+  return `${incident.priority}, ${incident.state}. ${incident.businessImpact || `Impact ${incident.impact}`}. ` +
+    `Services affected: ${affected.join(', ') || 'none'}. ETA to restore: ${etaText(incident) || 'not yet estimated'}.`;
+}
+
+// ── panel registry ───────────────────────────────────────────────────
+const DEFAULT_SIZE = [3.5, 2.625];   // metres, the PANEL_W × PANEL_H aspect
+const registry = new Map();          // id → { id, label, render, summary, deps, size, followLatest, clock, plugin }
+let builtInsDone = false;            // anything registered after the built-ins came from a plugin
+
+// Adds a panel the room can place by id (in roles and layouts).
+//   id:       unique panel id
+//   title:    name on the floating label above the panel
+//   render:   (snapshot, view) → canvas, like the renderers above
+//   dataDeps: snapshot keys the panel reads; it redraws when one changes.
+//             'incident' is always included because heading() shows it.
+//   size:     [w, h] in metres (optional); draw at the same aspect,
+//             e.g. ctx(canvas, PANEL_W * h / w)
+//   followLatest: keep a scrolled list pinned to its last entry
+//   clock:    redraw every second while live, for panels that show
+//             running times from view.now
+//   summary:  (snapshot, view) → plain text of what the panel shows, read
+//             out to desktop screen readers (optional)
+export function registerPanel({ id, title, render, summary = null, dataDeps = [], size = null, followLatest = false, clock = false }) {
+  if (!id || typeof render !== 'function') throw new Error('registerPanel needs an id and a render function');
+  if (registry.has(id)) throw new Error(`Panel "${id}" is already registered`);
+  const def = {
+    id,
+    label: title || id,
+    render,
+    summary,
+    deps: ['incident', ...dataDeps.filter(k => k !== 'incident')],
+    size,
+    followLatest,
+    clock,
+    plugin: builtInsDone,
+  };
+  registry.set(id, def);
+  return def;
+}
+
+export function panelDef(id) {
+  return registry.get(id) || null;
+}
+
+// Ids of the panels registered by plugins, in registration order.
+export function pluginPanelIds() {
+  return [...registry.values()].filter(def => def.plugin).map(def => def.id);
+}
+
+registerPanel({ id: 'status',     title: 'Incident Status',    render: renderStatusPanel,     summary: statusSummary,     clock: true });
+registerPanel({ id: 'responders', title: 'Active Responders',  render: renderRespondersPanel, summary: respondersSummary, dataDeps: ['responders'] });
+registerPanel({ id: 'tasks',      title: 'Action Items',       render: renderTasksPanel,      summary: tasksSummary,      dataDeps: ['tasks'] });
+registerPanel({ id: 'timeline',   title: 'Incident Timeline',  render: renderTimelinePanel,   summary: timelineSummary,   dataDeps: ['timeline'], followLatest: true });
+registerPanel({ id: 'monitoring', title: 'Service Monitoring', render: renderMonitoringPanel, summary: monitoringSummary, dataDeps: ['monitoring'] });
+registerPanel({ id: 'briefing',   title: 'Executive Briefing', render: renderBriefingPanel,   summary: briefingSummary,   dataDeps: ['tasks', 'monitoring'] });
+builtInsDone = true;
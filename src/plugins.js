@@ -0,0 +1,32 @@
+// plugins.js — Loads panel plugins named in the URL
+//
+// A plugin is an ES module that registers its panels with registerPanel()
+// from panels.js, and any data they need with registerCollection() from
+// data-source.js, when it is imported. Load plugins with
+// ?plugins=<name>,<name> for plugins/<name>.js, or give module URLs. A plugin
+// hosted elsewhere must import panels.js and data-source.js from this room's
+// origin, so that it registers with the same module instances.
+//
+// Registered panels join the room for every role, after the role's own
+// panels, and are placed by the layout like any other panel. Charts for the
+// wall screens register with registerChart() from charts.js and go up where
+// the layout names them (environment.charts).
+
+export function pluginsFromUrl(search = window.location.search) {
+  const list = new URLSearchParams(search).get('plugins') || '';
+  return list.split(',').map(s => s.trim()).filter(Boolean)
+    // resolved against the page: import() alone would resolve against src/
+    .map(name => new URL(/[/:]|\.m?js$/.test(name) ? name : `plugins/${name}.js`, window.location.href).href);
+}
+
+// Imports each plugin in order. One that fails to load is skipped so the
+// rest of the room still comes up.
+export async function loadPlugins(urls) {
+  for (const url of urls) {
+    try {
+      await import(url);
+    } catch (e) {
+      console.error(`Plugin ${url} failed to load:`, e);
+    }
+  }
+}
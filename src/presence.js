@@ -0,0 +1,325 @@
+// presence.js — Multi-user presence: broadcast local poses, render remote avatars
+//
+// Connects to the WebSocket relay in server/relay.mjs. Enable with URL params:
+//   ?relay=ws://localhost:8081&name=Sarah%20Chen&role=Incident%20Manager
+// Participants in the same incident share a room on the relay.
+import * as THREE from 'three';
+
+const SEND_HZ      = 15;
+const SMOOTHING    = 12;      // exponential smoothing rate for remote poses (1/s)
+const RECONNECT_MS = 5000;
+const ROLE_COLORS  = {
+  'incident manager': 0xffc145,
+  'executive':        0xb388ff,
+  'observer':         0xb0bec5,
+};
+const DEFAULT_COLOR = 0x80ffea;
+
+const _pos  = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _scl  = new THREE.Vector3();
+
+export function presenceConfigFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return {
+    relay: params.get('relay') || '',
+    name:  params.get('name')  || `Guest ${Math.floor(1000 + Math.random() * 9000)}`,
+    role:  params.get('role')  || 'Observer',
+  };
+}
+
+// Returns { events, peers, send(msg), setLocalState(state), setSpeaking(id, on), setRoom(room),
+// update(dt, local, viewer), close() }.
+// events fire 'welcome' (detail: peers already present), 'join' / 'leave' (detail: peer),
+// 'state' (detail: peer), 'signal' (detail: { from, data }),
+// 'status' (detail: 'connected' | 'disconnected') and 'room' (detail: new room).
+export function createPresence({ relay, room, name, role, scene }) {
+  const events = new EventTarget();
+  const peers  = new Map();    // id → { id, name, role, state, speaking, avatar, target }
+  const roomUrl = r => `${relay.replace(/\/+$/, '')}/${encodeURIComponent(r)}`;
+  let url = roomUrl(room);
+  let ws = null;
+  let selfId = null;
+  let sendAccum = 0;
+  let closed = false;
+  let reconnectTimer = null;
+  let localState = {};
+
+  function emit(type, detail) {
+    events.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  function connect() {
+    const socket = new WebSocket(url);
+    ws = socket;
+    socket.addEventListener('open', () => {
+      socket.send(JSON.stringify({ type: 'hello', name, role, state: localState }));
+      emit('status', 'connected');
+    });
+    socket.addEventListener('message', e => {
+      if (socket === ws) onMessage(JSON.parse(e.data));
+    });
+    socket.addEventListener('close', () => {
+      if (socket !== ws) return;   // replaced by setRoom()
+      peers.forEach(p => removePeer(p.id, false));
+      selfId = null;
+      emit('status', 'disconnected');
+      if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_MS);
+    });
+  }
+
+  function onMessage(msg) {
+    if (msg.type === 'welcome') {
+      selfId = msg.id;
+      msg.peers.forEach(p => addPeer(p, false));
+      emit('welcome', [...peers.values()]);
+    } else if (msg.type === 'join') {
+      addPeer(msg.peer, true);
+    } else if (msg.type === 'leave') {
+      removePeer(msg.id, true);
+    } else if (msg.type === 'pose') {
+      const peer = peers.get(msg.id);
+      if (peer) setTarget(peer, msg.pose);
+    } else if (msg.type === 'state') {
+      const peer = peers.get(msg.id);
+      if (!peer) return;
+      peer.state = msg.state || {};
+      redrawTag(peer);
+      emit('state', peer);
+    } else if (msg.type === 'signal') {
+      emit('signal', { from: msg.from, data: msg.data });
+    }
+  }
+
+  function send(msg) {
+    if (ws && ws.readyState === WebSocket.OPEN && selfId !== null) ws.send(JSON.stringify(msg));
+  }
+
+  function addPeer({ id, name: peerName, role: peerRole, pose, state }, announce) {
+    if (id === selfId || peers.has(id)) return;
+    const peer = {
+      id, name: peerName, role: peerRole, state: state || {}, speaking: false,
+      avatar: buildAvatar(peerName, peerRole), target: null,
+    };
+    redrawTag(peer);
+    peer.avatar.visible = false;   // until the first pose arrives
+    scene.add(peer.avatar);
+    peers.set(id, peer);
+    if (pose) setTarget(peer, pose, true);
+    if (announce) emit('join', peer);
+  }
+
+  function removePeer(id, announce) {
+    const peer = peers.get(id);
+    if (!peer) return;
+    scene.remove(peer.avatar);
+    disposeAvatar(peer.avatar);
+    peers.delete(id);
+    if (announce) emit('leave', peer);
+  }
+
+  function setTarget(peer, pose, snap = false) {
+    peer.target = pose;
+    if (snap || !peer.avatar.visible) {
+      applyAvatarPose(peer.avatar, pose, 1);
+      peer.avatar.visible = true;
+    }
+  }
+
+  function sendPose(local) {
+    send({ type: 'pose', pose: captureLocalPose(local) });
+  }
+
+  connect();
+
+  return {
+    events,
+    peers,
+    send,
+    // shared with the room, e.g. { muted: true }; survives reconnects
+    setLocalState(state) {
+      localState = { ...localState, ...state };
+      send({ type: 'state', state: localState });
+    },
+    setSpeaking(id, on) {
+      const peer = peers.get(id);
+      if (!peer || peer.speaking === on) return;
+      peer.speaking = on;
+      redrawTag(peer);
+    },
+    // Leave the current room for another, e.g. when the room switches incident.
+    setRoom(next) {
+      const old = ws;
+      clearTimeout(reconnectTimer);
+      peers.forEach(p => removePeer(p.id, false));
+      selfId = null;
+      url = roomUrl(next);
+      emit('room', next);
+      connect();
+      if (old) old.close();
+    },
+    // local: { head: Object3D, hands: [controller, …] }; viewer: camera the name tags face
+    update(dt, local, viewer) {
+      sendAccum += dt;
+      if (sendAccum >= 1 / SEND_HZ) {
+        sendAccum = 0;
+        sendPose(local);
+      }
+      const k = smoothingFactor(dt);
+      const viewerPos = viewer.getWorldPosition(new THREE.Vector3());
+      peers.forEach(peer => {
+        if (!peer.target) return;
+        applyAvatarPose(peer.avatar, peer.target, k);
+        faceTag(peer.avatar, viewerPos);
+      });
+    },
+    close() {
+      closed = true;
+      if (ws) ws.close();
+    },
+  };
+}
+
+// ── pose helpers ─────────────────────────────────────────────────────
+// Shared with the recorder and replay, which log and play back the same poses.
+
+// { head, left, right } as [x, y, z, qx, qy, qz, qw] world transforms; hands
+// are null unless a tracked controller reports that handedness.
+export function captureLocalPose({ head, hands }) {
+  const pose = { head: poseOf(head), left: null, right: null };
+  hands.forEach(ctrl => {
+    const source = ctrl.userData.inputSource;
+    if (!source || !ctrl.visible) return;
+    if (source.handedness === 'left' || source.handedness === 'right') pose[source.handedness] = poseOf(ctrl);
+  });
+  return pose;
+}
+
+export function smoothingFactor(dt) {
+  return 1 - Math.exp(-SMOOTHING * dt);
+}
+
+export function applyAvatarPose(avatar, pose, k) {
+  const { head, left, right } = avatar.userData;
+  applyPose(head,  pose.head,  k);
+  applyPose(left,  pose.left,  k);
+  applyPose(right, pose.right, k);
+}
+
+export function faceTag(avatar, viewerPos) {
+  const { head, tag } = avatar.userData;
+  tag.position.set(head.position.x, head.position.y + 0.32, head.position.z);
+  tag.lookAt(viewerPos);
+}
+
+function poseOf(obj) {
+  obj.matrixWorld.decompose(_pos, _quat, _scl);
+  return [_pos.x, _pos.y, _pos.z, _quat.x, _quat.y, _quat.z, _quat.w];
+}
+
+// Moves obj a fraction k of the way toward pose; a null pose hides it.
+function applyPose(obj, pose, k) {
+  if (!pose) { obj.visible = false; return; }
+  _pos.set(pose[0], pose[1], pose[2]);
+  _quat.set(pose[3], pose[4], pose[5], pose[6]);
+  if (!obj.visible || k >= 1) {
+    obj.position.copy(_pos);
+    obj.quaternion.copy(_quat);
+    obj.visible = true;
+    return;
+  }
+  obj.position.lerp(_pos, k);
+  obj.quaternion.slerp(_quat, k);
+}
+
+// ── avatar ───────────────────────────────────────────────────────────
+export function buildAvatar(name, role) {
+  const color = ROLE_COLORS[(role || '').toLowerCase()] || DEFAULT_COLOR;
+  const group = new THREE.Group();
+  group.name = `avatar:${name}`;
+
+  const head = new THREE.Group();
+  const skull = new THREE.Mesh(
+    new THREE.SphereGeometry(0.12, 16, 12),
+    new THREE.MeshStandardMaterial({ color, roughness: 0.6, metalness: 0.1 })
+  );
+  head.add(skull);
+  const visor = new THREE.Mesh(
+    new THREE.BoxGeometry(0.18, 0.07, 0.06),
+    new THREE.MeshStandardMaterial({ color: 0x101418, roughness: 0.3, metalness: 0.5 })
+  );
+  visor.position.set(0, 0.01, -0.1);   // -Z is forward
+  head.add(visor);
+  group.add(head);
+
+  const handMat = new THREE.MeshStandardMaterial({ color, roughness: 0.6, metalness: 0.1 });
+  const left  = new THREE.Mesh(new THREE.SphereGeometry(0.045, 12, 8), handMat);
+  const right = new THREE.Mesh(new THREE.SphereGeometry(0.045, 12, 8), handMat);
+  left.visible = right.visible = false;
+  group.add(left, right);
+
+  const tag = buildNameTag();
+  group.add(tag);
+
+  group.userData = { head, left, right, tag, color };
+  return group;
+}
+
+function buildNameTag() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512; canvas.height = 128;
+  const tex = new THREE.CanvasTexture(canvas);
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(0.5, 0.125),
+    new THREE.MeshBasicMaterial({ map: tex, transparent: true, side: THREE.DoubleSide })
+  );
+  // PlaneGeometry faces +Z, and lookAt points +Z at the viewer
+  return mesh;
+}
+
+// Name, role and a mic indicator: red slash when muted, green rings while speaking.
+// `peer` is { name, role, state, speaking, avatar }.
+export function redrawTag(peer) {
+  const { tag, color } = peer.avatar.userData;
+  const canvas = tag.material.map.image;
+  const c = canvas.getContext('2d');
+  c.clearRect(0, 0, 512, 128);
+  c.fillStyle = 'rgba(6,16,28,0.85)';
+  c.fillRect(0, 0, 512, 128);
+  c.fillStyle = `#${color.toString(16).padStart(6, '0')}`;
+  c.fillRect(0, 0, 8, 128);
+  c.textAlign = 'center';
+  c.fillStyle = '#ffffff';
+  c.font = '700 44px Inter, sans-serif';
+  c.fillText(peer.name, 236, 58);
+  c.fillStyle = '#a0d4ff';
+  c.font = '30px Inter, sans-serif';
+  c.fillText(peer.role, 236, 104);
+
+  // mic glyph
+  const mx = 470, my = 64;
+  const micColor = peer.speaking ? '#69f0ae' : (peer.state.muted ? '#ff6b6b' : '#b0bec5');
+  c.fillStyle = micColor;
+  c.strokeStyle = micColor;
+  c.lineWidth = 4;
+  c.beginPath(); c.roundRect(mx - 9, my - 30, 18, 34, 9); c.fill();
+  c.beginPath(); c.arc(mx, my - 6, 18, 0, Math.PI); c.stroke();
+  c.beginPath(); c.moveTo(mx, my + 12); c.lineTo(mx, my + 24); c.stroke();
+  if (peer.state.muted) {
+    c.beginPath(); c.moveTo(mx - 22, my + 22); c.lineTo(mx + 22, my - 34); c.stroke();
+  } else if (peer.speaking) {
+    c.beginPath(); c.arc(mx, my - 6, 30, -0.6, 0.6); c.stroke();
+    c.beginPath(); c.arc(mx, my - 6, 30, Math.PI - 0.6, Math.PI + 0.6); c.stroke();
+  }
+  tag.material.map.needsUpdate = true;
+}
+
+export function disposeAvatar(group) {
+  group.traverse(obj => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) {
+      if (obj.material.map) obj.material.map.dispose();
+      obj.material.dispose();
+    }
+  });
+}
@@ -0,0 +1,105 @@
+// prometheus.js — Service metrics from Prometheus query results
+//
+// A metrics file maps PromQL queries to the room's monitoring rows:
+//   {
+//     format: 'war-room-metrics', version: 1,
+//     step: seconds between backfilled samples (default 30),
+//     queries: [{
+//       service:     monitoring row it feeds, or
+//       serviceLabel: result label holding the service name (one query, many services)
+//       name, unit:  what it measures, e.g. 'timeout', '%' (see metrics.js)
+//       scale:       multiplies each value, e.g. 100 for a 0…1 ratio shown in %
+//       thresholds:  { warn, critical }, optional
+//       query:       PromQL
+//       result:      a recorded /api/v1/query or /api/v1/query_range response
+//     }]
+//   }
+// With ?prometheus=<server> the queries run there: query_range from when the
+// incident opened, then an instant query on every refresh. Without it the
+// recorded results are replayed instead, so a metrics file doubles as a test
+// fixture (metrics/sample.json is one for the mock incidents).
+//
+// Select a metrics file with ?metrics=<name> for metrics/<name>.json, or
+// ?metrics=<url>. Sample timestamps are Prometheus's: seconds since the epoch.
+import { parseDateTime } from './time.js';
+
+export const METRICS_FORMAT  = 'war-room-metrics';
+export const METRICS_VERSION = 1;
+
+const DEFAULT_STEP_S = 30;
+const BACKFILL_MS    = 3600 * 1000;   // when the incident's opening time is unknown
+
+export function metricsUrl(name) {
+  return /[/:]|\.json$/.test(name) ? name : `metrics/${name}.json`;
+}
+
+export async function loadMetricsFile(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load metrics ${url}: ${res.status}`);
+  const spec = await res.json();
+  if (!spec || spec.format !== METRICS_FORMAT) throw new Error(`${url} is not a war-room metrics file`);
+  if (spec.version > METRICS_VERSION) throw new Error(`Metrics file version ${spec.version} is newer than this room`);
+  if (!Array.isArray(spec.queries)) throw new Error(`${url} has no queries`);
+  return spec;
+}
+
+// Samples in one query result: [{ service, name, unit, thresholds, at, value }]
+// with `at` in epoch ms. Takes vector, matrix and scalar results.
+export function samplesFromResult(response, query) {
+  if (!response || response.status !== 'success') {
+    throw new Error(`Prometheus query failed: ${response && (response.error || response.status)}`);
+  }
+  const { resultType, result } = response.data;
+  const series = resultType === 'scalar' ? [{ metric: {}, values: [result] }]
+    : result.map(r => ({ metric: r.metric || {}, values: resultType === 'matrix' ? r.values : [r.value] }));
+  const samples = [];
+  series.forEach(({ metric, values }) => {
+    const service = query.service || metric[query.serviceLabel || 'service'];
+    if (!service) return;
+    values.forEach(([ts, v]) => {
+      const value = Number(v) * (query.scale || 1);
+      if (!Number.isFinite(value)) return;   // NaN / ±Inf from empty rates
+      samples.push({ service, name: query.name, unit: query.unit || '', thresholds: query.thresholds, at: ts * 1000, value });
+    });
+  });
+  return samples;
+}
+
+// poll(incident) → samples new since the last poll: the whole backfill or
+// recording first, then the latest values from a live server. A backfill
+// that fails is tried again on the next poll.
+export function createPrometheusFeed({ metrics, prometheus = '' }) {
+  let spec = null;
+  let backfilled = false;
+
+  async function query(path, params) {
+    // relative to the base, so a server behind a path prefix keeps it
+    const url = new URL(`api/v1/${path}`, prometheus.replace(/\/?$/, '/'));
+    Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Prometheus ${path} ${res.status}`);
+    return res.json();
+  }
+
+  return {
+    async poll(incident) {
+      if (!spec) {
+        spec = await loadMetricsFile(metricsUrl(metrics));
+        if (!prometheus) return spec.queries.flatMap(q => (q.result ? samplesFromResult(q.result, q) : []));
+      }
+      if (!prometheus) return [];
+      if (!backfilled) {
+        const end = Date.now();
+        const opened = parseDateTime(incident.openedAt);
+        const start = Number.isFinite(opened) && opened < end ? opened : end - BACKFILL_MS;
+        const results = await Promise.all(spec.queries.map(q => query('query_range', {
+          query: q.query, start: start / 1000, end: end / 1000, step: spec.step || DEFAULT_STEP_S,
+        })));
+        backfilled = true;
+        return results.flatMap((r, i) => samplesFromResult(r, spec.queries[i]));
+      }
+      const results = await Promise.all(spec.queries.map(q => query('query', { query: q.query })));
+      return results.flatMap((r, i) => samplesFromResult(r, spec.queries[i]));
+    },
+  };
+}
@@ -0,0 +1,142 @@
+// recorder.js — Session recorder producing an exportable JSON event log
+//
+// Captures, with timestamps in seconds since recording started:
+//   { t, type: 'data',  snapshot }                 every data-source change
+//   { t, type: 'pose',  who, pose }                head/hand poses, ~4 Hz per participant
+//   { t, type: 'gaze',  who, panel }               panel label someone looks at (or null)
+//   { t, type: 'join' | 'leave', who }
+// Participants are keyed by `who` ('self' for the recording user, otherwise
+// the presence id) and described once in `participants`.
+//
+// The log is what replay.js plays back, and what gets attached to the
+// problem record after the incident.
+
+export const RECORDING_FORMAT  = 'war-room-recording';
+export const RECORDING_VERSION = 1;
+
+const POSE_HZ       = 4;
+const POSE_EPSILON  = 0.01;   // metres / quaternion units; smaller moves aren't logged
+
+export function createRecorder({ incident, source }) {
+  let recording = false;
+  let startedAt = 0;           // performance.now() at start
+  let startedIso = '';
+  let events = [];
+  let participants = {};
+  let lastPose = new Map();    // who → { t, pose }
+  let lastGaze = new Map();    // who → panel label
+  let present  = new Set();
+
+  function t() {
+    return Math.round((performance.now() - startedAt)) / 1000;
+  }
+
+  function push(event) {
+    events.push({ t: t(), ...event });
+  }
+
+  return {
+    get recording() { return recording; },
+    get duration()  { return recording ? t() : 0; },
+
+    start(snapshot) {
+      recording = true;
+      startedAt = performance.now();
+      startedIso = new Date().toISOString();
+      events = [];
+      participants = {};
+      lastPose = new Map();
+      lastGaze = new Map();
+      present = new Set();
+      if (snapshot) push({ type: 'data', snapshot });
+    },
+
+    stop() {
+      recording = false;
+      return this.toJSON();
+    },
+
+    recordData(snapshot) {
+      if (recording) push({ type: 'data', snapshot });
+    },
+
+    // list: [{ who, name, role, pose, gaze }] for everyone currently in the room
+    sample(list) {
+      if (!recording) return;
+      const now = t();
+      const seen = new Set();
+      list.forEach(({ who, name, role, pose, gaze }) => {
+        seen.add(who);
+        if (!present.has(who)) {
+          present.add(who);
+          participants[who] = { name, role };
+          push({ type: 'join', who });
+        }
+        const last = lastPose.get(who);
+        if (pose && (!last || (now - last.t >= 1 / POSE_HZ && poseMoved(last.pose, pose)))) {
+          lastPose.set(who, { t: now, pose });
+          push({ type: 'pose', who, pose: roundPose(pose) });
+        }
+        if (lastGaze.get(who) !== gaze) {
+          lastGaze.set(who, gaze);
+          push({ type: 'gaze', who, panel: gaze });
+        }
+      });
+      present.forEach(who => {
+        if (seen.has(who)) return;
+        present.delete(who);
+        lastPose.delete(who);
+        lastGaze.delete(who);
+        push({ type: 'leave', who });
+      });
+    },
+
+    toJSON() {
+      return {
+        format:    RECORDING_FORMAT,
+        version:   RECORDING_VERSION,
+        incident,
+        source,
+        startedAt: startedIso,
+        duration:  events.length ? events[events.length - 1].t : 0,
+        participants,
+        events,
+      };
+    },
+
+    download() {
+      const log  = this.toJSON();
+      const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+      const a    = document.createElement('a');
+      a.href     = URL.createObjectURL(blob);
+      a.download = `${incident}-war-room-${startedIso.replace(/[:.]/g, '-')}.json`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+  };
+}
+
+// Throws if `log` isn't a recording this version can play.
+export function validateRecording(log) {
+  if (!log || log.format !== RECORDING_FORMAT) throw new Error('Not a war-room recording');
+  if (log.version > RECORDING_VERSION) throw new Error(`Recording version ${log.version} is newer than this player`);
+  if (!Array.isArray(log.events)) throw new Error('Recording has no events');
+  return log;
+}
+
+// ── pose helpers ─────────────────────────────────────────────────────
+function poseMoved(a, b) {
+  for (const part of ['head', 'left', 'right']) {
+    if (!a[part] !== !b[part]) return true;
+    if (!a[part]) continue;
+    for (let i = 0; i < a[part].length; i++) {
+      if (Math.abs(a[part][i] - b[part][i]) > POSE_EPSILON) return true;
+    }
+  }
+  return false;
+}
+
+function roundPose(pose) {
+  const r = arr => arr && arr.map(v => Math.round(v * 1000) / 1000);
+  return { head: r(pose.head), left: r(pose.left), right: r(pose.right) };
+}
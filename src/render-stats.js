@@ -0,0 +1,54 @@
+// render-stats.js — What each frame costs the GPU, for catching regressions
+//
+// ?stats shows an overlay with the last frame's draw calls and triangles from
+// renderer.info, the geometries and textures in GPU memory, the frame rate
+// and how many drawable objects the environment has, refreshed twice a
+// second. The same numbers are on the element as data-* attributes
+// (data-calls, data-triangles, data-geometries, data-textures, data-fps,
+// data-environment-objects), so a headless browser can load the room with
+// ?stats and fail a check when they go over budget.
+
+const REFRESH_S = 0.5;
+
+export function statsFromUrl(search = window.location.search) {
+  return new URLSearchParams(search).has('stats');
+}
+
+// Call update(dt) straight after renderer.render(): renderer.info is reset at
+// the start of every render.
+export function createRenderStats(renderer, el, environmentGroup) {
+  el.hidden = false;
+  let frames = 0;
+  let elapsed = 0;
+
+  return {
+    update(dt) {
+      frames++;
+      elapsed += dt;
+      if (elapsed < REFRESH_S) return;
+
+      let objects = 0;
+      environmentGroup.traverse(o => { if (o.isMesh || o.isLine || o.isPoints) objects++; });
+      const { render, memory } = renderer.info;
+      const stats = {
+        calls:              render.calls,
+        triangles:          render.triangles,
+        geometries:         memory.geometries,
+        textures:           memory.textures,
+        fps:                Math.round(frames / elapsed),
+        environmentObjects: objects,
+      };
+      frames = 0;
+      elapsed = 0;
+
+      Object.assign(el.dataset, stats);
+      el.textContent = [
+        `${stats.fps} fps`,
+        `draw calls  ${stats.calls}`,
+        `triangles   ${stats.triangles.toLocaleString()}`,
+        `geometries  ${stats.geometries} · textures ${stats.textures}`,
+        `environment ${stats.environmentObjects} objects`,
+      ].join('\n');
+    },
+  };
+}
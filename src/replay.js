@@ -0,0 +1,204 @@
+// replay.js — Post-incident replay of a recorder.js event log
+//
+// Drives the room from the log: data snapshots go back through the normal
+// panel refresh path, participants reappear as ghost avatars, and the control
+// bar shows who was looking at which panel.
+//
+// Desktop controls: Space play/pause · [ / ] seek ±10 s · , / . slower/faster
+import * as THREE from 'three';
+import { buildAvatar, redrawTag, applyAvatarPose, faceTag, disposeAvatar, smoothingFactor } from './presence.js';
+import { validateRecording } from './recorder.js';
+
+const SPEEDS   = [0.5, 1, 2, 4, 8, 16];
+const SEEK_STEP = 10;
+
+// Returns { update(dt, viewer), seek(t), play(), pause(), dispose(), time, duration }.
+// onData(snapshot) is called whenever the replayed snapshot changes.
+export function createReplay(log, { scene, onData, onExit }) {
+  validateRecording(log);
+  const events   = [...log.events].sort((a, b) => a.t - b.t);
+  const duration = log.duration || (events.length ? events[events.length - 1].t : 0);
+
+  let time = 0;
+  let playing = false;
+  let speed = 1;
+  let cursor = 0;                 // index of the next event to apply
+  let snapshot = null;
+  let snapshotDirty = false;
+  const poses   = new Map();      // who → pose
+  const gazes   = new Map();      // who → panel label
+  const present = new Set();
+  const ghosts  = new Map();      // who → avatar
+
+  const bar = buildControlBar();
+
+  function applyEvent(e) {
+    if (e.type === 'data') {
+      snapshot = e.snapshot;
+      snapshotDirty = true;
+    } else if (e.type === 'pose') {
+      poses.set(e.who, e.pose);
+    } else if (e.type === 'gaze') {
+      gazes.set(e.who, e.panel);
+    } else if (e.type === 'join') {
+      present.add(e.who);
+    } else if (e.type === 'leave') {
+      present.delete(e.who);
+      poses.delete(e.who);
+      gazes.delete(e.who);
+    }
+  }
+
+  function advanceTo(t) {
+    while (cursor < events.length && events[cursor].t <= t) applyEvent(events[cursor++]);
+  }
+
+  function seek(t) {
+    time = Math.min(duration, Math.max(0, t));
+    cursor = 0;
+    poses.clear();
+    gazes.clear();
+    present.clear();
+    const before = snapshot;
+    snapshot = null;
+    advanceTo(time);
+    if (!snapshot) snapshot = before;
+    snapshotDirty = snapshot !== before;
+    syncGhosts(1);
+    flush();
+  }
+
+  function flush() {
+    if (snapshotDirty && snapshot) onData(snapshot);
+    snapshotDirty = false;
+    updateBar();
+  }
+
+  function syncGhosts(k) {
+    present.forEach(who => {
+      if (!ghosts.has(who)) {
+        const info = (log.participants && log.participants[who]) || { name: who, role: '' };
+        const avatar = buildAvatar(info.name, info.role);
+        redrawTag({ name: info.name, role: `${info.role} · replay`, state: {}, speaking: false, avatar });
+        avatar.traverse(obj => {
+          if (obj.material) { obj.material.transparent = true; obj.material.opacity = 0.6; }
+        });
+        scene.add(avatar);
+        ghosts.set(who, avatar);
+      }
+    });
+    ghosts.forEach((avatar, who) => {
+      const pose = poses.get(who);
+      if (!present.has(who) || !pose) {
+        avatar.visible = false;
+        return;
+      }
+      applyAvatarPose(avatar, pose, avatar.visible ? k : 1);
+      avatar.visible = true;
+    });
+  }
+
+  // ── control bar (desktop) ──────────────────────────────────────────
+  function buildControlBar() {
+    const el = document.createElement('div');
+    el.id = 'replay-bar';
+    el.innerHTML = `
+      <button data-act="play" title="Play / pause (Space)">▶</button>
+      <input type="range" min="0" max="${duration}" step="0.1" value="0" />
+      <span class="time"></span>
+      <select title="Playback speed (, / .)">
+        ${SPEEDS.map(s => `<option value="${s}"${s === 1 ? ' selected' : ''}>${s}×</option>`).join('')}
+      </select>
+      <button data-act="exit" title="Leave replay">✕</button>
+      <div class="gaze"></div>`;
+    document.body.appendChild(el);
+
+    el.querySelector('[data-act="play"]').addEventListener('click', () => (playing ? api.pause() : api.play()));
+    el.querySelector('[data-act="exit"]').addEventListener('click', () => onExit());
+    el.querySelector('input').addEventListener('input', e => seek(Number(e.target.value)));
+    el.querySelector('select').addEventListener('change', e => { speed = Number(e.target.value); });
+    return el;
+  }
+
+  function updateBar() {
+    bar.querySelector('[data-act="play"]').textContent = playing ? '❚❚' : '▶';
+    bar.querySelector('input').value = time;
+    bar.querySelector('.time').textContent = `${clock(time)} / ${clock(duration)}`;
+    bar.querySelector('select').value = String(speed);
+    const lines = [...present].map(who => {
+      const info = (log.participants && log.participants[who]) || { name: who };
+      return `${info.name} → ${gazes.get(who) || '—'}`;
+    });
+    bar.querySelector('.gaze').textContent = lines.join('   ·   ');
+  }
+
+  function onKey(e) {
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+    if (e.code === 'Space') { e.preventDefault(); playing ? api.pause() : api.play(); }
+    else if (e.code === 'BracketLeft')  seek(time - SEEK_STEP);
+    else if (e.code === 'BracketRight') seek(time + SEEK_STEP);
+    else if (e.code === 'Comma')  setSpeedStep(-1);
+    else if (e.code === 'Period') setSpeedStep(1);
+  }
+  document.addEventListener('keydown', onKey);
+
+  function setSpeedStep(dir) {
+    const i = SPEEDS.indexOf(speed);
+    speed = SPEEDS[Math.min(SPEEDS.length - 1, Math.max(0, i + dir))];
+    updateBar();
+  }
+
+  const api = {
+    get time()     { return time; },
+    get duration() { return duration; },
+    get playing()  { return playing; },
+    play() {
+      if (time >= duration) seek(0);
+      playing = true;
+      updateBar();
+    },
+    pause() {
+      playing = false;
+      updateBar();
+    },
+    seek,
+    update(dt, viewer) {
+      if (playing) {
+        time = Math.min(duration, time + dt * speed);
+        advanceTo(time);
+        if (time >= duration) playing = false;
+        flush();
+      }
+      syncGhosts(smoothingFactor(dt));
+      const viewerPos = viewer.getWorldPosition(new THREE.Vector3());
+      ghosts.forEach(avatar => faceTag(avatar, viewerPos));
+    },
+    dispose() {
+      document.removeEventListener('keydown', onKey);
+      bar.remove();
+      ghosts.forEach(avatar => {
+        scene.remove(avatar);
+        disposeAvatar(avatar);
+      });
+      ghosts.clear();
+    },
+  };
+
+  seek(0);
+  return api;
+}
+
+// First data snapshot in a recording, used to build the room before playback.
+export function initialSnapshot(log) {
+  const first = validateRecording(log).events.find(e => e.type === 'data');
+  if (!first) throw new Error('Recording contains no incident data');
+  return first.snapshot;
+}
+
+function clock(seconds) {
+  const s = Math.floor(seconds);
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
@@ -0,0 +1,101 @@
+// roles.js — Role-based views: which panels a visitor sees and what each shows
+//
+// The view role comes from, in order:
+//   1. ?role=… (the same parameter presence uses for the name tag);
+//   2. the responder record matching ?name=…, e.g. "Tech Lead" → engineer;
+//   3. a picker shown on entry.
+//
+// Each role lists panel ids (see registerPanel in panels.js), a detail
+// level the renderers read from view.detail ('full' | 'summary'), whether
+// the incident manager controls are drawn (view.controls), and fields to hide.
+// `hide` entries are 'people' (every person's name, replaced by a stable
+// "Responder N") or 'collection.field' paths blanked to '—'.
+
+export const ROLES = {
+  manager: {
+    label:    'Incident Manager',
+    panels:   ['status', 'responders', 'tasks', 'timeline', 'monitoring'],
+    detail:   'full',
+    controls: true,
+    hide:     [],
+  },
+  engineer: {
+    label:    'Engineer',
+    panels:   ['status', 'responders', 'tasks', 'timeline', 'monitoring'],
+    detail:   'full',
+    controls: false,
+    hide:     [],
+  },
+  executive: {
+    label:    'Executive',
+    panels:   ['briefing', 'timeline', 'monitoring'],
+    detail:   'summary',
+    controls: false,
+    hide:     [],
+  },
+  observer: {
+    label:    'Observer',
+    panels:   ['status', 'responders', 'tasks', 'timeline', 'monitoring'],
+    detail:   'full',
+    controls: false,
+    hide:     ['people', 'incident.assignmentGroup'],
+  },
+};
+
+// Free-text role (URL or responder record) → ROLES key.
+export function viewRoleOf(role) {
+  const s = (role || '').toLowerCase();
+  if (s === 'manager' || s.includes('incident manager')) return 'manager';
+  if (s === 'exec' || /executive|director|vp\b|chief/.test(s)) return 'executive';
+  if (s.includes('observer')) return 'observer';
+  return 'engineer';
+}
+
+// Returns a ROLES key, or null when the visitor has to pick one.
+export function roleFromUrl(responders, search = window.location.search) {
+  const params = new URLSearchParams(search);
+  if (params.get('role')) return viewRoleOf(params.get('role'));
+  const responder = responders.find(r => r.name === params.get('name'));
+  return responder ? viewRoleOf(responder.role) : null;
+}
+
+// Shows the #role-picker overlay and resolves with the chosen ROLES key.
+export function pickRole() {
+  const picker = document.getElementById('role-picker');
+  picker.classList.add('on');
+  return new Promise(resolve => {
+    picker.querySelectorAll('button[data-role]').forEach(button => {
+      button.addEventListener('click', () => {
+        picker.classList.remove('on');
+        resolve(button.dataset.role);
+      }, { once: true });
+    });
+  });
+}
+
+// The snapshot as this role may see it. Item keys of hidden people change
+// too, so rows keep a stable identity within the redacted view.
+export function applyRole(role, snapshot) {
+  if (role.hide.length === 0) return snapshot;
+  const snap = structuredClone(snapshot);
+  role.hide.forEach(path => {
+    if (path === 'people') return hidePeople(snap);
+    const [collection, field] = path.split('.');
+    const target = snap[collection];
+    if (Array.isArray(target)) target.forEach(item => { if (field in item) item[field] = '—'; });
+    else if (target && field in target) target[field] = '—';
+  });
+  return snap;
+}
+
+function hidePeople(snap) {
+  const aliases = new Map();
+  const alias = name => {
+    if (!name || name === 'Unassigned') return name;
+    if (!aliases.has(name)) aliases.set(name, `Responder ${aliases.size + 1}`);
+    return aliases.get(name);
+  };
+  snap.responders.forEach(r => { r.name = alias(r.name); });
+  snap.tasks.forEach(t => { t.assignedTo = alias(t.assignedTo); });
+  snap.incident.assignedTo = alias(snap.incident.assignedTo);
+}
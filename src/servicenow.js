@@ -0,0 +1,283 @@
+// servicenow.js — ServiceNow Table API adapter for the incident data source
+//
+// Maps the Table API records onto the snapshot shape used by the panels:
+//   incident           → incident
+//   incident_task      → tasks (and the responders who own them)
+//   sys_journal_field  → timeline (work notes + additional comments)
+//   task_ci → cmdb_ci  → monitoring (operational status of affected CIs; the
+//                        numbers come from ?metrics=, see prometheus.js)
+//   sys_audit          → record history for time travel (loadHistory)
+//   incident           → open P1/P2 incidents for the switcher (listIncidents)
+//   incident_task PATCH ← task status changes from the incident manager (updateTask)
+//
+// Display values, dates included, come in the zone of the ServiceNow user
+// the requests run as; pass it as `timeZone` (?sourcetz=) when that isn't
+// the browser's. Mapped records carry ISO 8601 times with an offset.
+//
+// Anything that speaks the Table API works, including a local stub server.
+// Authentication relies on the browser session (cookies) unless `headers`
+// is supplied, e.g. { Authorization: 'Bearer …' }.
+import { itemKey } from './data-source.js';
+import { LOCAL_ZONE, parseDateTime, toIso } from './time.js';
+
+const INCIDENT_FIELDS = [
+  'sys_id', 'number', 'priority', 'state', 'short_description', 'opened_at', 'resolved_at',
+  'impact', 'urgency', 'assignment_group', 'assigned_to', 'business_impact',
+];
+const TASK_FIELDS   = [
+  'sys_id', 'number', 'short_description', 'assigned_to', 'assignment_group', 'state', 'priority', 'active',
+  'sys_created_on',
+];
+const JOURNAL_FIELDS = ['value', 'element', 'sys_created_on'];
+const CI_FIELDS     = ['ci_item.sys_id', 'ci_item.name', 'ci_item.operational_status', 'ci_item.sys_updated_on'];
+const AUDIT_FIELDS  = ['documentkey', 'fieldname', 'oldvalue', 'sys_created_on'];
+
+// cmdb_ci.operational_status display values → monitoring status
+const CI_STATUS = {
+  'non-operational':    'Down',
+  'repair in progress': 'Degraded',
+  'dr standby':         'Degraded',
+};
+
+// sys_audit stores raw choice values; these are the out-of-box labels.
+const INCIDENT_STATE = { 1: 'New', 2: 'In Progress', 3: 'On Hold', 6: 'Resolved', 7: 'Closed', 8: 'Canceled' };
+const PRIORITY       = { 1: '1 - Critical', 2: '2 - High', 3: '3 - Moderate', 4: '4 - Low', 5: '5 - Planning' };
+const IMPACT         = { 1: '1 - High', 2: '2 - Medium', 3: '3 - Low' };
+const TASK_STATE     = { '-5': 'Pending', 1: 'Open', 2: 'Work in Progress', 3: 'Closed Complete', 4: 'Closed Incomplete', 7: 'Closed Skipped' };
+const CI_OP_STATUS   = { 1: 'Operational', 2: 'Non-Operational', 3: 'Repair in Progress', 4: 'DR Standby', 5: 'Ready', 6: 'Retired' };
+
+// ?incident= goes into an encoded query, where ^ would start another condition
+const INCIDENT_NUMBER = /^[A-Z]+\d+$/;
+
+// panel task status → incident_task state value written by updateTask()
+const TASK_STATE_VALUE = { 'Not Started': '1', 'In Progress': '2', 'Completed': '3' };
+
+export function createServiceNowSource({ instance, incident, headers = {}, sourceTimeZone = LOCAL_ZONE }) {
+  if (!instance) throw new Error('ServiceNow source needs an instance URL (?instance=https://…)');
+  if (!INCIDENT_NUMBER.test(incident)) throw new Error(`"${incident}" is not an incident number (like INC0012345)`);
+  const base = instance.replace(/\/+$/, '');
+  const parse = dateTime => parseDateTime(dateTime, sourceTimeZone);
+
+  async function table(name, query, fields) {
+    const params = new URLSearchParams({
+      sysparm_query:                  query,
+      sysparm_fields:                 fields.join(','),
+      sysparm_display_value:          'true',
+      sysparm_exclude_reference_link: 'true',
+    });
+    const res = await fetch(`${base}/api/now/table/${name}?${params}`, {
+      headers: { Accept: 'application/json', ...headers },
+      credentials: 'include',
+    });
+    if (!res.ok) throw new Error(`ServiceNow ${name} request failed: ${res.status} ${res.statusText}`);
+    const body = await res.json();
+    return body.result || [];
+  }
+
+  async function patch(name, sysId, fields) {
+    const res = await fetch(`${base}/api/now/table/${name}/${sysId}`, {
+      method: 'PATCH',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...headers },
+      credentials: 'include',
+      body: JSON.stringify(fields),
+    });
+    if (!res.ok) throw new Error(`ServiceNow ${name} update failed: ${res.status} ${res.statusText}`);
+  }
+
+  let records = null;   // raw records from the last load(), for loadHistory()
+
+  return {
+    name: 'servicenow',
+    async load() {
+      const [inc] = await table('incident', `number=${incident}`, INCIDENT_FIELDS);
+      if (!inc) throw new Error(`Incident ${incident} not found on ${base}`);
+
+      const [taskRecs, journalRecs, ciRecs] = await Promise.all([
+        table('incident_task',     `incident=${inc.sys_id}^ORDERBYnumber`, TASK_FIELDS),
+        table('sys_journal_field', `element_id=${inc.sys_id}^elementINwork_notes,comments^ORDERBYsys_created_on`, JOURNAL_FIELDS),
+        table('task_ci',           `task=${inc.sys_id}`, CI_FIELDS),
+      ]);
+
+      records = { inc, taskRecs, journalRecs, ciRecs };
+      return {
+        incident:   mapIncident(inc, parse),
+        responders: mapResponders(inc, taskRecs),
+        tasks:      taskRecs.map(mapTask),
+        timeline:   journalRecs.map(j => mapJournal(j, parse)),
+        monitoring: ciRecs.map(c => mapCi(c, parse)),
+      };
+    },
+
+    // Rebuilds history from sys_audit for the incident, its tasks and affected
+    // CIs. Reference fields (assignees) aren't rewound: sys_audit only keeps sys_ids.
+    async loadHistory() {
+      if (!records) await this.load();
+      const { inc, taskRecs, journalRecs, ciRecs } = records;
+      const taskById = new Map(taskRecs.map(t => [t.sys_id, t]));
+      const ciById   = new Map(ciRecs.map(c => [c['ci_item.sys_id'], c]));
+      const ids = [inc.sys_id, ...taskById.keys(), ...ciById.keys()];
+      const auditRecs = await table(
+        'sys_audit',
+        `documentkeyIN${ids.join(',')}^fieldnameINstate,priority,impact,urgency,operational_status^ORDERBYsys_created_on`,
+        AUDIT_FIELDS
+      );
+
+      const audit = [];
+      auditRecs.forEach(r => {
+        const at = parse(r.sys_created_on);
+        if (r.documentkey === inc.sys_id) {
+          const from = mapIncidentField(r.fieldname, r.oldvalue);
+          if (from) audit.push({ at, collection: 'incident', key: null, field: from.field, from: from.value });
+        } else if (taskById.has(r.documentkey) && r.fieldname === 'state') {
+          const task = taskById.get(r.documentkey);
+          audit.push({ at, collection: 'tasks', key: task.number, field: 'status', from: mapTaskStatus(TASK_STATE[r.oldvalue]) });
+        } else if (ciById.has(r.documentkey) && r.fieldname === 'operational_status') {
+          const ci = ciById.get(r.documentkey);
+          const label = CI_OP_STATUS[r.oldvalue] || '';
+          audit.push({ at, collection: 'monitoring', key: ci['ci_item.name'], field: 'status', from: CI_STATUS[label.toLowerCase()] || 'Operational' });
+          audit.push({ at, collection: 'monitoring', key: ci['ci_item.name'], field: 'metric', from: label || '—' });
+        }
+      });
+
+      // a responder exists from their earliest owned task (or incident assignment)
+      const created = [];
+      const firstSeen = new Map();
+      if (inc.assigned_to) firstSeen.set(inc.assigned_to, parse(inc.opened_at));
+      taskRecs.forEach(t => {
+        const at = parse(t.sys_created_on);
+        created.push({ at, collection: 'tasks', key: t.number });
+        if (t.assigned_to && !(firstSeen.get(t.assigned_to) <= at)) firstSeen.set(t.assigned_to, at);
+      });
+      firstSeen.forEach((at, name) => created.push({ at, collection: 'responders', key: name }));
+      journalRecs.forEach(j => {
+        created.push({ at: parse(j.sys_created_on), collection: 'timeline', key: itemKey('timeline', mapJournal(j, parse)) });
+      });
+
+      return { audit, created };
+    },
+
+    // changes: { status } in panel terms; only the task state is writable.
+    async updateTask(id, changes) {
+      if (!records) await this.load();
+      const task = records.taskRecs.find(t => t.number === id);
+      if (!task) throw new Error(`Task ${id} not found on ${incident}`);
+      const state = TASK_STATE_VALUE[changes.status];
+      if (!state) throw new Error(`Cannot set task status "${changes.status}"`);
+      await patch('incident_task', task.sys_id, { state });
+    },
+
+    // Open P1 and P2 incidents, most urgent first, for the incident switcher.
+    async listIncidents() {
+      const recs = await table('incident', 'active=true^priority<=2^ORDERBYpriority^ORDERBYDESCopened_at', INCIDENT_FIELDS);
+      return recs.map(r => mapIncident(r, parse));
+    },
+  };
+}
+
+function mapIncidentField(field, raw) {
+  if (field === 'state')    return { field: 'state', value: INCIDENT_STATE[raw] || raw };
+  if (field === 'priority') return { field: 'priority', value: mapIncident({ priority: PRIORITY[raw] || raw }).priority };
+  if (field === 'impact')   return { field: 'impact', value: choiceLabel(IMPACT[raw]) };
+  if (field === 'urgency')  return { field: 'urgency', value: choiceLabel(IMPACT[raw]) };
+  return null;
+}
+
+// ── record mappers ───────────────────────────────────────────────────
+// Choice fields arrive as display values like "1 - Critical" or "2 - Medium".
+function choiceLabel(value) {
+  return (value || '').replace(/^\d+\s*-\s*/, '');
+}
+
+function timeOf(dateTime) {
+  const m = /(\d{1,2}:\d{2})/.exec(dateTime || '');
+  return m ? m[1] : '';
+}
+
+// A naive date-time through `parse`, as ISO; the text itself if it won't parse.
+function isoTime(dateTime, parse) {
+  return toIso(parse(dateTime)) || dateTime;
+}
+
+function mapIncident(r, parse = parseDateTime) {
+  const p = /^(\d+)/.exec(r.priority || '');
+  return {
+    number:           r.number,
+    priority:         p ? `P${p[1]} - ${choiceLabel(r.priority)}` : r.priority,
+    state:            r.state,
+    shortDescription: r.short_description,
+    openedAt:         isoTime(r.opened_at, parse),
+    resolvedAt:       r.resolved_at ? isoTime(r.resolved_at, parse) : null,
+    impact:           choiceLabel(r.impact),
+    urgency:          choiceLabel(r.urgency),
+    assignmentGroup:  r.assignment_group,
+    assignedTo:       r.assigned_to,
+    businessImpact:   (r.business_impact || '').replace(/<[^>]*>/g, '').trim(),
+  };
+}
+
+function mapTaskStatus(state) {
+  const s = (state || '').toLowerCase();
+  if (s.startsWith('closed'))      return 'Completed';
+  if (s === 'work in progress')    return 'In Progress';
+  return 'Not Started';
+}
+
+function mapTaskPriority(priority) {
+  const p = parseInt(priority, 10);
+  if (p <= 2) return 'High';
+  if (p === 3) return 'Medium';
+  return 'Low';
+}
+
+function mapTask(r) {
+  return {
+    id:         r.number,
+    task:       r.short_description,
+    assignedTo: r.assigned_to || 'Unassigned',
+    status:     mapTaskStatus(r.state),
+    priority:   mapTaskPriority(r.priority),
+  };
+}
+
+// ServiceNow has no "responder" record, so derive one per person who owns
+// the incident or one of its tasks. Anyone with an open task is Active.
+function mapResponders(inc, taskRecs) {
+  const byName = new Map();
+  if (inc.assigned_to) {
+    byName.set(inc.assigned_to, {
+      name: inc.assigned_to, role: 'Incident Assignee', team: inc.assignment_group, status: 'Active',
+    });
+  }
+  taskRecs.forEach(t => {
+    if (!t.assigned_to) return;
+    const open = String(t.active) === 'true';
+    const existing = byName.get(t.assigned_to);
+    if (existing) {
+      if (open) existing.status = 'Active';
+      return;
+    }
+    byName.set(t.assigned_to, {
+      name: t.assigned_to, role: 'Task Owner', team: t.assignment_group, status: open ? 'Active' : 'Standby',
+    });
+  });
+  return [...byName.values()];
+}
+
+function mapJournal(r, parse) {
+  return {
+    at:    isoTime(r.sys_created_on, parse),
+    time:  timeOf(r.sys_created_on),
+    event: (r.value || '').split('\n')[0].trim(),
+  };
+}
+
+function mapCi(r, parse) {
+  const opStatus = (r['ci_item.operational_status'] || '').toLowerCase();
+  return {
+    service:   r['ci_item.name'],
+    status:    CI_STATUS[opStatus] || 'Operational',
+    metric:    r['ci_item.operational_status'] || '—',
+    lastCheck: timeOf(r['ci_item.sys_updated_on']),
+    checkedAt: isoTime(r['ci_item.sys_updated_on'], parse),
+  };
+}
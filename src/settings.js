@@ -0,0 +1,32 @@
+// settings.js — The ⚙ settings popover on the desktop page
+//
+// Opened with the ⚙ button at the bottom right, or C. Each settings module
+// (comfort.js, accessibility.js) builds its own <form> and adds it here as a
+// section. Set things up in the browser before entering VR.
+export function createSettingsMenu() {
+  const button = document.createElement('button');
+  button.id = 'settings-toggle';
+  button.title = 'Settings (C)';
+  button.textContent = '⚙';
+  button.setAttribute('aria-label', 'Settings');
+  button.setAttribute('aria-controls', 'settings-panel');
+  button.setAttribute('aria-expanded', 'false');
+  document.body.appendChild(button);
+
+  const el = document.createElement('div');
+  el.id = 'settings-panel';
+  el.setAttribute('role', 'dialog');
+  el.setAttribute('aria-label', 'Settings');
+  document.body.appendChild(el);
+
+  function toggle() {
+    const open = el.classList.toggle('on');
+    button.setAttribute('aria-expanded', String(open));
+  }
+  button.addEventListener('click', toggle);
+
+  return {
+    add(section) { el.appendChild(section); },
+    toggle,
+  };
+}
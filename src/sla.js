@@ -0,0 +1,65 @@
+// sla.js — Response and resolution SLA clocks for the incident in the room
+//
+// Targets are minutes from when the incident opened, by priority:
+//   response:   until someone works it (incident.respondedAt, or any state past New)
+//   resolution: until it is Resolved or Closed (incident.resolvedAt)
+// An incident can bring its own due times instead, as ISO 8601:
+//   incident.slaDue = { response, resolution }
+// Each clock is { label, due, doneAt, state, remaining } with times in epoch
+// ms (doneAt and remaining null when not known) and `state` one of
+//   'running'   ticking, more than WARN_FRACTION of the target left
+//   'warning'   ticking, breach approaching
+//   'breached'  ticking past due
+//   'met'       done in time
+//   'missed'    done, late
+import { parseDateTime } from './time.js';
+
+export const SLA_TARGETS = {
+  P1: { response: 15,  resolution: 4 * 60 },
+  P2: { response: 30,  resolution: 8 * 60 },
+  P3: { response: 240, resolution: 24 * 60 },
+  P4: { response: 480, resolution: 3 * 24 * 60 },
+};
+
+const WARN_FRACTION = 0.25;
+const DONE_STATES   = ['Resolved', 'Closed', 'Canceled'];
+
+function priorityKey(priority) {
+  const m = /^P?(\d)/i.exec(priority || '');
+  return m ? `P${m[1]}` : null;
+}
+
+// [response, resolution] clocks at `now`, or [] when the incident has no
+// opening time or no target for its priority.
+export function slaClocks(incident, now = Date.now()) {
+  const opened = parseDateTime(incident.openedAt);
+  const targets = SLA_TARGETS[priorityKey(incident.priority)];
+  const due = incident.slaDue || {};
+  if (!Number.isFinite(opened) || (!targets && !due.response && !due.resolution)) return [];
+
+  // done without a recorded time (a source with no respondedAt): met, when unknown
+  const responded = parseDateTime(incident.respondedAt || '');
+  const resolved  = parseDateTime(incident.resolvedAt || '');
+  const done = {
+    response:   Number.isFinite(responded) ? responded : (incident.state && incident.state !== 'New' ? true : null),
+    resolution: Number.isFinite(resolved) ? resolved : (DONE_STATES.includes(incident.state) ? true : null),
+  };
+
+  function clock(label, key) {
+    const dueAt = due[key] ? parseDateTime(due[key]) : (targets ? opened + targets[key] * 60000 : NaN);
+    if (!Number.isFinite(dueAt)) return null;
+    const doneAt = done[key];
+    if (doneAt === true) return { label, due: dueAt, doneAt: null, state: 'met', remaining: null };
+    if (doneAt !== null && doneAt <= now) {
+      return { label, due: dueAt, doneAt, state: doneAt <= dueAt ? 'met' : 'missed', remaining: dueAt - doneAt };
+    }
+    const remaining = dueAt - now;
+    const state = remaining < 0 ? 'breached' : remaining <= (dueAt - opened) * WARN_FRACTION ? 'warning' : 'running';
+    return { label, due: dueAt, doneAt: null, state, remaining };
+  }
+
+  return [
+    clock('Response', 'response'),
+    clock('Resolution', 'resolution'),
+  ].filter(Boolean);
+}
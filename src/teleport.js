@@ -0,0 +1,93 @@
+// teleport.js — Arc pointer and landing reticle for teleporting to any floor point
+//
+// aimArc() throws a parabola from a controller (or pinching hand) ray and
+// finds where it meets the floor. aimAt() places the reticle at a floor point
+// directly, for the desktop mouse. Either way the landing is checked against
+// the walkable map (see walkable.js) and the reticle turns red where nobody
+// can stand. The reticle's arrow shows which way you will face, as a yaw
+// (rotation.y) in radians.
+import * as THREE from 'three';
+import { BODY_RADIUS } from './walkable.js';
+
+const ARC_SPEED    = 7;      // m/s along the ray
+const GRAVITY      = 9.8;
+const ARC_POINTS   = 40;
+const MAX_FLIGHT_S = 2;      // longer throws than this don't land
+const VALID        = 0x80ffea;
+const INVALID      = 0xff6b6b;
+
+export function createTeleporter({ scene, walkable }) {
+  const arcGeo = new THREE.BufferGeometry();
+  arcGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(ARC_POINTS * 3), 3));
+  const arc = new THREE.Line(arcGeo, new THREE.LineBasicMaterial({ color: VALID, transparent: true, opacity: 0.8 }));
+  arc.frustumCulled = false;
+  arc.visible = false;
+  scene.add(arc);
+
+  // reticle: ring on the floor with an arrow pointing the way you'll face
+  const reticle = new THREE.Group();
+  const reticleMat = new THREE.MeshBasicMaterial({ color: VALID, side: THREE.DoubleSide, transparent: true, opacity: 0.85 });
+  const ring = new THREE.Mesh(new THREE.RingGeometry(0.24, 0.3, 32), reticleMat);
+  ring.rotation.x = -Math.PI / 2;
+  reticle.add(ring);
+  const arrowShape = new THREE.Shape();
+  arrowShape.moveTo(0, 0.42);
+  arrowShape.lineTo(0.1, 0.3);
+  arrowShape.lineTo(-0.1, 0.3);
+  arrowShape.closePath();
+  const arrow = new THREE.Mesh(new THREE.ShapeGeometry(arrowShape), reticleMat);
+  arrow.rotation.x = -Math.PI / 2;   // shape +Y → world -Z
+  reticle.add(arrow);
+  reticle.visible = false;
+  scene.add(reticle);
+
+  let target = null;   // { point, facing, valid } while aiming
+
+  function place(point, facing) {
+    const valid = walkable.isWalkable(point.x, point.z, BODY_RADIUS);
+    reticle.position.set(point.x, 0.02, point.z);
+    reticle.rotation.y = facing;
+    reticle.visible = true;
+    reticleMat.color.setHex(valid ? VALID : INVALID);
+    arc.material.color.setHex(valid ? VALID : INVALID);
+    target = { point: point.clone(), facing, valid };
+    return target;
+  }
+
+  return {
+    // origin / direction: world-space ray. turn: extra yaw for the landing
+    // facing (e.g. from a thumbstick), on top of facing along the throw.
+    aimArc(origin, direction, turn = 0) {
+      const v = direction.clone().normalize().multiplyScalar(ARC_SPEED);
+      // time to come down to the floor (y = 0): origin.y + v.y t - g t² / 2 = 0
+      const flight = (v.y + Math.sqrt(v.y * v.y + 2 * GRAVITY * Math.max(0, origin.y))) / GRAVITY;
+      if (!(flight > 0) || flight > MAX_FLIGHT_S) {
+        this.hide();
+        return null;
+      }
+      const positions = arcGeo.attributes.position;
+      for (let i = 0; i < ARC_POINTS; i++) {
+        const t = (i / (ARC_POINTS - 1)) * flight;
+        positions.setXYZ(i, origin.x + v.x * t, origin.y + v.y * t - GRAVITY * t * t / 2, origin.z + v.z * t);
+      }
+      positions.needsUpdate = true;
+      arc.visible = true;
+      const landing = new THREE.Vector3(origin.x + v.x * flight, 0, origin.z + v.z * flight);
+      return place(landing, Math.atan2(-v.x, -v.z) + turn);
+    },
+
+    aimAt(point, facing) {
+      arc.visible = false;
+      return place(point, facing);
+    },
+
+    hide() {
+      arc.visible = false;
+      reticle.visible = false;
+      target = null;
+    },
+
+    // { point, facing, valid } of the current aim, or null
+    get target() { return target; },
+  };
+}
@@ -0,0 +1,63 @@
+// themes.js — Colour themes: panel styling, scene background and fog, lighting
+//
+// A theme is plain data, so panels.js can use it without three.js:
+//   panel:      canvas colours for panels.js (see setDisplay)
+//   background: scene clear colour
+//   fog:        [colour, near, far] in metres
+//   ambient:    [colour, intensity]
+//   lights:     directional lights, [colour, intensity, [x, y, z]]
+// Environments (see environment.js) add their own local lights on top.
+// Pick one with ?theme=<name> or in the ⚙ settings; each environment has a
+// default theme that suits it.
+
+export const THEMES = {
+  classic: {
+    label: 'Classic',
+    panel: {
+      bg: '#06101c', border: '#80ffea', text: '#ffffff', heading: '#80ffea',
+      accent: '#122240', keyLabel: '#a0d4ff', rule: '#3a5070', button: '#1e3a5f',
+    },
+    background: 0x2a2a28,
+    fog: [0x2a2a28, 25, 45],
+    ambient: [0xfff5e8, 1.0],
+    lights: [
+      [0xfff5e0, 1.2, [5, 10, 5]],
+      [0xfff0d0, 0.6, [-5, 8, -5]],
+    ],
+  },
+  glass: {
+    label: 'Glass',
+    panel: {
+      bg: '#0b1724', border: '#4fc3f7', text: '#ffffff', heading: '#4fc3f7',
+      accent: '#15293f', keyLabel: '#9ecbf0', rule: '#2e4a66', button: '#1b3b5c',
+    },
+    background: 0x0d1826,
+    fog: [0x0d1826, 30, 60],
+    ambient: [0xe8f0ff, 0.8],
+    lights: [
+      [0xe0ecff, 1.4, [4, 10, 6]],
+      [0xa0c0ff, 0.5, [-6, 8, -4]],
+    ],
+  },
+  midnight: {
+    label: 'Midnight',
+    panel: {
+      bg: '#000000', border: '#9e9eff', text: '#f0f0f0', heading: '#c0c0ff',
+      accent: '#101020', keyLabel: '#a8a8d0', rule: '#34344a', button: '#22223a',
+    },
+    background: 0x000000,
+    fog: [0x000000, 18, 36],
+    ambient: [0xffffff, 1.4],
+    lights: [
+      [0xffffff, 0.6, [3, 10, 4]],
+    ],
+  },
+};
+
+export const DEFAULT_THEME = 'classic';
+
+// Panel colours for the high-contrast accessibility setting, whatever the theme.
+export const HIGH_CONTRAST_PANEL = {
+  bg: '#000000', border: '#ffffff', text: '#ffffff', heading: '#ffff00',
+  accent: '#1a1a1a', keyLabel: '#ffffff', rule: '#ffffff', button: '#333333',
+};
@@ -0,0 +1,124 @@
+// time.js — Explicit time zones for every time the room reads or shows
+//
+// Timestamps from a source are either explicit, ISO 8601 with `Z` or an
+// offset (the mock data, Prometheus), or naive wall-clock strings in a zone
+// the source states: ServiceNow display values are in its user's zone
+// (?sourcetz=, see data-source.js). parseDateTime() turns both into epoch ms.
+//
+// Everything shown is formatted here in one display zone for the whole room
+// (?tz= or the ⚙ settings, see clock.js), with the zone's abbreviation where
+// a time stands on its own. Team zones (?zones=) are extra zones some times
+// are also shown in, for responders elsewhere. Both reach the panel worker
+// through setDisplay() in panels.js.
+
+export const LOCAL_ZONE = new Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+let displayZone = LOCAL_ZONE;
+let team = [];
+const formatters = new Map();   // zone → Intl.DateTimeFormat
+
+export function isTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Unknown zones fall back to the browser's own.
+export function setTimeZones({ zone = LOCAL_ZONE, teamZones = [] } = {}) {
+  displayZone = isTimeZone(zone) ? zone : LOCAL_ZONE;
+  team = teamZones.filter(z => isTimeZone(z) && z !== displayZone);
+}
+
+export function timeZone() {
+  return displayZone;
+}
+
+export function teamZones() {
+  return team;
+}
+
+function formatter(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23', timeZoneName: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(zone);
+}
+
+// { year, month, day, hour, minute, second, zone } of `ms` on the wall clock in `zone`.
+function wallClock(ms, zone) {
+  const out = {};
+  formatter(zone).formatToParts(ms).forEach(p => { out[p.type] = p.value; });
+  return {
+    year: +out.year, month: +out.month, day: +out.day,
+    hour: +out.hour % 24, minute: +out.minute, second: +out.second,
+    zone: out.timeZoneName,
+  };
+}
+
+// How far `zone`'s wall clock is ahead of UTC at `ms`, in ms.
+export function zoneOffset(zone, ms) {
+  const w = wallClock(Math.floor(ms / 1000) * 1000, zone);
+  return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Epoch ms from an ISO string with Z / offset, or from a naive
+// "YYYY-MM-DD HH:MM[:SS]" read as wall-clock time in `zone`. NaN if
+// unparseable. Numbers are taken as epoch ms already.
+export function parseDateTime(value, zone = LOCAL_ZONE) {
+  if (typeof value === 'number') return value;
+  const str = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(str)) return Date.parse(str.replace(' ', 'T'));
+  const m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/.exec(str);
+  if (!m) return NaN;
+  const asUtc = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  // the offset at the guess, then again at the result in case a DST change lies between
+  const first = asUtc - zoneOffset(zone, asUtc);
+  return asUtc - zoneOffset(zone, first);
+}
+
+// '2025-11-24T14:23:00.000Z': what sources hand on once a time is known.
+export function toIso(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+// '14:23', or '14:23:05' with seconds, in `zone` (the display zone by default).
+export function formatTime(ms, zone = displayZone, { seconds = false } = {}) {
+  const w = wallClock(ms, zone);
+  const two = n => String(n).padStart(2, '0');
+  return `${two(w.hour)}:${two(w.minute)}${seconds ? `:${two(w.second)}` : ''}`;
+}
+
+// '2025-11-24 14:23 UTC'
+export function formatDateTime(ms, zone = displayZone) {
+  const w = wallClock(ms, zone);
+  const two = n => String(n).padStart(2, '0');
+  return `${w.year}-${two(w.month)}-${two(w.day)} ${two(w.hour)}:${two(w.minute)} ${w.zone}`;
+}
+
+// 'UTC', 'EST', 'GMT+5:30': the zone's short name at `ms`.
+export function zoneName(zone = displayZone, ms = Date.now()) {
+  return wallClock(ms, zone).zone;
+}
+
+// '09:23 EST · 19:53 GMT+5:30' for the team zones, '' without any.
+export function teamTimes(ms) {
+  return team.map(z => `${formatTime(ms, z)} ${zoneName(z, ms)}`).join(' · ');
+}
+
+// '2d 3h', '4h 09m', '12m', or with seconds '4h 09m 30s', '12m 05s';
+// negative spans as positive.
+export function formatDuration(ms, { seconds = false } = {}) {
+  const s = Math.floor(Math.abs(ms) / 1000);
+  const d = Math.floor(s / 86400), h = Math.floor(s / 3600) % 24, m = Math.floor(s / 60) % 60;
+  const two = n => String(n).padStart(2, '0');
+  const secs = seconds ? ` ${two(s % 60)}s` : '';
+  if (d > 0) return `${d}d ${h}h`;
+  if (h > 0) return `${h}h ${two(m)}m${secs}`;
+  return `${m}m${secs}`;
+}
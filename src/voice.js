@@ -0,0 +1,178 @@
+// voice.js — Positional WebRTC voice between war-room participants
+//
+// Signaling (offer / answer / ICE) rides on the presence relay. Whoever joins
+// the room calls everyone already present, so two peers never offer to each
+// other at once. Each remote stream plays through a THREE.PositionalAudio on
+// that participant's avatar head, so voices come from where people stand.
+//
+// Talking is push-to-talk: the mic track is only enabled while setTalking(true).
+// Disable with ?voice=0; add STUN servers with ?stun=stun:host:port (LAN works without).
+import * as THREE from 'three';
+
+const SPEAKING_LEVEL   = 0.02;    // RMS above which a stream counts as speech
+const SPEAKING_HOLD_MS = 300;     // keep "speaking" this long after the level drops
+
+export function voiceConfigFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return {
+    enabled:    params.get('voice') !== '0',
+    iceServers: params.getAll('stun').map(urls => ({ urls })),
+  };
+}
+
+// Returns { setTalking(on), speakingNames(selfName), update(now) }. The
+// listener's AudioContext is the caller's to resume after a user gesture.
+// Signaling listeners attach immediately; calls wait until the mic prompt settles.
+export function createVoice({ presence, listener, iceServers = [] }) {
+  const calls = new Map();      // peer id → { pc, pending, audio, meter, lastLoud, element }
+  let micStream = null;
+  let talking = false;
+  let selfLoudAt = -Infinity;
+  let selfMeter = null;
+
+  const ready = navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+  }).then(stream => {
+    micStream = stream;
+    micStream.getAudioTracks().forEach(t => { t.enabled = false; });
+    selfMeter = createMeter(listener.context, micStream);
+  }).catch(e => {
+    console.warn('Microphone unavailable — voice is listen-only:', e);
+  }).then(() => {
+    presence.setLocalState({ muted: true, voice: !!micStream });
+  });
+
+  function createCall(peerId) {
+    const pc = new RTCPeerConnection({ iceServers });
+    const call = { pc, pending: [], audio: null, meter: null, lastLoud: -Infinity, element: null };
+    calls.set(peerId, call);
+
+    if (micStream) {
+      micStream.getAudioTracks().forEach(t => pc.addTrack(t, micStream));
+    } else {
+      pc.addTransceiver('audio', { direction: 'recvonly' });
+    }
+    pc.addEventListener('icecandidate', e => {
+      if (e.candidate) presence.send({ type: 'signal', to: peerId, data: { candidate: e.candidate.toJSON() } });
+    });
+    pc.addEventListener('track', e => attachStream(peerId, call, e.streams[0] || new MediaStream([e.track])));
+    pc.addEventListener('connectionstatechange', () => {
+      if (pc.connectionState === 'failed') hangUp(peerId);
+    });
+    return call;
+  }
+
+  function attachStream(peerId, call, stream) {
+    const peer = presence.peers.get(peerId);
+    if (!peer || call.audio) return;
+    // Chrome only feeds remote WebRTC audio into Web Audio while a media
+    // element is also consuming the stream, so keep a muted one around.
+    call.element = new Audio();
+    call.element.muted = true;
+    call.element.srcObject = stream;
+    call.element.play().catch(() => {});
+
+    call.audio = new THREE.PositionalAudio(listener);
+    call.audio.setMediaStreamSource(stream);
+    call.audio.setRefDistance(1.5);
+    call.audio.setRolloffFactor(1.2);
+    call.audio.setDistanceModel('inverse');
+    peer.avatar.userData.head.add(call.audio);
+    call.meter = createMeter(listener.context, stream);
+  }
+
+  function hangUp(peerId) {
+    const call = calls.get(peerId);
+    if (!call) return;
+    call.pc.close();
+    if (call.audio) {
+      call.audio.disconnect();
+      if (call.audio.parent) call.audio.parent.remove(call.audio);
+    }
+    if (call.element) call.element.srcObject = null;
+    calls.delete(peerId);
+    presence.setSpeaking(peerId, false);
+  }
+
+  async function callPeer(peerId) {
+    await ready;
+    const { pc } = createCall(peerId);
+    await pc.setLocalDescription(await pc.createOffer());
+    presence.send({ type: 'signal', to: peerId, data: { description: pc.localDescription.toJSON() } });
+  }
+
+  async function onSignal({ from, data }) {
+    await ready;
+    try {
+      if (data.description) {
+        const call = calls.get(from) || createCall(from);
+        await call.pc.setRemoteDescription(data.description);
+        // candidates that raced ahead of the description
+        for (const candidate of call.pending.splice(0)) await call.pc.addIceCandidate(candidate);
+        if (data.description.type === 'offer') {
+          await call.pc.setLocalDescription(await call.pc.createAnswer());
+          presence.send({ type: 'signal', to: from, data: { description: call.pc.localDescription.toJSON() } });
+        }
+      } else if (data.candidate) {
+        const call = calls.get(from);
+        if (!call) return;
+        if (call.pc.remoteDescription) await call.pc.addIceCandidate(data.candidate);
+        else call.pending.push(data.candidate);
+      }
+    } catch (e) {
+      console.warn(`Voice signaling with peer ${from} failed:`, e);
+    }
+  }
+
+  presence.events.addEventListener('welcome', e => {
+    e.detail.forEach(peer => callPeer(peer.id).catch(err => console.warn('Voice call failed:', err)));
+  });
+  presence.events.addEventListener('leave',  e => hangUp(e.detail.id));
+  presence.events.addEventListener('signal', e => onSignal(e.detail));
+  presence.events.addEventListener('status', e => {
+    if (e.detail === 'disconnected') [...calls.keys()].forEach(hangUp);
+  });
+  presence.events.addEventListener('room', () => [...calls.keys()].forEach(hangUp));
+
+  return {
+    setTalking(on) {
+      if (on === talking || !micStream) return;
+      talking = on;
+      micStream.getAudioTracks().forEach(t => { t.enabled = on; });
+      presence.setLocalState({ muted: !on });
+    },
+    // Display names of everyone currently audible, including us while talking.
+    speakingNames(selfName) {
+      const names = new Set();
+      calls.forEach((call, id) => {
+        const peer = presence.peers.get(id);
+        if (peer && peer.speaking) names.add(peer.name);
+      });
+      if (talking && performance.now() - selfLoudAt < SPEAKING_HOLD_MS) names.add(selfName);
+      return names;
+    },
+    update(now) {
+      calls.forEach((call, id) => {
+        if (!call.meter) return;
+        if (rms(call.meter) > SPEAKING_LEVEL) call.lastLoud = now;
+        presence.setSpeaking(id, now - call.lastLoud < SPEAKING_HOLD_MS);
+      });
+      if (talking && selfMeter && rms(selfMeter) > SPEAKING_LEVEL) selfLoudAt = now;
+    },
+  };
+}
+
+// ── level metering ───────────────────────────────────────────────────
+function createMeter(context, stream) {
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  context.createMediaStreamSource(stream).connect(analyser);
+  return { analyser, buffer: new Float32Array(analyser.fftSize) };
+}
+
+function rms({ analyser, buffer: buf }) {
+  analyser.getFloatTimeDomainData(buf);
+  let sum = 0;
+  for (let i = 0; i < buf.length; i++) sum += buf[i] * buf[i];
+  return Math.sqrt(sum / buf.length);
+}
@@ -0,0 +1,114 @@
+// walkable.js — Floor map of where a person can stand in the room
+//
+// buildCommandCenter() blocks out the footprint of everything it puts on the
+// floor (consoles, chairs, racks, the podium, the railing) as it builds it.
+// isWalkable() then answers whether someone with a given body radius fits
+// at a floor point: inside the walls and clear of every footprint, and
+// slide() is the collision response for smooth locomotion. Points are world
+// x / z in metres. Footprints:
+//   box:    centre, width across, depth along `bearing` (rad, 0 = -Z, as in layout.js)
+//   circle: centre and radius
+//   ring:   a thin circular barrier around the room centre
+
+export const BODY_RADIUS = 0.3;   // m, how much room a person needs
+
+export function createWalkableMap({ radius }) {
+  const blocked = [];
+
+  return {
+    radius,
+    blocked,
+
+    addBox(x, z, width, depth, bearing = 0) {
+      blocked.push({ kind: 'box', x, z, halfW: width / 2, halfD: depth / 2, sin: Math.sin(bearing), cos: Math.cos(bearing) });
+    },
+
+    addCircle(x, z, r) {
+      blocked.push({ kind: 'circle', x, z, r });
+    },
+
+    addRing(r, thickness) {
+      blocked.push({ kind: 'ring', r, half: thickness / 2 });
+    },
+
+    // Forgets every footprint, before building a different environment.
+    clear() {
+      blocked.length = 0;
+    },
+
+    // clearance: the body radius that has to fit (m)
+    isWalkable(x, z, clearance = 0) {
+      if (Math.hypot(x, z) > radius - clearance) return false;
+      return !blocked.some(b => overlaps(b, x, z, clearance));
+    },
+
+    // Where a body moving from (fromX, fromZ) towards (x, z) ends up: pushed
+    // back out of anything it walks into, so it slides along desk edges and
+    // the walls rather than stopping dead. Returns [x, z]. Someone already
+    // stuck inside a footprint (dropped there by a teleport anchor, say) can
+    // still walk out.
+    slide(fromX, fromZ, x, z, clearance = BODY_RADIUS) {
+      const skin = clearance + 1e-6;   // push just clear, past rounding
+      for (let i = 0; i < 3; i++) {
+        let pushed = false;
+        blocked.forEach(b => {
+          const out = pushOut(b, x, z, skin, fromX, fromZ);
+          if (out) [x, z, pushed] = [out[0], out[1], true];
+        });
+        const d = Math.hypot(x, z), max = radius - skin;
+        if (d > max) [x, z, pushed] = [x * max / d, z * max / d, true];
+        if (!pushed) break;
+      }
+      if (this.isWalkable(x, z, clearance) || !this.isWalkable(fromX, fromZ, clearance)) return [x, z];
+      return [fromX, fromZ];
+    },
+  };
+}
+
+function overlaps(b, x, z, clearance) {
+  if (b.kind === 'circle') return Math.hypot(x - b.x, z - b.z) < b.r + clearance;
+  if (b.kind === 'ring') return Math.abs(Math.hypot(x, z) - b.r) < b.half + clearance;
+  // box: into its frame, `along` pointing away from the room centre at bearing 0
+  const dx = x - b.x, dz = z - b.z;
+  const across = dx * b.cos + dz * b.sin;
+  const along  = dx * b.sin - dz * b.cos;
+  const ox = Math.max(0, Math.abs(across) - b.halfW);
+  const oz = Math.max(0, Math.abs(along) - b.halfD);
+  return Math.hypot(ox, oz) < clearance || (ox === 0 && oz === 0);
+}
+
+// Nearest point where a body at (x, z) no longer overlaps b, or null if it
+// doesn't. The ring keeps the body on the side it came from.
+function pushOut(b, x, z, clearance, fromX, fromZ) {
+  if (b.kind === 'circle') {
+    const dx = x - b.x, dz = z - b.z;
+    const d = Math.hypot(dx, dz), min = b.r + clearance;
+    if (d >= min) return null;
+    if (d === 0) return [b.x + min, b.z];
+    return [b.x + dx / d * min, b.z + dz / d * min];
+  }
+  if (b.kind === 'ring') {
+    const d = Math.hypot(x, z), band = b.half + clearance;
+    if (Math.abs(d - b.r) >= band || d === 0) return null;
+    const side = Math.hypot(fromX, fromZ) < b.r ? -1 : 1;
+    const to = (b.r + side * band) / d;
+    return [x * to, z * to];
+  }
+  const dx = x - b.x, dz = z - b.z;
+  let across = dx * b.cos + dz * b.sin;
+  let along  = dx * b.sin - dz * b.cos;
+  const nearA = Math.max(-b.halfW, Math.min(b.halfW, across));
+  const nearB = Math.max(-b.halfD, Math.min(b.halfD, along));
+  const ox = across - nearA, oz = along - nearB;
+  const d = Math.hypot(ox, oz);
+  if (d >= clearance) return null;
+  if (d > 0) {
+    across = nearA + ox / d * clearance;
+    along  = nearB + oz / d * clearance;
+  } else if (b.halfW - Math.abs(across) < b.halfD - Math.abs(along)) {
+    across = Math.sign(across || 1) * (b.halfW + clearance);   // inside: out the nearest side
+  } else {
+    along = Math.sign(along || 1) * (b.halfD + clearance);
+  }
+  return [b.x + across * b.cos + along * b.sin, b.z + across * b.sin - along * b.cos];
+}
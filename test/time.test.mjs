@@ -0,0 +1,76 @@
+// time.test.mjs — Time zone conversion and SLA clocks (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateTime, zoneOffset, formatTime, formatDuration, toIso } from '../src/time.js';
+import { slaClocks } from '../src/sla.js';
+import { createServiceNowSource } from '../src/servicenow.js';
+
+const HOUR = 3600000;
+const MINUTE = 60000;
+
+test('naive times either side of a DST change get the offset in force then', () => {
+  // New York springs forward at 02:00 EST on 2025-03-09
+  assert.equal(toIso(parseDateTime('2025-03-09 01:30', 'America/New_York')), '2025-03-09T06:30:00.000Z');
+  assert.equal(toIso(parseDateTime('2025-03-09 03:30', 'America/New_York')), '2025-03-09T07:30:00.000Z');
+  assert.equal(zoneOffset('America/New_York', Date.parse('2025-03-09T06:59:00Z')), -5 * HOUR);
+  assert.equal(zoneOffset('America/New_York', Date.parse('2025-03-09T07:00:00Z')), -4 * HOUR);
+  // London falls back at 02:00 BST on 2025-10-26: one wall-clock hour, two real ones
+  assert.equal(formatTime(Date.parse('2025-10-26T00:30:00Z'), 'Europe/London'), '01:30');
+  assert.equal(formatTime(Date.parse('2025-10-26T01:30:00Z'), 'Europe/London'), '01:30');
+});
+
+test('explicit offsets win over the zone, and nonsense is NaN', () => {
+  assert.equal(parseDateTime('2025-11-24T14:23:00Z', 'Asia/Kolkata'), Date.parse('2025-11-24T14:23:00Z'));
+  assert.equal(parseDateTime('2025-11-24 19:53:00+05:30', 'America/New_York'), Date.parse('2025-11-24T14:23:00Z'));
+  assert.ok(Number.isNaN(parseDateTime('15:30')));
+});
+
+test('ServiceNow display values are read in the ?sourcetz= zone', async () => {
+  const records = {
+    incident: [{
+      sys_id: 'abc', number: 'INC0012345', priority: '1 - Critical', state: 'In Progress',
+      short_description: 'Portal down', opened_at: '2025-11-24 19:53:00', resolved_at: '',
+    }],
+    sys_journal_field: [{ element: 'work_notes', value: 'Bridge opened', sys_created_on: '2025-11-24 20:00:00' }],
+  };
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async url => {
+    const table = /\/table\/([^?]+)/.exec(url)[1];
+    return { ok: true, json: async () => ({ result: records[table] || [] }) };
+  };
+  try {
+    const source = createServiceNowSource({ instance: 'https://example.service-now.com', incident: 'INC0012345', sourceTimeZone: 'Asia/Kolkata' });
+    const snapshot = await source.load();
+    assert.equal(snapshot.incident.openedAt, '2025-11-24T14:23:00.000Z');
+    assert.equal(snapshot.timeline[0].at, '2025-11-24T14:30:00.000Z');
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test('an unanswered P1 breaches its response SLA after 15 minutes', () => {
+  const opened = Date.parse('2025-11-24T14:23:00Z');
+  const incident = { priority: 'P1 - Critical', state: 'New', openedAt: '2025-11-24T14:23:00Z' };
+  const [response, resolution] = slaClocks(incident, opened + 20 * MINUTE);
+  assert.equal(response.state, 'breached');
+  assert.equal(response.remaining, -5 * MINUTE);
+  assert.equal(formatDuration(response.remaining), '5m');
+  assert.equal(resolution.state, 'running');
+  assert.equal(slaClocks(incident, opened + 12 * MINUTE)[0].state, 'warning');
+});
+
+test('SLA clocks stop once the incident is responded to and resolved', () => {
+  const opened = Date.parse('2025-11-24T14:23:00Z');
+  const incident = {
+    priority: 'P1 - Critical', state: 'Resolved', openedAt: '2025-11-24T14:23:00Z',
+    respondedAt: '2025-11-24T14:27:00Z', resolvedAt: '2025-11-24T19:23:00Z',
+  };
+  for (const now of [opened + 6 * HOUR, opened + 48 * HOUR]) {
+    const [response, resolution] = slaClocks(incident, now);
+    assert.deepEqual([response.state, response.remaining], ['met', 11 * MINUTE]);
+    assert.deepEqual([resolution.state, resolution.remaining], ['missed', -HOUR]);
+  }
+  // resolved with no time recorded: done, nothing to count
+  const [, unknown] = slaClocks({ ...incident, resolvedAt: null }, opened + 48 * HOUR);
+  assert.deepEqual([unknown.state, unknown.remaining], ['met', null]);
+});